@@ -0,0 +1,134 @@
+const { expect } = require('chai');
+const config = require('../../src/config/config');
+const { toVapiConfig, toVapiUpdate, fromVapiConfig } = require('../../src/helper/assistantConfigMapper');
+
+describe('assistantConfigMapper', () => {
+    describe('toVapiConfig', () => {
+        it('falls back to the default model, voice and transcriber', () => {
+            const vapiConfig = toVapiConfig({ name: 'Receptionist', system_prompt: 'You answer the phone.' });
+
+            expect(vapiConfig.model).to.include({ provider: 'openai', model: config.vapi.defaultModel });
+            expect(vapiConfig.model.messages).to.deep.equal([{ role: 'system', content: 'You answer the phone.' }]);
+            expect(vapiConfig.voice.voiceId).to.equal(config.vapi.defaultVoiceId);
+            expect(vapiConfig.transcriber).to.deep.equal({ provider: 'deepgram', model: 'nova-2', language: 'en' });
+        });
+
+        it('does not give another model provider the default model', () => {
+            const vapiConfig = toVapiConfig({ model_provider: 'anthropic', model_name: 'claude-3-5-sonnet' });
+
+            expect(vapiConfig.model).to.include({ provider: 'anthropic', model: 'claude-3-5-sonnet' });
+            expect(toVapiConfig({ model_provider: 'anthropic' }).model).to.not.have.property('model');
+        });
+
+        it('maps provider names to the ones Vapi uses', () => {
+            const vapiConfig = toVapiConfig({ model_provider: 'meta', model_name: 'llama', voice_provider: 'elevenlabs', voice_id: 'burt' });
+
+            expect(vapiConfig.model.provider).to.equal('together-ai');
+            expect(vapiConfig.voice).to.deep.equal({ provider: '11labs', voiceId: 'burt' });
+        });
+
+        it('does not give another voice provider the default voice', () => {
+            const vapiConfig = toVapiConfig({ voice_provider: 'azure' });
+
+            expect(vapiConfig.voice).to.deep.equal({ provider: 'azure' });
+        });
+
+        it('does not give another transcriber provider the deepgram model', () => {
+            const vapiConfig = toVapiConfig({ transcriber_provider: 'assemblyai', language: 'ur' });
+
+            expect(vapiConfig.transcriber).to.deep.equal({ provider: 'assembly-ai', language: 'ur' });
+        });
+
+        it('leaves the first message out when it is empty', () => {
+            expect(toVapiConfig({ first_message: '' })).to.not.have.property('firstMessage');
+        });
+    });
+
+    describe('toVapiUpdate', () => {
+        const current = {
+            name: 'Receptionist',
+            model: {
+                provider: 'openai',
+                model: 'gpt-4',
+                messages: [
+                    { role: 'system', content: 'Old prompt' },
+                    { role: 'assistant', content: 'Hello!' },
+                ],
+            },
+            voice: { provider: '11labs', voiceId: 'burt', stability: 0.5 },
+            transcriber: { provider: 'deepgram', model: 'nova-2', language: 'ur' },
+        };
+
+        it('changes only the fields that are given', () => {
+            const updated = toVapiUpdate({ temperature: 0.2 }, current);
+
+            expect(updated.model).to.include({ provider: 'openai', model: 'gpt-4', temperature: 0.2 });
+            expect(updated.voice).to.deep.equal(current.voice);
+            expect(updated.transcriber).to.deep.equal(current.transcriber);
+        });
+
+        it('replaces the system prompt and keeps the other seeded messages', () => {
+            const updated = toVapiUpdate({ system_prompt: 'New prompt' }, current);
+
+            expect(updated.model.messages).to.deep.equal([
+                { role: 'system', content: 'New prompt' },
+                { role: 'assistant', content: 'Hello!' },
+            ]);
+        });
+
+        it('switches the model provider together with the model name', () => {
+            const updated = toVapiUpdate({ model_provider: 'anthropic', model_name: 'claude-3-5-sonnet' }, current);
+
+            expect(updated.model).to.include({ provider: 'anthropic', model: 'claude-3-5-sonnet' });
+        });
+
+        it('drops the old voice settings when the voice provider changes', () => {
+            const updated = toVapiUpdate({ voice_provider: 'openai', voice_id: 'alloy' }, current);
+
+            expect(updated.voice).to.deep.equal({ provider: 'openai', voiceId: 'alloy' });
+        });
+
+        it('keeps the voice settings when the same voice provider is sent again', () => {
+            const updated = toVapiUpdate({ voice_provider: 'elevenlabs', voice_speed: 1.2 }, current);
+
+            expect(updated.voice).to.deep.equal({ ...current.voice, speed: 1.2 });
+        });
+
+        it('drops the old transcriber model but keeps the language when the transcriber provider changes', () => {
+            const updated = toVapiUpdate({ transcriber_provider: 'assemblyai' }, current);
+
+            expect(updated.transcriber).to.deep.equal({ provider: 'assembly-ai', language: 'ur' });
+        });
+
+        it('uses the transcriber model given with a new transcriber provider', () => {
+            const updated = toVapiUpdate({ transcriber_provider: 'openai', transcriber_model: 'whisper-1' }, current);
+
+            expect(updated.transcriber).to.deep.equal({ provider: 'openai', model: 'whisper-1', language: 'ur' });
+        });
+
+        it('does not change the current config', () => {
+            toVapiUpdate({ voice_provider: 'openai', voice_id: 'alloy', transcriber_provider: 'assemblyai' }, current);
+
+            expect(current.voice).to.deep.equal({ provider: '11labs', voiceId: 'burt', stability: 0.5 });
+            expect(current.transcriber).to.deep.equal({ provider: 'deepgram', model: 'nova-2', language: 'ur' });
+        });
+    });
+
+    describe('fromVapiConfig', () => {
+        it('maps Vapi provider names back to API names', () => {
+            const assistant = fromVapiConfig({
+                id: 'asst_1',
+                name: 'Receptionist',
+                model: { provider: 'together-ai', model: 'llama' },
+                voice: { provider: '11labs', voiceId: 'burt' },
+                transcriber: { provider: 'assembly-ai' },
+            });
+
+            expect(assistant).to.include({
+                model_provider: 'meta',
+                voice_provider: 'elevenlabs',
+                transcriber_provider: 'assemblyai',
+            });
+        });
+    });
+});
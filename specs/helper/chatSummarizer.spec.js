@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const config = require('../../src/config/config');
+const { titleChat, summarizeChat } = require('../../src/helper/chatSummarizer');
+
+describe('chatSummarizer', () => {
+    const messages = [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello! How can I help?' },
+        { role: 'user', content: 'I want to change my delivery address. The parcel is still in transit.' },
+        { role: 'assistant', content: 'Sure, what is the new address?' },
+    ];
+
+    // A local .env may pick another summarizer
+    let provider;
+    before(() => {
+        provider = config.summary.provider;
+        config.summary.provider = 'stub';
+    });
+    after(() => {
+        config.summary.provider = provider;
+    });
+
+    describe('titleChat', () => {
+        it('titles the chat with the first user turn that is more than a greeting', async () => {
+            expect(await titleChat(messages)).to.equal('I want to change my delivery address');
+        });
+
+        it('gives the same title for the same messages', async () => {
+            expect(await titleChat(messages)).to.equal(await titleChat([...messages]));
+        });
+
+        it('clips long titles at a word boundary', async () => {
+            const title = await titleChat([{ role: 'user', content: 'word '.repeat(40) }]);
+
+            expect(title.length).to.be.at.most(60);
+            expect(title).to.match(/^(word )+word…$/);
+        });
+
+        it('gives an empty title when the user has not written yet', async () => {
+            expect(await titleChat([{ role: 'assistant', content: 'Hello!' }])).to.equal('');
+        });
+    });
+
+    describe('summarizeChat', () => {
+        it('counts the messages and quotes the last user turns and reply', async () => {
+            expect(await summarizeChat(messages)).to.equal(
+                '4 messages. The user wrote: "Hi"; "I want to change my delivery address. The parcel is still in transit.". '
+                + 'Last reply: "Sure, what is the new address?".'
+            );
+        });
+
+        it('clips long turns in the summary', async () => {
+            const summary = await summarizeChat([{ role: 'user', content: 'a'.repeat(500) }]);
+
+            expect(summary).to.equal(`1 messages. The user wrote: "${'a'.repeat(119)}…".`);
+        });
+    });
+});
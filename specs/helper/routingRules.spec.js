@@ -0,0 +1,90 @@
+const { expect } = require('chai');
+const { isValidTimezone, matchesTimeWindow, matchesConditions } = require('../../src/helper/routingRules');
+
+describe('routingRules', () => {
+    // Monday 2024-01-15 at 10:30 in London
+    const mondayMorning = new Date('2024-01-15T10:30:00Z');
+    // Tuesday 2024-01-16 at 02:00 in London
+    const tuesdayNight = new Date('2024-01-16T02:00:00Z');
+
+    describe('isValidTimezone', () => {
+        it('accepts IANA timezones and rejects anything else', () => {
+            expect(isValidTimezone('Europe/London')).to.equal(true);
+            expect(isValidTimezone('Asia/Karachi')).to.equal(true);
+            expect(isValidTimezone('Mars/Olympus')).to.equal(false);
+        });
+    });
+
+    describe('matchesTimeWindow', () => {
+        const officeHours = { days: ['mon', 'fri'], start: '09:00', end: '17:00', timezone: 'Europe/London' };
+
+        it('matches inside the window and not outside it', () => {
+            expect(matchesTimeWindow(officeHours, mondayMorning)).to.equal(true);
+            expect(matchesTimeWindow(officeHours, new Date('2024-01-15T17:00:00Z'))).to.equal(false);
+            expect(matchesTimeWindow(officeHours, new Date('2024-01-16T10:30:00Z'))).to.equal(false);
+        });
+
+        it('uses the local time of the window timezone', () => {
+            const karachiHours = { ...officeHours, timezone: 'Asia/Karachi' };
+
+            // 10:30 in London is 15:30 in Karachi, 12:30 in London is 17:30
+            expect(matchesTimeWindow(karachiHours, mondayMorning)).to.equal(true);
+            expect(matchesTimeWindow(karachiHours, new Date('2024-01-15T12:30:00Z'))).to.equal(false);
+        });
+
+        it('counts the hours after midnight of an overnight window towards the day it started', () => {
+            const nightShift = { days: ['mon'], start: '22:00', end: '06:00', timezone: 'Europe/London' };
+
+            expect(matchesTimeWindow(nightShift, new Date('2024-01-15T23:00:00Z'))).to.equal(true);
+            expect(matchesTimeWindow(nightShift, tuesdayNight)).to.equal(true);
+            expect(matchesTimeWindow(nightShift, new Date('2024-01-15T02:00:00Z'))).to.equal(false);
+        });
+
+        it('matches every day when no days are given', () => {
+            expect(matchesTimeWindow({ start: '00:00', end: '06:00', timezone: 'UTC' }, tuesdayNight)).to.equal(true);
+        });
+    });
+
+    describe('matchesConditions', () => {
+        const inbound = {
+            callerNumber: '+447700900123',
+            phoneNumberId: 'pn_support',
+            isKnownContact: true,
+            date: mondayMorning,
+        };
+
+        it('matches any call when there are no conditions', () => {
+            expect(matchesConditions({}, inbound)).to.equal(true);
+            expect(matchesConditions(undefined, inbound)).to.equal(true);
+        });
+
+        it('matches caller numbers exactly or by prefix', () => {
+            expect(matchesConditions({ caller_numbers: ['+447700900123'] }, inbound)).to.equal(true);
+            expect(matchesConditions({ caller_numbers: ['+1*', '+44*'] }, inbound)).to.equal(true);
+            expect(matchesConditions({ caller_numbers: ['+92*'] }, inbound)).to.equal(false);
+        });
+
+        it('matches the dialed phone number', () => {
+            expect(matchesConditions({ phone_number_ids: ['pn_sales', 'pn_support'] }, inbound)).to.equal(true);
+            expect(matchesConditions({ phone_number_ids: ['pn_sales'] }, inbound)).to.equal(false);
+        });
+
+        it('matches known and unknown callers', () => {
+            expect(matchesConditions({ known_contact: true }, inbound)).to.equal(true);
+            expect(matchesConditions({ known_contact: false }, inbound)).to.equal(false);
+            expect(matchesConditions({ known_contact: false }, { ...inbound, isKnownContact: false })).to.equal(true);
+        });
+
+        it('requires every condition to match', () => {
+            const conditions = {
+                caller_numbers: ['+44*'],
+                phone_number_ids: ['pn_support'],
+                time_window: { days: ['mon'], start: '09:00', end: '17:00', timezone: 'Europe/London' },
+                known_contact: true,
+            };
+
+            expect(matchesConditions(conditions, inbound)).to.equal(true);
+            expect(matchesConditions(conditions, { ...inbound, date: tuesdayNight })).to.equal(false);
+        });
+    });
+});
@@ -43,10 +43,22 @@ const envValidation = Joi.object()
         VAPI_DEFAULT_VOICE_ID: Joi.string().default('rachel').description('Default voice ID to use'),
         VAPI_TEMPERATURE: Joi.number().default(0.7).description('Temperature for LLM responses'),
         VAPI_WEBHOOK_SECRET: Joi.string().description('Vapi webhook secret'),
+        TOOL_HTTP_ALLOWED_HOSTS: Joi.string().description('Comma separated hosts http tools may call, any public host when unset'),
+        VAPI_ASSISTANT_SYNC_CRON: Joi.string().default('*/15 * * * *').description('Cron schedule for mirroring Vapi assistants'),
+        VAPI_DRIFT_CHECK_CRON: Joi.string().default('0 * * * *').description('Cron schedule for comparing published assistant versions with Vapi'),
         CLOUDINARY_CLOUD_NAME: Joi.string().required().description('Cloudinary cloud name'),
         CLOUDINARY_API_KEY: Joi.string().required().description('Cloudinary API key'),
         CLOUDINARY_API_SECRET: Joi.string().required().description('Cloudinary API secret'),
         STORE_CALL_RECORDINGS: Joi.boolean().default(false).description('Whether to store call recordings'),
+        KNOWLEDGE_STORAGE: Joi.string().valid('cloudinary', 'local').default('cloudinary').description('Where uploaded knowledge base documents are kept'),
+        KNOWLEDGE_LOCAL_PATH: Joi.string().default('uploads/knowledge').description('Folder for knowledge base documents when stored locally'),
+        EXPORT_LOCAL_PATH: Joi.string().default('uploads/exports').description('Folder for the zip files of bulk conversation exports'),
+        EXPORT_MAX_CONVERSATIONS: Joi.number().integer().min(1).default(500).description('Most conversations one bulk export may hold'),
+        SUMMARY_PROVIDER: Joi.string().default('stub').description('Summarizer for chat titles and summaries: stub or openai'),
+        SUMMARY_API_URL: Joi.string().default('https://api.openai.com/v1').description('OpenAI compatible API the openai summarizer calls'),
+        SUMMARY_API_KEY: Joi.string().when('SUMMARY_PROVIDER', { is: 'openai', then: Joi.required() }).description('API key for the openai summarizer'),
+        SUMMARY_MODEL: Joi.string().default('gpt-4o-mini').description('Model the openai summarizer uses'),
+        SUMMARY_EVERY_MESSAGES: Joi.number().integer().min(1).default(10).description('New messages after which a chat summary is refreshed'),
     })
     .unknown();
 
@@ -81,6 +93,12 @@ module.exports = {
         logFile: envVar.LOG_FILE,
         logLevel: envVar.LOG_LEVEL,
     },
+    tools: {
+        httpAllowedHosts: (envVar.TOOL_HTTP_ALLOWED_HOSTS || '')
+            .split(',')
+            .map((host) => host.trim().toLowerCase())
+            .filter(Boolean)
+    },
     redis: {
         host: envVar.REDIS_HOST,
         port: envVar.REDIS_PORT,
@@ -98,7 +116,9 @@ module.exports = {
         defaultVoiceProvider: envVar.VAPI_DEFAULT_VOICE_PROVIDER,
         defaultVoiceId: envVar.VAPI_DEFAULT_VOICE_ID,
         temperature: envVar.VAPI_TEMPERATURE,
-        webhookSecret: envVar.VAPI_WEBHOOK_SECRET
+        webhookSecret: envVar.VAPI_WEBHOOK_SECRET,
+        assistantSyncCron: envVar.VAPI_ASSISTANT_SYNC_CRON,
+        driftCheckCron: envVar.VAPI_DRIFT_CHECK_CRON
     },
     cloudinary: {
         cloudName: envVar.CLOUDINARY_CLOUD_NAME,
@@ -106,4 +126,19 @@ module.exports = {
         apiSecret: envVar.CLOUDINARY_API_SECRET,
         storeCallRecordings: envVar.STORE_CALL_RECORDINGS
     },
+    knowledge: {
+        storage: envVar.KNOWLEDGE_STORAGE,
+        localPath: envVar.KNOWLEDGE_LOCAL_PATH
+    },
+    exports: {
+        localPath: envVar.EXPORT_LOCAL_PATH,
+        maxConversations: envVar.EXPORT_MAX_CONVERSATIONS
+    },
+    summary: {
+        provider: envVar.SUMMARY_PROVIDER,
+        apiUrl: envVar.SUMMARY_API_URL,
+        apiKey: envVar.SUMMARY_API_KEY,
+        model: envVar.SUMMARY_MODEL,
+        everyMessages: envVar.SUMMARY_EVERY_MESSAGES
+    },
 };
@@ -5,6 +5,10 @@ const userConstant = {
     STATUS_INACTIVE: 0,
     STATUS_REMOVED: 2,
 };
+const roleConstant = {
+    // Users with these roles see and manage everything, like `admin` in the services
+    ADMIN_ROLES: ['Super Admin', 'Admin'],
+};
 const verificationCodeConstant = {
     TYPE_EMAIL_VERIFICATION: 1,
     TYPE_RESET_PASSWORD: 2,
@@ -14,5 +18,6 @@ const verificationCodeConstant = {
 
 module.exports = {
     userConstant,
+    roleConstant,
     verificationCodeConstant,
 };
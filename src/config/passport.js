@@ -0,0 +1,62 @@
+const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
+const config = require('./config');
+const { tokenTypes } = require('./tokens');
+const { userConstant, roleConstant } = require('./constant');
+const UserDao = require('../dao/UserDao');
+
+const userDao = new UserDao();
+
+const jwtOptions = {
+    secretOrKey: config.jwt.secret,
+    jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
+};
+
+/**
+ * Shape the user the services see as req.user: `role` is `admin` or `user`, teams come from the token
+ * @param {Object} user - user row with its role
+ * @param {Object} payload - token payload
+ * @returns {Object}
+ */
+const toRequestUser = (user, payload) => {
+    const { role, ...fields } = user.toJSON();
+    return {
+        ...fields,
+        role_name: role?.name || null,
+        permissions: role?.permissions || {},
+        role: role && roleConstant.ADMIN_ROLES.includes(role.name) ? 'admin' : 'user',
+        team_ids: Array.isArray(payload.team_ids) ? payload.team_ids : []
+    };
+};
+
+/**
+ * Find the active user a verified access token belongs to
+ * @param {Object} payload - token payload
+ * @returns {Object|null} the user as toRequestUser shapes it
+ */
+const userFromPayload = async (payload) => {
+    if (payload.type !== tokenTypes.ACCESS) {
+        throw new Error('Invalid token type');
+    }
+
+    const user = await userDao.findByUuidWithRole(payload.sub);
+    if (!user || user.status !== userConstant.STATUS_ACTIVE) {
+        return null;
+    }
+    return toRequestUser(user, payload);
+};
+
+const jwtVerify = async (payload, done) => {
+    try {
+        const user = await userFromPayload(payload);
+        done(null, user || false);
+    } catch (error) {
+        done(error, false);
+    }
+};
+
+const jwtStrategy = new JwtStrategy(jwtOptions, jwtVerify);
+
+module.exports = {
+    jwtStrategy,
+    userFromPayload,
+};
@@ -1,13 +1,13 @@
 const SocketService = require("../service/SocketService");
 
 module.exports = (io) => {
+  io.use(SocketService.authenticate);
+
   io.on("connection", (socket) => {
     console.log("A user connected");
 
-    socket.on("join", (room) => {
-      socket.join(room);
-      console.log(`Socket ${socket.id} joined room ${room}`);
-    });
+    // Every room is a chat, so joining one is checked like join_chat
+    socket.on("join", (room) => SocketService.joinChat(socket, room));
 
     socket.on("disconnect", () => {
       console.log("User disconnected");
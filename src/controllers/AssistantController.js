@@ -1,5 +1,6 @@
 const httpStatus = require('http-status');
 const AssistantService = require('../service/AssistantService');
+const { serializeBundle } = require('../helper/assistantBundle');
 
 class AssistantController {
   constructor() {
@@ -13,7 +14,7 @@ class AssistantController {
    */
   getAssistants = async (req, res) => {
     try {
-      const result = await this.assistantService.getAssistants(req.query);
+      const result = await this.assistantService.getAssistants(req.query, req.user);
       return res.status(result.statusCode).json(result.response);
     } catch (error) {
       return res.status(httpStatus.BAD_REQUEST).json({
@@ -32,7 +33,7 @@ class AssistantController {
   getAssistantById = async (req, res) => {
     try {
       const { id } = req.params;
-      const result = await this.assistantService.getAssistantById(id);
+      const result = await this.assistantService.getAssistantById(id, req.user);
       return res.status(result.statusCode).json(result.response);
     } catch (error) {
       return res.status(httpStatus.BAD_REQUEST).json({
@@ -50,7 +51,7 @@ class AssistantController {
    */
   createAssistant = async (req, res) => {
     try {
-      const result = await this.assistantService.createAssistant(req.body);
+      const result = await this.assistantService.createAssistant(req.body, req.user);
       return res.status(result.statusCode).json(result.response);
     } catch (error) {
       return res.status(httpStatus.BAD_REQUEST).json({
@@ -69,7 +70,7 @@ class AssistantController {
   updateAssistant = async (req, res) => {
     try {
       const { id } = req.params;
-      const result = await this.assistantService.updateAssistant(id, req.body);
+      const result = await this.assistantService.updateAssistant(id, req.body, req.user);
       return res.status(result.statusCode).json(result.response);
     } catch (error) {
       return res.status(httpStatus.BAD_REQUEST).json({
@@ -88,7 +89,300 @@ class AssistantController {
   deleteAssistant = async (req, res) => {
     try {
       const { id } = req.params;
-      const result = await this.assistantService.deleteAssistant(id);
+      const result = await this.assistantService.deleteAssistant(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get assistant versions
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getAssistantVersions = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.getAssistantVersions(id, req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get a single assistant version
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getAssistantVersion = async (req, res) => {
+    try {
+      const { id, version } = req.params;
+      const result = await this.assistantService.getAssistantVersion(id, version, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Publish an assistant version to Vapi
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  publishAssistantVersion = async (req, res) => {
+    try {
+      const { id, version } = req.params;
+      const result = await this.assistantService.publishAssistantVersion(id, version, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Roll an assistant back to an earlier version
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  rollbackAssistant = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.rollbackAssistant(id, req.body.version, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Clone an assistant
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  cloneAssistant = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.cloneAssistant(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Set the registered tools of an assistant
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  setAssistantTools = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.setAssistantTools(id, req.body.tool_ids, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Download an assistant bundle
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  exportAssistant = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { format } = req.query;
+      const result = await this.assistantService.exportAssistant(id, req.user);
+      if (!result.response.status) {
+        return res.status(result.statusCode).json(result.response);
+      }
+
+      const bundle = result.response.data;
+      const fileName = `${(bundle.assistant.name || 'assistant').replace(/[^\w-]+/g, '_')}.assistant.${format}`;
+      res.attachment(fileName);
+      res.type(format === 'yaml' ? 'application/x-yaml' : 'application/json');
+      return res.status(result.statusCode).send(serializeBundle(bundle, format));
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Create an assistant from a bundle
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  importAssistant = async (req, res) => {
+    try {
+      const result = await this.assistantService.importAssistant(req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Activate or deactivate an assistant
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  changeAssistantStatus = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.changeAssistantStatus(id, req.body.status, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * List who an assistant is shared with
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getAssistantShares = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.getAssistantShares(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Share an assistant with a user or team
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  shareAssistant = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.shareAssistant(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Stop sharing an assistant
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  unshareAssistant = async (req, res) => {
+    try {
+      const { id, shareId } = req.params;
+      const result = await this.assistantService.unshareAssistant(id, shareId, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Hand an assistant to another owner
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  changeAssistantOwner = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.changeAssistantOwner(id, req.body.user_id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Compare an assistant with its live Vapi config
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getAssistantDrift = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.getAssistantDrift(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Accept or overwrite changes made in Vapi
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  resolveAssistantDrift = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantService.resolveAssistantDrift(id, req.body, req.user);
       return res.status(result.statusCode).json(result.response);
     } catch (error) {
       return res.status(httpStatus.BAD_REQUEST).json({
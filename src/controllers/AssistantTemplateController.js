@@ -0,0 +1,122 @@
+const httpStatus = require('http-status');
+const AssistantTemplateService = require('../service/AssistantTemplateService');
+
+class AssistantTemplateController {
+  constructor() {
+    this.assistantTemplateService = new AssistantTemplateService();
+  }
+
+  /**
+   * Get all assistant templates
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getTemplates = async (req, res) => {
+    try {
+      const result = await this.assistantTemplateService.getTemplates(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get assistant template by ID
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getTemplateById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantTemplateService.getTemplateById(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Create a new assistant template
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  createTemplate = async (req, res) => {
+    try {
+      const result = await this.assistantTemplateService.createTemplate(req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Update assistant template
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  updateTemplate = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantTemplateService.updateTemplate(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Delete assistant template
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  deleteTemplate = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantTemplateService.deleteTemplate(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Create an assistant from a template
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  instantiateTemplate = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.assistantTemplateService.instantiateTemplate(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = AssistantTemplateController;
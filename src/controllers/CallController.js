@@ -1,5 +1,6 @@
 const httpStatus = require('http-status');
 const CallService = require('../service/CallService');
+const { EXPORT_FORMATS, renderTranscript, exportFileName } = require('../helper/conversationExport');
 
 class CallController {
   constructor() {
@@ -194,6 +195,33 @@ class CallController {
       });
     }
   };
+
+  /**
+   * Download a call's transcript as Markdown, JSON, CSV or PDF
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  exportCall = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { format } = req.query;
+      const result = await this.callService.exportCall(id, req.user);
+      if (!result.response.status) {
+        return res.status(result.statusCode).json(result.response);
+      }
+
+      const transcript = result.response.data;
+      res.attachment(exportFileName(transcript, format));
+      res.type(EXPORT_FORMATS[format]);
+      return res.status(result.statusCode).send(await renderTranscript(transcript, format));
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
 }
 
 module.exports = CallController;
\ No newline at end of file
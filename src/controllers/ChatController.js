@@ -1,5 +1,7 @@
 const httpStatus = require('http-status');
 const ChatService = require('../service/ChatService');
+const { EXPORT_FORMATS, renderTranscript, exportFileName } = require('../helper/conversationExport');
+const { openEventStream, writeEvent } = require('../helper/eventStream');
 
 class ChatController {
   constructor() {
@@ -127,7 +129,9 @@ class ChatController {
   sendMessage = async (req, res) => {
     try {
       const { id } = req.params;
-      const result = await this.chatService.sendMessage(id, req.body, req.user);
+      const result = req.body.stream
+        ? await this.chatService.streamMessage(id, req.body, req.user)
+        : await this.chatService.sendMessage(id, req.body, req.user);
       return res.status(result.statusCode).json(result.response);
     } catch (error) {
       return res.status(httpStatus.BAD_REQUEST).json({
@@ -137,6 +141,44 @@ class ChatController {
     }
   };
 
+  /**
+   * Send message to chat and stream the reply as server-sent events: `message_delta` for each piece,
+   * then `message` with the stored messages, or `error`
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  streamMessage = async (req, res) => {
+    try {
+      const { id } = req.params;
+      // Failures before the first piece still get a plain JSON answer with their status
+      const result = await this.chatService.streamMessage(id, req.body, req.user, (event) => {
+        if (!res.headersSent) {
+          openEventStream(res);
+        }
+        writeEvent(res, 'message_delta', event);
+      });
+
+      if (!res.headersSent) {
+        if (!result.response.status) {
+          return res.status(result.statusCode).json(result.response);
+        }
+        openEventStream(res);
+      }
+      writeEvent(res, result.response.status ? 'message' : 'error', result.response);
+      return res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        writeEvent(res, 'error', { code: httpStatus.BAD_REQUEST, message: error.message });
+        return res.end();
+      }
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
   /**
    * Send voice message to chat
    * @param {Object} req
@@ -194,6 +236,71 @@ class ChatController {
       });
     }
   };
+
+  /**
+   * Fork chat at one of its messages
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  forkChat = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.chatService.forkChat(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get the chat timeline of messages, voice messages and calls
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getChatTimeline = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.chatService.getChatTimeline(id, req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Download a chat's transcript as Markdown, JSON, CSV or PDF
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  exportChat = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { format } = req.query;
+      const result = await this.chatService.exportChat(id, req.user);
+      if (!result.response.status) {
+        return res.status(result.statusCode).json(result.response);
+      }
+
+      const transcript = result.response.data;
+      res.attachment(exportFileName(transcript, format));
+      res.type(EXPORT_FORMATS[format]);
+      return res.status(result.statusCode).send(await renderTranscript(transcript, format));
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
 }
 
 module.exports = ChatController;
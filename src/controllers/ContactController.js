@@ -0,0 +1,103 @@
+const httpStatus = require('http-status');
+const ContactService = require('../service/ContactService');
+
+class ContactController {
+  constructor() {
+    this.contactService = new ContactService();
+  }
+
+  /**
+   * Get all contacts
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getContacts = async (req, res) => {
+    try {
+      const result = await this.contactService.getContacts(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get contact by ID
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getContactById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.contactService.getContactById(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Create a new contact
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  createContact = async (req, res) => {
+    try {
+      const result = await this.contactService.createContact(req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Update contact
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  updateContact = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.contactService.updateContact(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Delete contact
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  deleteContact = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.contactService.deleteContact(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = ContactController;
@@ -0,0 +1,160 @@
+const httpStatus = require('http-status');
+const ExperimentService = require('../service/ExperimentService');
+
+class ExperimentController {
+  constructor() {
+    this.experimentService = new ExperimentService();
+  }
+
+  /**
+   * Get all experiments
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getExperiments = async (req, res) => {
+    try {
+      const result = await this.experimentService.getExperiments(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get experiment by ID
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getExperimentById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.experimentService.getExperimentById(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Create a new experiment
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  createExperiment = async (req, res) => {
+    try {
+      const result = await this.experimentService.createExperiment(req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Update experiment
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  updateExperiment = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.experimentService.updateExperiment(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Delete experiment
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  deleteExperiment = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.experimentService.deleteExperiment(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Start splitting traffic between the experiment variants
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  startExperiment = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.experimentService.startExperiment(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Stop an experiment
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  stopExperiment = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.experimentService.stopExperiment(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get call and chat metrics per variant
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getExperimentResults = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.experimentService.getExperimentResults(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = ExperimentController;
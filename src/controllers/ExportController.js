@@ -0,0 +1,108 @@
+const httpStatus = require('http-status');
+const ExportService = require('../service/ExportService');
+
+class ExportController {
+  constructor() {
+    this.exportService = new ExportService();
+  }
+
+  /**
+   * Get export jobs
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getExportJobs = async (req, res) => {
+    try {
+      const result = await this.exportService.getExportJobs(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get export job by ID
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getExportJobById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.exportService.getExportJobById(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Start a bulk export of chats and calls
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  createExportJob = async (req, res) => {
+    try {
+      const result = await this.exportService.createExportJob(req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Delete an export job and its zip
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  deleteExportJob = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.exportService.deleteExportJob(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Download the zip of a completed export job
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  downloadExport = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.exportService.getExportFile(id, req.user);
+      if (!result.response.status) {
+        return res.status(result.statusCode).json(result.response);
+      }
+
+      const { file_path: filePath, file_name: fileName } = result.response.data;
+      return res.download(filePath, fileName);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = ExportController;
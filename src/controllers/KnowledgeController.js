@@ -0,0 +1,158 @@
+const httpStatus = require('http-status');
+const KnowledgeService = require('../service/KnowledgeService');
+
+class KnowledgeController {
+  constructor() {
+    this.knowledgeService = new KnowledgeService();
+  }
+
+  /**
+   * Get knowledge base documents
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getDocuments = async (req, res) => {
+    try {
+      const result = await this.knowledgeService.getDocuments(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get knowledge base document by ID
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getDocumentById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.knowledgeService.getDocumentById(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Upload a knowledge base document
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  createDocument = async (req, res) => {
+    try {
+      const result = await this.knowledgeService.createDocument(req.body, req.file, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Update knowledge base document
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  updateDocument = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.knowledgeService.updateDocument(id, req.body, req.file, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Delete knowledge base document
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  deleteDocument = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.knowledgeService.deleteDocument(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Reindex knowledge base document
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  reindexDocument = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.knowledgeService.reindexDocument(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Reindex all documents of an assistant
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  reindexAssistant = async (req, res) => {
+    try {
+      const result = await this.knowledgeService.reindexAssistant(req.body.assistant_id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Search an assistant's knowledge base
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  searchKnowledge = async (req, res) => {
+    try {
+      const result = await this.knowledgeService.searchKnowledge(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = KnowledgeController;
@@ -0,0 +1,159 @@
+const httpStatus = require('http-status');
+const RoutingService = require('../service/RoutingService');
+
+class RoutingRuleController {
+  constructor() {
+    this.routingService = new RoutingService();
+  }
+
+  /**
+   * Get all routing rules
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getRules = async (req, res) => {
+    try {
+      const result = await this.routingService.getRules(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get routing rule by ID
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getRuleById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.routingService.getRuleById(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Create a new routing rule
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  createRule = async (req, res) => {
+    try {
+      const result = await this.routingService.createRule(req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Update routing rule
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  updateRule = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.routingService.updateRule(id, req.body, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Delete routing rule
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  deleteRule = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = await this.routingService.deleteRule(id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Get phone numbers assigned to users
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  getPhoneNumbers = async (req, res) => {
+    try {
+      const result = await this.routingService.getPhoneNumbers(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Assign a phone number to a user
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  assignPhoneNumber = async (req, res) => {
+    try {
+      const { phone_number_id: phoneNumberId } = req.params;
+      const result = await this.routingService.assignPhoneNumber(phoneNumberId, req.body.user_id, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Unassign a phone number
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  unassignPhoneNumber = async (req, res) => {
+    try {
+      const { phone_number_id: phoneNumberId } = req.params;
+      const result = await this.routingService.unassignPhoneNumber(phoneNumberId, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = RoutingRuleController;
@@ -0,0 +1,28 @@
+const httpStatus = require('http-status');
+const SearchService = require('../service/SearchService');
+
+class SearchController {
+  constructor() {
+    this.searchService = new SearchService();
+  }
+
+  /**
+   * Search messages, voice transcripts and call transcripts
+   * @param {Object} req
+   * @param {Object} res
+   * @returns {Promise<Object>}
+   */
+  search = async (req, res) => {
+    try {
+      const result = await this.searchService.search(req.query, req.user);
+      return res.status(result.statusCode).json(result.response);
+    } catch (error) {
+      return res.status(httpStatus.BAD_REQUEST).json({
+        code: httpStatus.BAD_REQUEST,
+        message: error.message,
+      });
+    }
+  };
+}
+
+module.exports = SearchController;
@@ -28,7 +28,9 @@ class WebhookController {
         received: true,
         processed: result.success,
         timestamp: new Date().toISOString(),
-        ...(result.error && { error: result.error })
+        ...(result.error && { error: result.error }),
+        // Answers to server messages (tool results, assistant choice) go at the top level where Vapi reads them
+        ...result.reply
       });
     } catch (error) {
       logger.error('Webhook processing error:', error);
@@ -0,0 +1,90 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const Assistant = models.vapi_assistant;
+
+// Sort keys accepted by AssistantValidator.validateSearchQuery
+const SORT_COLUMNS = {
+    name: 'name',
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    chat_count: Sequelize.literal('(SELECT COUNT(*) FROM vapi_chat WHERE vapi_chat.assistant_id = vapi_assistant.id AND vapi_chat.is_deleted = false)'),
+    call_count: Sequelize.literal('(SELECT COUNT(*) FROM vapi_call WHERE vapi_call.assistant_id = vapi_assistant.id AND vapi_call.is_deleted = false)')
+};
+
+class AssistantDao extends SuperDao {
+    constructor() {
+        super(Assistant);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findByVapiId(vapiAssistantId) {
+        return this.findOneByWhere({ vapi_assistant_id: vapiAssistantId });
+    }
+
+    // visibleTo = { userId, assistantIds } limits the page to owned assistants and the given shared ones
+    async findWithPagination(page = 1, limit = 10, filter = {}, visibleTo = null) {
+        const offset = (page - 1) * limit;
+        const { q, sort = 'created_at', order = 'DESC', ...where } = filter;
+
+        const conditions = [];
+        if (q) {
+            conditions.push({
+                [Sequelize.Op.or]: [
+                    { name: { [Sequelize.Op.like]: `%${q}%` } },
+                    { description: { [Sequelize.Op.like]: `%${q}%` } }
+                ]
+            });
+        }
+        if (visibleTo) {
+            conditions.push({
+                [Sequelize.Op.or]: [
+                    { user_id: visibleTo.userId },
+                    { id: { [Sequelize.Op.in]: visibleTo.assistantIds } }
+                ]
+            });
+        }
+        if (conditions.length > 0) {
+            where[Sequelize.Op.and] = conditions;
+        }
+
+        return Assistant.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            order: [[SORT_COLUMNS[sort] || 'created_at', order]]
+        });
+    }
+
+    // Assistants whose mirrored config has a function tool with this name
+    async findUsingTool(toolName) {
+        return this.findByWhere({
+            [Sequelize.Op.and]: [
+                Sequelize.where(
+                    // The path is a literal because Sequelize doubles `$` in fn string arguments
+                    Sequelize.fn('JSON_SEARCH', Sequelize.col('config'), 'one', toolName, null, Sequelize.literal("'$.model.tools[*].function.name'")),
+                    { [Sequelize.Op.ne]: null }
+                )
+            ]
+        });
+    }
+
+    async findAllVapiIds() {
+        return Assistant.findAll({
+            where: { is_deleted: false },
+            attributes: ['id', 'vapi_assistant_id']
+        });
+    }
+}
+
+module.exports = AssistantDao;
@@ -0,0 +1,34 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const AssistantShare = models.assistant_share;
+
+class AssistantShareDao extends SuperDao {
+    constructor() {
+        super(AssistantShare);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findByAssistantId(assistantId) {
+        return this.findByWhere({ assistant_id: assistantId });
+    }
+
+    // Shares that reach a user directly or through one of their teams
+    async findForUser(userId, teamIds = [], assistantId = null) {
+        const grantees = [{ user_id: userId }];
+        if (teamIds.length > 0) {
+            grantees.push({ team_id: { [Sequelize.Op.in]: teamIds.map(String) } });
+        }
+
+        return this.findByWhere({
+            ...(assistantId && { assistant_id: assistantId }),
+            [Sequelize.Op.or]: grantees
+        });
+    }
+}
+
+module.exports = AssistantShareDao;
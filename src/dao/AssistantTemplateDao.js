@@ -0,0 +1,53 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const AssistantTemplate = models.assistant_template;
+
+class AssistantTemplateDao extends SuperDao {
+    constructor() {
+        super(AssistantTemplate);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findByKey(key) {
+        return this.findOneByWhere({ key });
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}, userId = null) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+
+        if (q) {
+            where.name = {
+                [Sequelize.Op.like]: `%${q}%`
+            };
+        }
+
+        // Non-admins see the built-in templates plus their own
+        if (userId) {
+            where[Sequelize.Op.or] = [
+                { is_system: true },
+                { user_id: userId }
+            ];
+        }
+
+        return AssistantTemplate.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            order: [['is_system', 'DESC'], ['name', 'ASC']]
+        });
+    }
+}
+
+module.exports = AssistantTemplateDao;
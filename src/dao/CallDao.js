@@ -1,9 +1,11 @@
 const SuperDao = require('./SuperDao');
 const models = require('../models');
 const { Sequelize } = require('sequelize');
+const { cursorCondition } = require('../helper/chatTimeline');
 
 const Call = models.vapi_call;
 const Assistant = models.vapi_assistant;
+const Chat = models.vapi_chat;
 const User = models.user;
 
 class CallDao extends SuperDao {
@@ -74,6 +76,41 @@ class CallDao extends SuperDao {
         });
     }
 
+    // Where condition for bulk exports: user_id, assistant_id, status, date_from/date_to on creation
+    exportWhere(filter = {}) {
+        const { date_from: dateFrom, date_to: dateTo, ...where } = filter;
+        if (dateFrom || dateTo) {
+            where.createdAt = {
+                ...(dateFrom && { [Sequelize.Op.gte]: dateFrom }),
+                ...(dateTo && { [Sequelize.Op.lte]: dateTo })
+            };
+        }
+        return { ...where, is_deleted: false };
+    }
+
+    async countForExport(filter = {}) {
+        return Call.count({ where: this.exportWhere(filter) });
+    }
+
+    async findForExport(filter = {}, limit = 500) {
+        return Call.findAll({
+            where: this.exportWhere(filter),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            include: [
+                {
+                    model: Assistant,
+                    as: 'assistant',
+                    attributes: ['id', 'uuid', 'name'],
+                    required: false
+                }
+            ],
+            order: [['created_at', 'ASC']],
+            limit: parseInt(limit, 10)
+        });
+    }
+
     async findOneByWhere(where) {
         return Call.findOne({
             where: {
@@ -94,6 +131,26 @@ class CallDao extends SuperDao {
         });
     }
 
+    // Timeline page of the calls made from a chat, placed at their start, from a cursor (see helper/chatTimeline)
+    async findForTimeline(chatId, cursor = null, limit = 50) {
+        const time = Sequelize.fn('COALESCE', Sequelize.col('vapi_call.started_at'), Sequelize.col('vapi_call.created_at'));
+        const where = {
+            chat_id: chatId,
+            is_deleted: false
+        };
+        if (cursor) {
+            where[Sequelize.Op.and] = [cursorCondition(time, 'call', cursor)];
+        }
+
+        const direction = cursor?.direction === 'after' ? 'ASC' : 'DESC';
+        return Call.findAll({
+            where,
+            attributes: ['id', 'uuid', 'status', 'summary', 'recording_url', 'duration', 'started_at', 'ended_at', 'end_reason', 'createdAt'],
+            order: [[time, direction], ['id', direction]],
+            limit: parseInt(limit, 10)
+        });
+    }
+
     async findByVapiCallId(vapiCallId) {
         return this.findOneByWhere({ vapi_call_id: vapiCallId });
     }
@@ -261,8 +318,8 @@ class CallDao extends SuperDao {
         return result || 0;
     }
 
-    async getCallStats(userId = null) {
-        const whereClause = { is_deleted: false };
+    async getCallStats(userId = null, where = {}) {
+        const whereClause = { ...where, is_deleted: false };
         if (userId) {
             whereClause.user_id = userId;
         }
@@ -285,34 +342,46 @@ class CallDao extends SuperDao {
         };
     }
 
-    async searchCalls(searchTerm, userId = null, limit = 10) {
-        const whereClause = {
-            [Sequelize.Op.or]: [
-                { customer_phone: { [Sequelize.Op.like]: `%${searchTerm}%` } },
-                { transcript: { [Sequelize.Op.like]: `%${searchTerm}%` } }
-            ],
-            is_deleted: false
+    // Full-text search over call transcripts and summaries, best match first.
+    // filter = { userId, assistantId, dateFrom, dateTo }; query is a MySQL boolean mode query.
+    async searchCalls(query, filter = {}, limit = 10) {
+        const match = `MATCH(\`vapi_call\`.\`transcript\`, \`vapi_call\`.\`summary\`) AGAINST(${models.sequelize.escape(query)} IN BOOLEAN MODE)`;
+        const where = {
+            is_deleted: false,
+            [Sequelize.Op.and]: [Sequelize.literal(match)]
         };
-
-        if (userId) {
-            whereClause.user_id = userId;
+        if (filter.userId) {
+            where.user_id = filter.userId;
+        }
+        if (filter.assistantId) {
+            where.assistant_id = filter.assistantId;
+        }
+        if (filter.dateFrom || filter.dateTo) {
+            where.createdAt = {
+                ...(filter.dateFrom && { [Sequelize.Op.gte]: filter.dateFrom }),
+                ...(filter.dateTo && { [Sequelize.Op.lte]: filter.dateTo })
+            };
         }
 
-        return Call.findAll({
-            where: whereClause,
-            limit: parseInt(limit, 10),
-            attributes: {
-                exclude: ['is_deleted', 'createdAt', 'updatedAt']
-            },
+        return Call.findAndCountAll({
+            where,
+            attributes: ['id', 'uuid', 'status', 'transcript', 'summary', 'recording_url', 'started_at', 'createdAt', [Sequelize.literal(match), 'score']],
             include: [
                 {
                     model: Assistant,
                     as: 'assistant',
-                    attributes: ['id', 'uuid', 'name'],
+                    attributes: ['vapi_assistant_id', 'name'],
+                    required: false
+                },
+                {
+                    model: Chat,
+                    as: 'chat',
+                    attributes: ['uuid', 'name'],
                     required: false
                 }
             ],
-            order: [['created_at', 'DESC']]
+            order: [[Sequelize.literal('score'), 'DESC'], ['id', 'DESC']],
+            limit: parseInt(limit, 10)
         });
     }
 
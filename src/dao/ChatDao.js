@@ -5,6 +5,16 @@ const { Sequelize } = require('sequelize');
 const Chat = models.vapi_chat;
 const Assistant = models.vapi_assistant;
 const User = models.user;
+const Message = models.vapi_message;
+
+// Sort keys accepted by ChatValidator.validateSearchQuery
+const SORT_COLUMNS = {
+    name: 'name',
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    last_message_at: 'last_message_at',
+    message_count: 'message_count'
+};
 
 class ChatDao extends SuperDao {
     constructor() {
@@ -51,10 +61,24 @@ class ChatDao extends SuperDao {
 
     async findWithPagination(page = 1, limit = 10, filter = {}) {
         const offset = (page - 1) * limit;
+        const { q, sort = 'last_message_at', order = 'DESC', date_from: dateFrom, date_to: dateTo, ...where } = filter;
+
+        if (q) {
+            where[Sequelize.Op.or] = [
+                { name: { [Sequelize.Op.like]: `%${q}%` } },
+                { summary: { [Sequelize.Op.like]: `%${q}%` } }
+            ];
+        }
+        if (dateFrom || dateTo) {
+            where.createdAt = {
+                ...(dateFrom && { [Sequelize.Op.gte]: dateFrom }),
+                ...(dateTo && { [Sequelize.Op.lte]: dateTo })
+            };
+        }
 
         return Chat.findAndCountAll({
             where: {
-                ...filter,
+                ...where,
                 is_deleted: false
             },
             limit: parseInt(limit, 10),
@@ -76,7 +100,42 @@ class ChatDao extends SuperDao {
                     required: false
                 }
             ],
-            order: [['last_message_at', 'DESC'], ['createdAt', 'DESC']]
+            order: [[SORT_COLUMNS[sort] || 'last_message_at', order], ['created_at', 'DESC']]
+        });
+    }
+
+    // Where condition for bulk exports: user_id, assistant_id, status, date_from/date_to on creation
+    exportWhere(filter = {}) {
+        const { date_from: dateFrom, date_to: dateTo, ...where } = filter;
+        if (dateFrom || dateTo) {
+            where.createdAt = {
+                ...(dateFrom && { [Sequelize.Op.gte]: dateFrom }),
+                ...(dateTo && { [Sequelize.Op.lte]: dateTo })
+            };
+        }
+        return { ...where, is_deleted: false };
+    }
+
+    async countForExport(filter = {}) {
+        return Chat.count({ where: this.exportWhere(filter) });
+    }
+
+    async findForExport(filter = {}, limit = 500) {
+        return Chat.findAll({
+            where: this.exportWhere(filter),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            include: [
+                {
+                    model: Assistant,
+                    as: 'assistant',
+                    attributes: ['id', 'uuid', 'name'],
+                    required: false
+                }
+            ],
+            order: [['created_at', 'ASC']],
+            limit: parseInt(limit, 10)
         });
     }
 
@@ -95,6 +154,18 @@ class ChatDao extends SuperDao {
                     as: 'assistant',
                     attributes: ['id', 'uuid', 'name', 'description'],
                     required: false
+                },
+                {
+                    model: Chat,
+                    as: 'parent_chat',
+                    attributes: ['uuid', 'name'],
+                    required: false
+                },
+                {
+                    model: Message,
+                    as: 'fork_message',
+                    attributes: ['uuid'],
+                    required: false
                 }
             ]
         });
@@ -216,6 +287,34 @@ class ChatDao extends SuperDao {
         };
     }
 
+    // getChatAnalytics metrics summed over every chat matching the filter
+    async getChatAnalyticsByWhere(where = {}) {
+        const result = await Chat.findOne({
+            attributes: [
+                [Sequelize.fn('COUNT', Sequelize.col('id')), 'total_chats'],
+                [Sequelize.fn('SUM', Sequelize.col('message_count')), 'total_messages'],
+                [Sequelize.fn('SUM', Sequelize.col('voice_message_count')), 'total_voice_messages'],
+                [Sequelize.fn('AVG', Sequelize.literal('TIMESTAMPDIFF(SECOND, created_at, last_message_at)')), 'average_duration']
+            ],
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            raw: true
+        });
+
+        const totalChats = parseInt(result?.total_chats || 0, 10);
+        const totalMessages = parseInt(result?.total_messages || 0, 10);
+
+        return {
+            total: totalChats,
+            total_messages: totalMessages,
+            total_voice_messages: parseInt(result?.total_voice_messages || 0, 10),
+            average_messages: totalChats > 0 ? Math.round((totalMessages / totalChats) * 10) / 10 : 0,
+            average_duration: Math.round(result?.average_duration || 0)
+        };
+    }
+
     async getRecentChats(userId, limit = 10) {
         return Chat.findAll({
             where: {
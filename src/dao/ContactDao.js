@@ -0,0 +1,51 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const Contact = models.contact;
+
+class ContactDao extends SuperDao {
+    constructor() {
+        super(Contact);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findByPhoneNumber(phoneNumber, userId = null) {
+        const whereClause = { phone_number: phoneNumber };
+        if (userId) {
+            whereClause.user_id = userId;
+        }
+        return this.findOneByWhere(whereClause);
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+
+        if (q) {
+            where[Sequelize.Op.or] = [
+                { name: { [Sequelize.Op.like]: `%${q}%` } },
+                { phone_number: { [Sequelize.Op.like]: `%${q}%` } },
+                { email: { [Sequelize.Op.like]: `%${q}%` } }
+            ];
+        }
+
+        return Contact.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            order: [['name', 'ASC']]
+        });
+    }
+}
+
+module.exports = ContactDao;
@@ -0,0 +1,34 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const ExperimentAssignment = models.experiment_assignment;
+
+class ExperimentAssignmentDao extends SuperDao {
+    constructor() {
+        super(ExperimentAssignment);
+    }
+
+    async findBySubject(experimentId, subject) {
+        return this.findOneByWhere({ experiment_id: experimentId, subject });
+    }
+
+    async countByVariant(experimentId) {
+        const rows = await ExperimentAssignment.findAll({
+            attributes: [
+                'variant_key',
+                [Sequelize.fn('COUNT', Sequelize.col('id')), 'assignments']
+            ],
+            where: {
+                experiment_id: experimentId,
+                is_deleted: false
+            },
+            group: ['variant_key'],
+            raw: true
+        });
+
+        return Object.fromEntries(rows.map((row) => [row.variant_key, parseInt(row.assignments, 10)]));
+    }
+}
+
+module.exports = ExperimentAssignmentDao;
@@ -0,0 +1,54 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const Experiment = models.experiment;
+const Assistant = models.vapi_assistant;
+
+class ExperimentDao extends SuperDao {
+    constructor() {
+        super(Experiment);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findRunningByAssistantId(assistantId) {
+        return this.findOneByWhere({ assistant_id: assistantId, status: 'running' });
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+
+        if (q) {
+            where.name = {
+                [Sequelize.Op.like]: `%${q}%`
+            };
+        }
+
+        return Experiment.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            include: [
+                {
+                    model: Assistant,
+                    as: 'assistant',
+                    attributes: ['id', 'uuid', 'vapi_assistant_id', 'name'],
+                    required: false
+                }
+            ],
+            order: [['created_at', 'DESC']]
+        });
+    }
+}
+
+module.exports = ExperimentDao;
@@ -0,0 +1,41 @@
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const ExportJob = models.export_job;
+
+class ExportJobDao extends SuperDao {
+    constructor() {
+        super(ExportJob);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+
+        return ExportJob.findAndCountAll({
+            where: {
+                ...filter,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted', 'storage_key']
+            },
+            order: [['created_at', 'DESC']]
+        });
+    }
+
+    // Jobs a restart left behind; they never finish on their own
+    async failInterrupted() {
+        return this.updateWhere(
+            { status: 'failed', error: 'Interrupted by a server restart' },
+            { status: ['pending', 'processing'] }
+        );
+    }
+}
+
+module.exports = ExportJobDao;
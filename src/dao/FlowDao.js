@@ -0,0 +1,45 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const Flow = models.conversation_flow;
+
+class FlowDao extends SuperDao {
+    constructor() {
+        super(Flow);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+
+        if (q) {
+            where.name = {
+                [Sequelize.Op.like]: `%${q}%`
+            };
+        }
+
+        return Flow.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted', 'compiled_config']
+            },
+            order: [['updated_at', 'DESC']]
+        });
+    }
+
+    async findByAssistantId(assistantId) {
+        return this.findByWhere({ assistant_id: assistantId });
+    }
+}
+
+module.exports = FlowDao;
@@ -0,0 +1,53 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const KnowledgeChunk = models.knowledge_chunk;
+const KnowledgeDocument = models.knowledge_document;
+
+class KnowledgeChunkDao extends SuperDao {
+    constructor() {
+        super(KnowledgeChunk);
+    }
+
+    // Chunks are rebuilt from the document on every index run, old ones are not kept
+    async deleteByDocumentId(documentId) {
+        return this.permanentDeleteByWhere({ document_id: documentId });
+    }
+
+    /**
+     * Every passage of an assistant's indexed documents, with the document name
+     * @param {Number} assistantId - registry id
+     * @returns {Array}
+     */
+    async findSearchableByAssistantId(assistantId) {
+        const chunks = await KnowledgeChunk.findAll({
+            where: {
+                assistant_id: assistantId,
+                is_deleted: false,
+                document_id: {
+                    [Sequelize.Op.in]: Sequelize.literal(
+                        "(SELECT id FROM knowledge_document WHERE status = 'indexed' AND is_deleted = false)"
+                    )
+                }
+            },
+            attributes: ['id', 'document_id', 'position', 'content', 'token_count', 'terms']
+        });
+
+        if (chunks.length === 0) {
+            return chunks;
+        }
+
+        const documents = await KnowledgeDocument.findAll({
+            where: {
+                id: { [Sequelize.Op.in]: [...new Set(chunks.map((chunk) => chunk.document_id))] }
+            },
+            attributes: ['id', 'uuid', 'name']
+        });
+        const byId = new Map(documents.map((document) => [document.id, document]));
+
+        return chunks.map((chunk) => ({ ...chunk.get({ plain: true }), document: byId.get(chunk.document_id) }));
+    }
+}
+
+module.exports = KnowledgeChunkDao;
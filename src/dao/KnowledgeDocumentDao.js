@@ -0,0 +1,50 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const KnowledgeDocument = models.knowledge_document;
+
+class KnowledgeDocumentDao extends SuperDao {
+    constructor() {
+        super(KnowledgeDocument);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findByAssistantId(assistantId) {
+        return this.findByWhere({ assistant_id: assistantId });
+    }
+
+    async countIndexedByAssistantId(assistantId) {
+        return this.getCountByWhere({ assistant_id: assistantId, status: 'indexed' });
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+
+        if (q) {
+            where[Sequelize.Op.or] = [
+                { name: { [Sequelize.Op.like]: `%${q}%` } },
+                { file_name: { [Sequelize.Op.like]: `%${q}%` } }
+            ];
+        }
+
+        return KnowledgeDocument.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            order: [['created_at', 'DESC']]
+        });
+    }
+}
+
+module.exports = KnowledgeDocumentDao;
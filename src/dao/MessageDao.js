@@ -1,8 +1,12 @@
 const SuperDao = require('./SuperDao');
 const models = require('../models');
 const { Sequelize } = require('sequelize');
+const { cursorCondition } = require('../helper/chatTimeline');
 
 const Message = models.vapi_message;
+const VoiceMessage = models.vapi_voice_message;
+const Chat = models.vapi_chat;
+const Assistant = models.vapi_assistant;
 
 class MessageDao extends SuperDao {
     constructor() {
@@ -17,27 +21,106 @@ class MessageDao extends SuperDao {
         return this.deleteByWhere(where);
     }
 
-    async findByChatId(chatId, limit = null, offset = null) {
-        const options = {
-            where: {
-                chat_id: chatId,
-                is_deleted: false
-            },
+    // A page of messages, oldest first, before or after a message id (the newest page when neither is given).
+    // hasMore tells whether more messages follow in the paging direction.
+    async findByChatId(chatId, options = {}) {
+        const { before = null, after = null, role = null, type = null, dateFrom = null, dateTo = null } = options;
+        const limit = parseInt(options.limit || 50, 10);
+
+        const where = {
+            chat_id: chatId,
+            is_deleted: false
+        };
+        if (before || after) {
+            where.id = after ? { [Sequelize.Op.gt]: after } : { [Sequelize.Op.lt]: before };
+        }
+        if (role) {
+            where.role = role;
+        }
+        if (type) {
+            where.message_type = type;
+        }
+        if (dateFrom || dateTo) {
+            where.timestamp = {
+                ...(dateFrom && { [Sequelize.Op.gte]: dateFrom }),
+                ...(dateTo && { [Sequelize.Op.lte]: dateTo })
+            };
+        }
+
+        // One row past the page tells whether there is more
+        const rows = await Message.findAll({
+            where,
             attributes: {
                 exclude: ['is_deleted', 'createdAt', 'updatedAt']
             },
-            order: [['created_at', 'ASC']]
+            include: [
+                {
+                    model: VoiceMessage,
+                    as: 'voice_message',
+                    attributes: ['uuid', 'audio_url', 'duration', 'format', 'transcript', 'processing_status'],
+                    required: false
+                }
+            ],
+            order: [['id', after ? 'ASC' : 'DESC']],
+            limit: limit + 1
+        });
+
+        const messages = rows.slice(0, limit);
+        return {
+            messages: after ? messages : messages.reverse(),
+            hasMore: rows.length > limit
         };
+    }
 
-        if (limit) {
-            options.limit = parseInt(limit, 10);
+    // Timeline page of a chat's messages from a cursor (see helper/chatTimeline), in paging order
+    async findForTimeline(chatId, cursor = null, limit = 50) {
+        const where = {
+            chat_id: chatId,
+            is_deleted: false
+        };
+        if (cursor) {
+            where[Sequelize.Op.and] = [cursorCondition(Sequelize.col('vapi_message.timestamp'), 'message', cursor)];
         }
 
-        if (offset) {
-            options.offset = parseInt(offset, 10);
-        }
+        const direction = cursor?.direction === 'after' ? 'ASC' : 'DESC';
+        return Message.findAll({
+            where,
+            attributes: {
+                exclude: ['is_deleted', 'createdAt', 'updatedAt']
+            },
+            include: [
+                {
+                    model: VoiceMessage,
+                    as: 'voice_message',
+                    attributes: ['uuid', 'audio_url', 'duration', 'transcript'],
+                    required: false
+                }
+            ],
+            order: [['timestamp', direction], ['id', direction]],
+            limit: parseInt(limit, 10)
+        });
+    }
 
-        return Message.findAll(options);
+    // Every message of a chat, oldest first, with its voice message; used for transcript exports
+    async findAllByChatId(chatId) {
+        return Message.findAll({
+            where: {
+                chat_id: chatId,
+                is_deleted: false
+            },
+            attributes: {
+                exclude: ['is_deleted', 'createdAt', 'updatedAt']
+            },
+            include: [
+                {
+                    model: VoiceMessage,
+                    as: 'voice_message',
+                    attributes: ['uuid', 'audio_url', 'duration', 'transcript'],
+                    required: false
+                }
+            ],
+            order: [['timestamp', 'ASC'], ['id', 'ASC']]
+        });
     }
 
     async findByRole(chatId, role) {
@@ -89,20 +172,51 @@ class MessageDao extends SuperDao {
         return this.getCountByWhere(whereClause);
     }
 
-    async searchMessages(chatId, searchTerm, limit = 10) {
-        return Message.findAll({
-            where: {
-                chat_id: chatId,
-                content: {
-                    [Sequelize.Op.like]: `%${searchTerm}%`
-                },
-                is_deleted: false
-            },
-            limit: parseInt(limit, 10),
-            attributes: {
-                exclude: ['is_deleted', 'createdAt', 'updatedAt']
-            },
-            order: [['created_at', 'DESC']]
+    // Full-text search over text messages, best match first, with each message's chat.
+    // filter = { userId, assistantId, role, dateFrom, dateTo }; query is a MySQL boolean mode query.
+    async searchMessages(query, filter = {}, limit = 10) {
+        const match = `MATCH(\`vapi_message\`.\`content\`) AGAINST(${models.sequelize.escape(query)} IN BOOLEAN MODE)`;
+        const where = {
+            message_type: 'text',
+            is_deleted: false,
+            [Sequelize.Op.and]: [Sequelize.literal(match)]
+        };
+        if (filter.role) {
+            where.role = filter.role;
+        }
+        if (filter.dateFrom || filter.dateTo) {
+            where.timestamp = {
+                ...(filter.dateFrom && { [Sequelize.Op.gte]: filter.dateFrom }),
+                ...(filter.dateTo && { [Sequelize.Op.lte]: filter.dateTo })
+            };
+        }
+
+        return Message.findAndCountAll({
+            where,
+            attributes: ['id', 'uuid', 'role', 'content', 'timestamp', [Sequelize.literal(match), 'score']],
+            include: [
+                {
+                    model: Chat,
+                    as: 'chat',
+                    attributes: ['id', 'uuid', 'name'],
+                    where: {
+                        is_deleted: false,
+                        ...(filter.userId && { user_id: filter.userId }),
+                        ...(filter.assistantId && { assistant_id: filter.assistantId })
+                    },
+                    required: true,
+                    include: [
+                        {
+                            model: Assistant,
+                            as: 'assistant',
+                            attributes: ['vapi_assistant_id', 'name'],
+                            required: false
+                        }
+                    ]
+                }
+            ],
+            order: [[Sequelize.literal('score'), 'DESC'], ['id', 'DESC']],
+            limit: parseInt(limit, 10)
         });
     }
 
@@ -0,0 +1,41 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const PhoneNumber = models.phone_number;
+
+class PhoneNumberDao extends SuperDao {
+    constructor() {
+        super(PhoneNumber);
+    }
+
+    async findByVapiIds(vapiPhoneNumberIds) {
+        return PhoneNumber.findAll({
+            where: {
+                vapi_phone_number_id: {
+                    [Sequelize.Op.in]: vapiPhoneNumberIds
+                },
+                is_deleted: false
+            }
+        });
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+
+        return PhoneNumber.findAndCountAll({
+            where: {
+                ...filter,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted', 'deleted_at']
+            },
+            order: [['id', 'ASC']]
+        });
+    }
+}
+
+module.exports = PhoneNumberDao;
@@ -0,0 +1,52 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const RoutingRule = models.routing_rule;
+
+class RoutingRuleDao extends SuperDao {
+    constructor() {
+        super(RoutingRule);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    // Active rules in evaluation order
+    async findActiveRules() {
+        return RoutingRule.findAll({
+            where: {
+                status: 1,
+                is_deleted: false
+            },
+            order: [['priority', 'ASC'], ['id', 'ASC']]
+        });
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+
+        if (q) {
+            where.name = {
+                [Sequelize.Op.like]: `%${q}%`
+            };
+        }
+
+        return RoutingRule.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            order: [['priority', 'ASC'], ['id', 'ASC']]
+        });
+    }
+}
+
+module.exports = RoutingRuleDao;
@@ -0,0 +1,42 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const Squad = models.squad;
+
+class SquadDao extends SuperDao {
+    constructor() {
+        super(Squad);
+    }
+
+    async deleteWhere(where) {
+        return this.deleteByWhere(where);
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+
+        if (q) {
+            where[Sequelize.Op.or] = [
+                { name: { [Sequelize.Op.like]: `%${q}%` } },
+                { description: { [Sequelize.Op.like]: `%${q}%` } }
+            ];
+        }
+
+        return Squad.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            order: [['created_at', 'DESC']]
+        });
+    }
+}
+
+module.exports = SquadDao;
@@ -0,0 +1,80 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const Tool = models.tool;
+
+class ToolDao extends SuperDao {
+    constructor() {
+        super(Tool);
+    }
+
+    // Tool names are unique, so deleted tools are removed for good to free their name
+    async deleteWhere(where) {
+        return this.permanentDeleteByWhere(where);
+    }
+
+    async findByName(name) {
+        return this.findOneByWhere({ name });
+    }
+
+    async findByNames(names) {
+        return this.findByWhere({
+            name: {
+                [Sequelize.Op.in]: names
+            }
+        });
+    }
+
+    async findByUuids(uuids) {
+        return this.findByWhere({
+            uuid: {
+                [Sequelize.Op.in]: uuids
+            }
+        });
+    }
+
+    async findWithPagination(page = 1, limit = 10, filter = {}, userId = null) {
+        const offset = (page - 1) * limit;
+        const { q, ...where } = filter;
+        const conditions = [];
+
+        if (q) {
+            conditions.push({
+                [Sequelize.Op.or]: [
+                    { name: { [Sequelize.Op.like]: `%${q}%` } },
+                    { description: { [Sequelize.Op.like]: `%${q}%` } }
+                ]
+            });
+        }
+
+        // Non-admins see the shared tools plus their own
+        if (userId) {
+            conditions.push({
+                [Sequelize.Op.or]: [
+                    { user_id: null },
+                    { user_id: userId }
+                ]
+            });
+        }
+
+        if (conditions.length > 0) {
+            where[Sequelize.Op.and] = conditions;
+        }
+
+        return Tool.findAndCountAll({
+            where: {
+                ...where,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted']
+            },
+            order: [['name', 'ASC']]
+        });
+    }
+}
+
+module.exports = ToolDao;
@@ -0,0 +1,33 @@
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const User = models.user;
+const Role = models.role;
+
+class UserDao extends SuperDao {
+    constructor() {
+        super(User);
+    }
+
+    async findByUuidWithRole(uuid) {
+        return User.findOne({
+            where: {
+                uuid,
+                is_deleted: false
+            },
+            attributes: {
+                exclude: ['password']
+            },
+            include: [
+                {
+                    model: Role,
+                    as: 'role',
+                    attributes: ['id', 'name', 'permissions'],
+                    required: false
+                }
+            ]
+        });
+    }
+}
+
+module.exports = UserDao;
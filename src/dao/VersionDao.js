@@ -0,0 +1,70 @@
+const { Sequelize } = require('sequelize');
+const SuperDao = require('./SuperDao');
+const models = require('../models');
+
+const Version = models.assistant_version;
+
+class VersionDao extends SuperDao {
+    constructor() {
+        super(Version);
+    }
+
+    async findLatest(entityType, entityId) {
+        return this.findOneByWhere(
+            { entity_type: entityType, entity_id: entityId },
+            null,
+            ['version', 'desc']
+        );
+    }
+
+    async findPublished(entityType, entityId) {
+        return this.findOneByWhere({
+            entity_type: entityType,
+            entity_id: entityId,
+            status: 'published'
+        });
+    }
+
+    async findByVersion(entityType, entityId, version) {
+        return this.findOneByWhere({
+            entity_type: entityType,
+            entity_id: entityId,
+            version
+        });
+    }
+
+    async findWithPagination(entityType, entityId, page = 1, limit = 10) {
+        const offset = (page - 1) * limit;
+
+        return Version.findAndCountAll({
+            where: {
+                entity_type: entityType,
+                entity_id: entityId,
+                is_deleted: false
+            },
+            limit: parseInt(limit, 10),
+            offset: parseInt(offset, 10),
+            attributes: {
+                exclude: ['is_deleted', 'config']
+            },
+            order: [['version', 'DESC']]
+        });
+    }
+
+    async supersedePublished(entityType, entityId, exceptId) {
+        return Version.update(
+            { status: 'superseded' },
+            {
+                where: {
+                    entity_type: entityType,
+                    entity_id: entityId,
+                    status: 'published',
+                    id: { [Sequelize.Op.ne]: exceptId },
+                    is_deleted: false
+                }
+            }
+        );
+    }
+}
+
+module.exports = VersionDao;
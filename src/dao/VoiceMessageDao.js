@@ -3,6 +3,9 @@ const models = require('../models');
 const { Sequelize } = require('sequelize');
 
 const VoiceMessage = models.vapi_voice_message;
+const Message = models.vapi_message;
+const Chat = models.vapi_chat;
+const Assistant = models.vapi_assistant;
 
 class VoiceMessageDao extends SuperDao {
     constructor() {
@@ -172,20 +175,57 @@ class VoiceMessageDao extends SuperDao {
         return result || 0;
     }
 
-    async searchByTranscription(chatId, searchTerm, limit = 10) {
-        return VoiceMessage.findAll({
-            where: {
-                chat_id: chatId,
-                transcription: {
-                    [Sequelize.Op.like]: `%${searchTerm}%`
+    // Full-text search over voice message transcripts, best match first, with each recording's chat.
+    // filter = { userId, assistantId, role, dateFrom, dateTo }; query is a MySQL boolean mode query.
+    async searchByTranscription(query, filter = {}, limit = 10) {
+        const match = `MATCH(\`vapi_voice_message\`.\`transcript\`) AGAINST(${models.sequelize.escape(query)} IN BOOLEAN MODE)`;
+        const where = {
+            is_deleted: false,
+            [Sequelize.Op.and]: [Sequelize.literal(match)]
+        };
+        if (filter.dateFrom || filter.dateTo) {
+            where.createdAt = {
+                ...(filter.dateFrom && { [Sequelize.Op.gte]: filter.dateFrom }),
+                ...(filter.dateTo && { [Sequelize.Op.lte]: filter.dateTo })
+            };
+        }
+
+        return VoiceMessage.findAndCountAll({
+            where,
+            attributes: ['id', 'uuid', 'audio_url', 'duration', 'transcript', 'createdAt', [Sequelize.literal(match), 'score']],
+            include: [
+                {
+                    model: Chat,
+                    as: 'chat',
+                    attributes: ['id', 'uuid', 'name'],
+                    where: {
+                        is_deleted: false,
+                        ...(filter.userId && { user_id: filter.userId }),
+                        ...(filter.assistantId && { assistant_id: filter.assistantId })
+                    },
+                    required: true,
+                    include: [
+                        {
+                            model: Assistant,
+                            as: 'assistant',
+                            attributes: ['vapi_assistant_id', 'name'],
+                            required: false
+                        }
+                    ]
                 },
-                is_deleted: false
-            },
-            limit: parseInt(limit, 10),
-            attributes: {
-                exclude: ['is_deleted', 'createdAt', 'updatedAt']
-            },
-            order: [['created_at', 'DESC']]
+                {
+                    model: Message,
+                    as: 'message',
+                    attributes: ['uuid', 'role'],
+                    where: {
+                        is_deleted: false,
+                        ...(filter.role && { role: filter.role })
+                    },
+                    required: true
+                }
+            ],
+            order: [[Sequelize.literal('score'), 'DESC'], ['id', 'DESC']],
+            limit: parseInt(limit, 10)
         });
     }
 
@@ -0,0 +1,123 @@
+const { v4: uuidv4 } = require("uuid");
+
+const templates = [
+  {
+    key: "receptionist",
+    name: "Receptionist",
+    category: "front-desk",
+    description: "Answers calls for a business, shares opening hours and takes messages.",
+    body: {
+      name: "{{business_name}} Receptionist",
+      system_prompt:
+        "You are the friendly receptionist for {{business_name}}. Greet callers warmly, answer questions about the business and take a message when you cannot help.\n\nOpening hours: {{opening_hours}}\nAddress: {{address|not provided}}\n\nWhen taking a message, collect the caller's name, phone number and the reason for calling, then read it back to confirm. Keep answers short and never make up information you were not given.",
+      first_message: "Thank you for calling {{business_name}}, how can I help you today?",
+      temperature: 0.5,
+      tags: ["template", "receptionist"],
+    },
+    variables: [
+      { name: "business_name", label: "Business name", required: true },
+      { name: "opening_hours", label: "Opening hours", required: true },
+      { name: "address", label: "Address", required: false, default: "not provided" },
+    ],
+  },
+  {
+    key: "appointment-setter",
+    name: "Appointment Setter",
+    category: "sales",
+    description: "Books appointments by collecting the caller's details and preferred time.",
+    body: {
+      name: "{{business_name}} Appointments",
+      system_prompt:
+        "You book {{service}} appointments for {{business_name}}. Appointments are available {{availability}}.\n\nCollect, one question at a time: the caller's full name, phone number, preferred date and time, and anything the team should know beforehand. Suggest the closest available slot if the requested time is outside availability. Confirm every detail before ending the call.",
+      first_message: "Hi, this is {{business_name}}. I can help you book a {{service}} appointment. What day works best for you?",
+      temperature: 0.4,
+      tags: ["template", "appointments"],
+    },
+    variables: [
+      { name: "business_name", label: "Business name", required: true },
+      { name: "service", label: "Service being booked", required: true },
+      { name: "availability", label: "Available days and times", required: false, default: "on weekdays from 9am to 5pm" },
+    ],
+  },
+  {
+    key: "support-triage",
+    name: "Support Triage",
+    category: "support",
+    description: "Works out what a customer needs and routes urgent issues to a human.",
+    body: {
+      name: "{{product_name}} Support",
+      system_prompt:
+        "You are the first line of support for {{product_name}}. Find out what the customer is trying to do, what went wrong and how urgent it is.\n\nResolve simple how-to questions directly. Treat these as urgent and offer to connect the customer to a person: {{urgent_issues}}. For everything else, summarise the issue, collect an email address and tell the customer the team will reply within {{response_time}}.",
+      first_message: "Hi, you've reached {{product_name}} support. What can I help you with?",
+      temperature: 0.3,
+      tags: ["template", "support"],
+    },
+    variables: [
+      { name: "product_name", label: "Product name", required: true },
+      { name: "urgent_issues", label: "Issues that need a human", required: false, default: "outages, billing errors and security concerns" },
+      { name: "response_time", label: "Response time promise", required: false, default: "one business day" },
+    ],
+  },
+  {
+    key: "survey-taker",
+    name: "Survey Taker",
+    category: "research",
+    description: "Runs a short phone survey and records each answer.",
+    body: {
+      name: "{{survey_name}} Survey",
+      system_prompt:
+        "You are running the {{survey_name}} survey on behalf of {{organization}}. Ask the following questions in order, one at a time, and wait for a full answer before moving on:\n\n{{questions}}\n\nIf the respondent does not want to continue, thank them and end the call politely. Do not give opinions or lead the respondent towards an answer. Thank them for their time at the end.",
+      first_message: "Hi, I'm calling from {{organization}} with a short survey that takes about {{duration}}. Is now a good time?",
+      temperature: 0.3,
+      max_duration: 600,
+      tags: ["template", "survey"],
+    },
+    variables: [
+      { name: "survey_name", label: "Survey name", required: true },
+      { name: "organization", label: "Organization", required: true },
+      { name: "questions", label: "Questions, one per line", required: true },
+      { name: "duration", label: "Expected duration", required: false, default: "two minutes" },
+    ],
+  },
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const existing = await queryInterface.sequelize.query(
+      "SELECT `key` FROM assistant_template WHERE is_system = true AND is_deleted = false",
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    const existingKeys = new Set(existing.map((row) => row.key));
+
+    // Only insert the built-in templates that are not there yet
+    const rows = templates
+      .filter((template) => !existingKeys.has(template.key))
+      .map((template) => ({
+        uuid: uuidv4(),
+        key: template.key,
+        name: template.name,
+        description: template.description,
+        category: template.category,
+        body: JSON.stringify(template.body),
+        variables: JSON.stringify(template.variables),
+        is_system: true,
+        status: 1,
+        is_deleted: false,
+        created_at: new Date(),
+        updated_at: new Date(),
+      }));
+
+    if (rows.length > 0) {
+      await queryInterface.bulkInsert("assistant_template", rows);
+      console.log(`Built-in assistant templates created: ${rows.map((row) => row.key).join(", ")}`);
+    } else {
+      console.log("Built-in assistant templates already exist, skipping seed");
+    }
+  },
+  down: async (queryInterface) => {
+    await queryInterface.bulkDelete("assistant_template", {
+      key: templates.map((template) => template.key),
+      is_system: true,
+    });
+  },
+};
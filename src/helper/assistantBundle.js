@@ -0,0 +1,153 @@
+const yaml = require('js-yaml');
+const { MAPPED_VAPI_PATHS, toVapiConfig, fromVapiConfig } = require('./assistantConfigMapper');
+const { mergeConfigs, setPath } = require('./configDiff');
+
+const BUNDLE_KIND = 'vapi-assistant';
+const BUNDLE_VERSION = 1;
+
+// Ids, timestamps and secrets at the root of a Vapi assistant that belong to one Vapi account and must not travel with a bundle
+const PROVIDER_FIELDS = ['id', 'orgId', 'createdAt', 'updatedAt', 'isServerUrlSecretSet', 'serverUrl', 'serverUrlSecret', 'credentialIds', 'toolIds'];
+
+// The same for each tool Vapi stores; everything else on a tool, its parameter schema included, is the user's own
+const TOOL_PROVIDER_FIELDS = ['id', 'orgId', 'createdAt', 'updatedAt'];
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Shallow copy of an object without some keys
+ * @param {Object} object
+ * @param {Array} keys
+ * @returns {Object}
+ */
+const omitKeys = (object, keys) => {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+};
+
+/**
+ * Deep copy tools without the ids Vapi gave them
+ * @param {Array} tools
+ * @returns {Array}
+ */
+const stripToolFields = (tools = []) => {
+    return JSON.parse(JSON.stringify(tools)).map((tool) => (isPlainObject(tool) ? omitKeys(tool, TOOL_PROVIDER_FIELDS) : tool));
+};
+
+/**
+ * Deep copy an assistant config without provider generated fields. Only known places are cleaned: the root,
+ * `model.toolIds` and the tools themselves; nested user data such as an `id` tool parameter is left alone.
+ * @param {Object} vapiConfig
+ * @returns {Object}
+ */
+const stripProviderFields = (vapiConfig = {}) => {
+    const stripped = omitKeys(JSON.parse(JSON.stringify(vapiConfig)), PROVIDER_FIELDS);
+
+    if (isPlainObject(stripped.model)) {
+        stripped.model = omitKeys(stripped.model, ['toolIds']);
+        if (Array.isArray(stripped.model.tools)) {
+            stripped.model.tools = stripToolFields(stripped.model.tools);
+        }
+    }
+
+    return stripped;
+};
+
+/**
+ * Drop keys holding null/undefined or empty objects
+ * @param {Object} object
+ * @returns {Object}
+ */
+const compact = (object) => {
+    return Object.fromEntries(Object.keys(object)
+        .map((key) => [key, isPlainObject(object[key]) ? compact(object[key]) : object[key]])
+        .filter(([, value]) => value !== null && value !== undefined)
+        .filter(([, value]) => !isPlainObject(value) || Object.keys(value).length > 0));
+};
+
+/**
+ * Build a portable bundle from a Vapi assistant
+ * @param {Object} vapiAssistant - assistant as returned by Vapi
+ * @returns {Object} { kind, version, exported_at, assistant, tools, settings }
+ */
+const toBundle = (vapiAssistant) => {
+    const vapiConfig = stripProviderFields(vapiAssistant);
+
+    // Settings in our API field names, validated with the AssistantValidator create rules on export and import
+    const fields = fromVapiConfig(vapiAssistant);
+    ['id', 'created_at', 'updated_at'].forEach((field) => delete fields[field]);
+    const assistant = compact(fields);
+    if (!vapiAssistant.firstMessage) {
+        assistant.first_message = '';
+    }
+
+    const tools = vapiConfig.model?.tools || [];
+
+    // Everything the field mapping does not cover is carried over as raw Vapi config
+    const settings = JSON.parse(JSON.stringify(vapiConfig));
+    [...MAPPED_VAPI_PATHS, 'model.tools'].forEach((path) => setPath(settings, path, undefined));
+
+    return {
+        kind: BUNDLE_KIND,
+        version: BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        assistant,
+        tools,
+        settings: compact(settings)
+    };
+};
+
+/**
+ * Build the Vapi create config for a bundle
+ * @param {Object} bundle
+ * @param {Object} assistantBody - bundle.assistant after AssistantValidator validation
+ * @returns {Object}
+ */
+const fromBundle = (bundle, assistantBody) => {
+    const vapiConfig = mergeConfigs(stripProviderFields(bundle.settings || {}), toVapiConfig(assistantBody));
+
+    if (bundle.tools && bundle.tools.length > 0) {
+        vapiConfig.model.tools = stripToolFields(bundle.tools);
+    }
+
+    return vapiConfig;
+};
+
+/**
+ * Serialize a bundle
+ * @param {Object} bundle
+ * @param {String} format - 'json' or 'yaml'
+ * @returns {String}
+ */
+const serializeBundle = (bundle, format = 'json') => {
+    if (format === 'yaml') {
+        return yaml.dump(bundle, { noRefs: true, lineWidth: 120 });
+    }
+    return JSON.stringify(bundle, null, 2);
+};
+
+/**
+ * Parse a JSON or YAML bundle. YAML is a superset of JSON, so one parser covers both.
+ * @param {String|Object} content
+ * @returns {Object}
+ */
+const parseBundle = (content) => {
+    if (isPlainObject(content)) {
+        return content;
+    }
+    const parsed = yaml.load(content);
+    if (!isPlainObject(parsed)) {
+        throw new Error('Bundle must be a JSON or YAML object');
+    }
+    return parsed;
+};
+
+module.exports = {
+    BUNDLE_KIND,
+    BUNDLE_VERSION,
+    stripProviderFields,
+    toBundle,
+    fromBundle,
+    serializeBundle,
+    parseBundle,
+};
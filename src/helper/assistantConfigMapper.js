@@ -0,0 +1,320 @@
+const config = require('../config/config');
+const { mergeConfigs } = require('./configDiff');
+
+const DEFAULT_FIRST_MESSAGE = 'Hello! How can I help you today?';
+
+// Our provider names -> Vapi provider names
+const MODEL_PROVIDERS = {
+    openai: 'openai',
+    anthropic: 'anthropic',
+    google: 'google',
+    meta: 'together-ai'
+};
+
+const VOICE_PROVIDERS = {
+    elevenlabs: '11labs',
+    eleven_labs: '11labs',
+    '11labs': '11labs',
+    openai: 'openai',
+    azure: 'azure',
+    deepgram: 'deepgram'
+};
+
+const TRANSCRIBER_PROVIDERS = {
+    deepgram: 'deepgram',
+    assemblyai: 'assembly-ai',
+    'assembly-ai': 'assembly-ai',
+    openai: 'openai'
+};
+
+// Vapi config paths that mapFields/fromVapiConfig cover
+const MAPPED_VAPI_PATHS = [
+    'name',
+    'model.provider',
+    'model.model',
+    'model.temperature',
+    'model.maxTokens',
+    'model.messages',
+    'voice.provider',
+    'voice.voiceId',
+    'voice.speed',
+    'voice.stability',
+    'voice.similarityBoost',
+    'transcriber.provider',
+    'transcriber.model',
+    'transcriber.language',
+    'firstMessage',
+    'silenceTimeoutSeconds',
+    'maxDurationSeconds',
+    'backgroundSound',
+    'metadata'
+];
+
+// The first key wins when several keys map to the same value
+const invert = (map) => {
+    return Object.fromEntries(Object.keys(map).reverse().map((key) => [map[key], key]));
+};
+
+const isSet = (value) => value !== undefined;
+
+/**
+ * Replace the system message of a model while keeping any other seeded messages
+ * @param {String} systemPrompt
+ * @param {Array} messages
+ * @returns {Array}
+ */
+const withSystemPrompt = (systemPrompt, messages = []) => {
+    const others = messages.filter((message) => message.role !== 'system');
+    return [{ role: 'system', content: systemPrompt }, ...others];
+};
+
+/**
+ * Map the fields present in a validated assistant body onto a (partial) Vapi assistant config
+ * @param {Object} body - AssistantValidator payload
+ * @param {Object} current - existing Vapi config, used to keep unrelated model messages
+ * @returns {Object}
+ */
+const mapFields = (body, current = {}) => {
+    const vapiConfig = {};
+
+    if (isSet(body.name)) {
+        vapiConfig.name = body.name;
+    }
+
+    const model = {};
+    if (isSet(body.model_provider)) {
+        model.provider = MODEL_PROVIDERS[body.model_provider] || body.model_provider;
+    }
+    if (isSet(body.model_name)) {
+        model.model = body.model_name;
+    }
+    if (isSet(body.temperature)) {
+        model.temperature = body.temperature;
+    }
+    if (isSet(body.max_tokens)) {
+        model.maxTokens = body.max_tokens;
+    }
+    if (isSet(body.system_prompt)) {
+        model.messages = withSystemPrompt(body.system_prompt, current.model?.messages);
+    }
+    if (Object.keys(model).length > 0) {
+        vapiConfig.model = model;
+    }
+
+    const voice = {};
+    if (isSet(body.voice_provider)) {
+        voice.provider = VOICE_PROVIDERS[body.voice_provider] || body.voice_provider;
+    }
+    if (isSet(body.voice_id)) {
+        voice.voiceId = body.voice_id;
+    }
+    if (isSet(body.voice_speed)) {
+        voice.speed = body.voice_speed;
+    }
+    // Stability and similarity boost only exist on ElevenLabs voices
+    const voiceProvider = voice.provider || current.voice?.provider;
+    if (voiceProvider === '11labs') {
+        if (isSet(body.voice_stability)) {
+            voice.stability = body.voice_stability;
+        }
+        if (isSet(body.voice_similarity_boost)) {
+            voice.similarityBoost = body.voice_similarity_boost;
+        }
+    }
+    if (Object.keys(voice).length > 0) {
+        vapiConfig.voice = voice;
+    }
+
+    const transcriber = {};
+    if (isSet(body.transcriber_provider)) {
+        transcriber.provider = TRANSCRIBER_PROVIDERS[body.transcriber_provider] || body.transcriber_provider;
+    }
+    if (isSet(body.transcriber_model)) {
+        transcriber.model = body.transcriber_model;
+    }
+    if (isSet(body.language)) {
+        transcriber.language = body.language;
+    }
+    if (Object.keys(transcriber).length > 0) {
+        vapiConfig.transcriber = transcriber;
+    }
+
+    if (isSet(body.first_message)) {
+        // An empty first message lets the caller speak first
+        vapiConfig.firstMessage = body.first_message || null;
+    }
+    if (isSet(body.silence_timeout)) {
+        vapiConfig.silenceTimeoutSeconds = body.silence_timeout;
+    }
+    if (isSet(body.max_duration)) {
+        vapiConfig.maxDurationSeconds = body.max_duration;
+    }
+    if (isSet(body.background_sound)) {
+        vapiConfig.backgroundSound = body.background_sound;
+    }
+
+    // Fields Vapi has no slot for are kept in the assistant metadata
+    const metadata = {};
+    if (isSet(body.metadata)) {
+        Object.assign(metadata, body.metadata);
+    }
+    if (isSet(body.description)) {
+        metadata.description = body.description;
+    }
+    if (isSet(body.status)) {
+        metadata.status = body.status;
+    }
+    if (isSet(body.tags)) {
+        metadata.tags = body.tags;
+    }
+    if (isSet(body.locales)) {
+        metadata.locales = body.locales;
+    }
+    if (Object.keys(metadata).length > 0) {
+        vapiConfig.metadata = metadata;
+    }
+
+    return vapiConfig;
+};
+
+/**
+ * Point an assistant's server messages at this API when a webhook secret is configured
+ * @param {Object} vapiConfig
+ * @returns {Object}
+ */
+const withServerUrl = (vapiConfig) => {
+    if (!config.app.url || !config.vapi.webhookSecret) {
+        return vapiConfig;
+    }
+    return {
+        ...vapiConfig,
+        serverUrl: `${config.app.url}/api/webhooks/vapi`,
+        serverUrlSecret: config.vapi.webhookSecret
+    };
+};
+
+/**
+ * Build a complete Vapi assistant config for creation, falling back to the VAPI_DEFAULT_* env settings
+ * @param {Object} body - AssistantValidator payload
+ * @returns {Object}
+ */
+const toVapiConfig = (body) => {
+    const defaults = {
+        model: {
+            provider: 'openai',
+            model: config.vapi.defaultModel,
+            temperature: config.vapi.temperature
+        },
+        voice: {
+            provider: VOICE_PROVIDERS[config.vapi.defaultVoiceProvider] || config.vapi.defaultVoiceProvider,
+            voiceId: config.vapi.defaultVoiceId
+        },
+        transcriber: {
+            provider: 'deepgram',
+            model: 'nova-2',
+            language: 'en'
+        },
+        firstMessage: DEFAULT_FIRST_MESSAGE
+    };
+
+    // The default model, voice and transcriber model belong to the default providers and do not carry over to
+    // another one; the validator asks for the model name and voice id instead
+    if (body.model_provider && MODEL_PROVIDERS[body.model_provider] !== defaults.model.provider) {
+        delete defaults.model.model;
+    }
+    if (body.voice_provider && VOICE_PROVIDERS[body.voice_provider] !== defaults.voice.provider) {
+        delete defaults.voice.voiceId;
+    }
+    if (body.transcriber_provider && TRANSCRIBER_PROVIDERS[body.transcriber_provider] !== defaults.transcriber.provider) {
+        delete defaults.transcriber.model;
+    }
+
+    const vapiConfig = mergeConfigs(defaults, mapFields(body, defaults));
+
+    if (vapiConfig.firstMessage === null) {
+        delete vapiConfig.firstMessage;
+    }
+
+    return withServerUrl(vapiConfig);
+};
+
+/**
+ * Apply a validated update payload to an existing Vapi assistant config
+ * @param {Object} body - AssistantValidator update payload
+ * @param {Object} current - current Vapi assistant config
+ * @returns {Object} the full updated config
+ */
+const toVapiUpdate = (body, current = {}) => {
+    const changes = mapFields(body, current);
+    const updated = mergeConfigs(current, changes);
+
+    // Switching voice provider drops voice settings that belonged to the old provider
+    if (changes.voice?.provider && changes.voice.provider !== current.voice?.provider) {
+        updated.voice = changes.voice;
+    }
+    // Switching transcriber provider drops the old provider's model, the language still applies
+    if (changes.transcriber?.provider && changes.transcriber.provider !== current.transcriber?.provider) {
+        const { model, ...transcriber } = updated.transcriber;
+        updated.transcriber = changes.transcriber.model ? updated.transcriber : transcriber;
+    }
+
+    return updated;
+};
+
+/**
+ * Map a Vapi assistant back onto our API field names
+ * @param {Object} assistant - Vapi assistant
+ * @returns {Object}
+ */
+const fromVapiConfig = (assistant = {}) => {
+    const modelProviders = invert(MODEL_PROVIDERS);
+    const voiceProviders = invert(VOICE_PROVIDERS);
+    const transcriberProviders = invert(TRANSCRIBER_PROVIDERS);
+
+    const { model = {}, voice = {}, transcriber = {} } = assistant;
+    const { description, status, tags, locales, ...metadata } = assistant.metadata || {};
+    const systemMessage = (model.messages || []).find((message) => message.role === 'system');
+
+    return {
+        id: assistant.id,
+        name: assistant.name,
+        description: description || null,
+        system_prompt: systemMessage ? systemMessage.content : null,
+
+        model_provider: modelProviders[model.provider] || model.provider || null,
+        model_name: model.model || null,
+        temperature: model.temperature ?? null,
+        max_tokens: model.maxTokens ?? null,
+
+        voice_provider: voiceProviders[voice.provider] || voice.provider || null,
+        voice_id: voice.voiceId || null,
+        voice_speed: voice.speed ?? null,
+        voice_stability: voice.stability ?? null,
+        voice_similarity_boost: voice.similarityBoost ?? null,
+
+        transcriber_provider: transcriberProviders[transcriber.provider] || transcriber.provider || null,
+        transcriber_model: transcriber.model || null,
+        language: transcriber.language || null,
+        locales: locales || [],
+
+        first_message: assistant.firstMessage || null,
+        silence_timeout: assistant.silenceTimeoutSeconds ?? null,
+        max_duration: assistant.maxDurationSeconds ?? null,
+        background_sound: assistant.backgroundSound || null,
+
+        status: status ?? 1,
+        tags: tags || [],
+        metadata,
+
+        created_at: assistant.createdAt || null,
+        updated_at: assistant.updatedAt || null
+    };
+};
+
+module.exports = {
+    MAPPED_VAPI_PATHS,
+    withServerUrl,
+    toVapiConfig,
+    toVapiUpdate,
+    fromVapiConfig,
+};
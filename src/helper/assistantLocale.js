@@ -0,0 +1,152 @@
+// Scripts that point to a language on their own, with the languages written in them. Latin text is left to the default language.
+const SCRIPTS = [
+    { pattern: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g, languages: ['ur', 'ar', 'fa', 'ps', 'sd'] },
+    { pattern: /[\u0900-\u097F]/g, languages: ['hi', 'mr', 'ne'] },
+    { pattern: /[\u0980-\u09FF]/g, languages: ['bn'] },
+    { pattern: /[\u0A00-\u0A7F]/g, languages: ['pa'] },
+    { pattern: /[\u0B80-\u0BFF]/g, languages: ['ta'] },
+    { pattern: /[\u0400-\u04FF]/g, languages: ['ru', 'uk', 'bg', 'sr'] },
+    { pattern: /[\u0370-\u03FF]/g, languages: ['el'] },
+    { pattern: /[\u0590-\u05FF]/g, languages: ['he'] },
+    { pattern: /[\u0E00-\u0E7F]/g, languages: ['th'] },
+    { pattern: /[\u3040-\u30FF]/g, languages: ['ja'] },
+    { pattern: /[\uAC00-\uD7AF]/g, languages: ['ko'] },
+    { pattern: /[\u4E00-\u9FFF]/g, languages: ['zh', 'ja'] }
+];
+
+// Letters only Urdu uses among the Arabic-script languages
+const URDU_LETTERS = /[\u0679\u0688\u0691\u06BA\u06BE\u06C1\u06D2]/;
+
+/**
+ * Whether two language tags name the same language, e.g. `ur` and `ur-PK`
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+const sameLanguage = (a, b) => {
+    if (!a || !b) {
+        return false;
+    }
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    return left === right || left.split('-')[0] === right.split('-')[0];
+};
+
+/**
+ * The locale variants of an assistant, kept in its Vapi metadata
+ * @param {Object} vapiConfig
+ * @returns {Array} [{ language, prompt_addendum, first_message, voice_id, transcriber_model }]
+ */
+const getLocales = (vapiConfig = {}) => vapiConfig.metadata?.locales || [];
+
+/**
+ * Languages an assistant speaks: its own transcriber language first, then its locale variants
+ * @param {Object} vapiConfig
+ * @returns {Array}
+ */
+const supportedLanguages = (vapiConfig = {}) => {
+    const languages = [vapiConfig.transcriber?.language || 'en'];
+    getLocales(vapiConfig).forEach((locale) => {
+        if (!languages.some((language) => sameLanguage(language, locale.language))) {
+            languages.push(locale.language);
+        }
+    });
+    return languages;
+};
+
+/**
+ * Find the first candidate that is one of the given languages
+ * @param {Array} languages
+ * @param {Array} candidates - language tags in order of preference
+ * @returns {String|null} the matching entry of languages
+ */
+const firstMatch = (languages, candidates) => {
+    return candidates
+        .map((candidate) => languages.find((language) => sameLanguage(language, candidate)))
+        .find(Boolean) || null;
+};
+
+/**
+ * Take the first candidate language the assistant speaks
+ * @param {Object} vapiConfig
+ * @param {Array} candidates - language tags in order of preference; empty entries are skipped
+ * @returns {String|null} the assistant's own tag for that language
+ */
+const pickLanguage = (vapiConfig, candidates = []) => {
+    return firstMatch(supportedLanguages(vapiConfig), candidates.filter(Boolean));
+};
+
+/**
+ * Guess the language of a user turn from the script it is written in
+ * @param {String} text
+ * @param {Array} languages - languages to choose from
+ * @returns {String|null} one of languages, or null when the script does not settle it
+ */
+const detectLanguage = (text, languages = []) => {
+    if (!text) {
+        return null;
+    }
+
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    const script = SCRIPTS
+        .map((candidate) => ({ ...candidate, count: (text.match(candidate.pattern) || []).length }))
+        .sort((a, b) => b.count - a.count)[0];
+    if (!letters || script.count * 2 < letters) {
+        return null;
+    }
+
+    const scriptLanguages = script.languages.includes('ur') && URDU_LETTERS.test(text)
+        ? ['ur', ...script.languages.filter((language) => language !== 'ur')]
+        : script.languages;
+    return firstMatch(languages, scriptLanguages);
+};
+
+/**
+ * Apply a locale variant to an assistant config
+ * @param {Object} vapiConfig
+ * @param {String|null} language - a tag from pickLanguage; the assistant's own language leaves the config as it is
+ * @returns {Object} { config, overrides } - the localized config, and the assistantOverrides that turn the
+ *                   assistant into it (null when no variant applies)
+ */
+const localizeConfig = (vapiConfig = {}, language = null) => {
+    const locale = language && getLocales(vapiConfig).find((candidate) => sameLanguage(candidate.language, language));
+    if (!locale) {
+        return { config: vapiConfig, overrides: null };
+    }
+
+    const overrides = {
+        transcriber: {
+            ...vapiConfig.transcriber,
+            language: locale.language,
+            ...(locale.transcriber_model && { model: locale.transcriber_model })
+        }
+    };
+
+    if (locale.prompt_addendum) {
+        const messages = vapiConfig.model?.messages || [];
+        const hasSystem = messages.some((message) => message.role === 'system');
+        overrides.model = {
+            ...vapiConfig.model,
+            messages: hasSystem
+                ? messages.map((message) => (message.role === 'system'
+                    ? { ...message, content: `${message.content}\n\n${locale.prompt_addendum}` }
+                    : message))
+                : [{ role: 'system', content: locale.prompt_addendum }, ...messages]
+        };
+    }
+    if (locale.first_message) {
+        overrides.firstMessage = locale.first_message;
+    }
+    if (locale.voice_id) {
+        overrides.voice = { ...vapiConfig.voice, voiceId: locale.voice_id };
+    }
+
+    return { config: { ...vapiConfig, ...overrides }, overrides };
+};
+
+module.exports = {
+    supportedLanguages,
+    pickLanguage,
+    detectLanguage,
+    localizeConfig,
+};
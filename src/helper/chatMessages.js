@@ -0,0 +1,74 @@
+// Roles kept in chat history; system prompts and tool plumbing stay in Vapi
+const HISTORY_ROLES = ['user', 'assistant', 'tool'];
+
+/**
+ * Text of a Vapi/OpenAI style message, whose content may be a string or a list of parts
+ * @param {Object} message
+ * @returns {String}
+ */
+const messageText = (message) => {
+    const content = message.content ?? message.message;
+    if (Array.isArray(content)) {
+        return content
+            .map((part) => (typeof part === 'string' ? part : part.text || ''))
+            .join('');
+    }
+    return typeof content === 'string' ? content : '';
+};
+
+/**
+ * Turn Vapi messages into vapi_message rows, dropping the ones without text
+ * @param {Array} messages - Vapi messages with `role`, `content` or `message`, and `time` (epoch milliseconds)
+ * @returns {Array} [{ role, content, message_type, timestamp }]
+ */
+const fromVapiMessages = (messages = []) => {
+    return messages
+        .map((message) => ({
+            role: message.role === 'bot' ? 'assistant' : message.role,
+            content: messageText(message),
+            message_type: 'text',
+            timestamp: message.time ? new Date(message.time) : new Date()
+        }))
+        .filter((message) => HISTORY_ROLES.includes(message.role) && message.content.trim() !== '');
+};
+
+/**
+ * Messages of a Vapi chat, its input turns followed by the replies
+ * @param {Object} vapiChat
+ * @returns {Array} see fromVapiMessages
+ */
+const fromVapiChat = (vapiChat = {}) => fromVapiMessages([...(vapiChat.messages || []), ...(vapiChat.output || [])]);
+
+/**
+ * Shape a stored message for the API; its uuid is the history cursor
+ * @param {Object} message - vapi_message row, with its voice_message when it has one
+ * @returns {Object}
+ */
+const formatMessage = (message) => {
+    const { voice_message: voice } = message;
+    return {
+        id: message.uuid,
+        role: message.role,
+        type: message.message_type,
+        content: message.content,
+        timestamp: message.timestamp,
+        metadata: message.metadata || {},
+        ...(voice && {
+            voice: {
+                id: voice.uuid,
+                audio_url: voice.audio_url,
+                duration: voice.duration,
+                format: voice.format,
+                transcript: voice.transcript,
+                processing_status: voice.processing_status
+            }
+        })
+    };
+};
+
+module.exports = {
+    messageText,
+    fromVapiMessages,
+    fromVapiChat,
+    formatMessage,
+};
@@ -0,0 +1,154 @@
+const axios = require('axios');
+const config = require('../config/config');
+
+// Longest title and summary stored on a chat; vapi_chat.name holds 255 characters
+const TITLE_LENGTH = 60;
+const SUMMARY_LENGTH = 1000;
+
+const TITLE_PROMPT = 'Write a title of at most six words for the conversation below. Reply with the title only, without quotes.';
+const SUMMARY_PROMPT = 'Summarize the conversation below in at most three sentences: what the user wants and what has been settled so far. '
+    + 'Reply with the summary only.';
+
+/**
+ * Cut text at a word boundary so it fits in `length` characters
+ * @param {String} text
+ * @param {Number} length
+ * @returns {String}
+ */
+const clip = (text, length) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= length) {
+        return clean;
+    }
+    const cut = clean.slice(0, length - 1);
+    const space = cut.lastIndexOf(' ');
+    return `${(space > length / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:!?-]+$/, '')}\u2026`;
+};
+
+// First sentence of a message, without its closing punctuation
+const firstSentence = (text) => String(text || '').trim().split(/(?<=[.!?])\s+/)[0].replace(/[.!?]+$/, '');
+
+/**
+ * Lay messages out as a transcript for a model prompt
+ * @param {Array} messages - [{ role, content }]
+ * @returns {String}
+ */
+const transcriptText = (messages) => messages
+    .map((message) => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+
+/**
+ * Ask the chat completions API at SUMMARY_API_URL
+ * @param {String} instructions - system prompt
+ * @param {String} content - user turn
+ * @returns {String} the reply text
+ */
+const openAiCompletion = async (instructions, content) => {
+    const response = await axios.post(
+        `${config.summary.apiUrl.replace(/\/$/, '')}/chat/completions`,
+        {
+            model: config.summary.model,
+            temperature: 0,
+            messages: [
+                { role: 'system', content: instructions },
+                { role: 'user', content }
+            ]
+        },
+        {
+            headers: { Authorization: `Bearer ${config.summary.apiKey}` },
+            timeout: 30000
+        }
+    );
+    return response.data?.choices?.[0]?.message?.content || '';
+};
+
+/**
+ * Summarizers a chat can be titled and summarized with, keyed by name (SUMMARY_PROVIDER).
+ * Each has title(messages) and summarize(messages, previousSummary); messages are [{ role, content }],
+ * oldest first, and both return plain text.
+ */
+const summarizers = {
+    // Built from the messages themselves without a model, so the same chat always gets the same result
+    stub: {
+        title: async (messages) => {
+            const turns = messages.filter((message) => message.role === 'user');
+            // Greetings make poor titles, the first turn with some substance is used when there is one
+            const turn = turns.find((message) => message.content.trim().split(/\s+/).length > 2) || turns[0];
+            return turn ? firstSentence(turn.content) : '';
+        },
+        summarize: async (messages) => {
+            const turns = messages.filter((message) => message.role === 'user').slice(-3);
+            const reply = [...messages].reverse().find((message) => message.role === 'assistant');
+            const parts = [`${messages.length} messages.`];
+            if (turns.length > 0) {
+                parts.push(`The user wrote: ${turns.map((turn) => `"${clip(turn.content, 120)}"`).join('; ')}.`);
+            }
+            if (reply) {
+                parts.push(`Last reply: "${clip(reply.content, 200)}".`);
+            }
+            return parts.join(' ');
+        }
+    },
+
+    // Any OpenAI compatible chat completions API at SUMMARY_API_URL
+    openai: {
+        title: async (messages) => openAiCompletion(TITLE_PROMPT, transcriptText(messages)),
+        summarize: async (messages, previousSummary) => openAiCompletion(
+            SUMMARY_PROMPT,
+            previousSummary
+                ? `Summary of the earlier conversation: ${previousSummary}\n\n${transcriptText(messages)}`
+                : transcriptText(messages)
+        )
+    }
+};
+
+const SUMMARIZERS = Object.keys(summarizers);
+
+// Summarizer named by SUMMARY_PROVIDER
+const configuredSummarizer = () => {
+    const summarizer = summarizers[config.summary.provider];
+    if (!summarizer) {
+        throw new Error(`Unknown summarizer "${config.summary.provider}"`);
+    }
+    return summarizer;
+};
+
+/**
+ * Add a summarizer that SUMMARY_PROVIDER can name
+ * @param {String} name
+ * @param {Object} summarizer - { title: async (messages) => text, summarize: async (messages, previousSummary) => text }
+ */
+const registerSummarizer = (name, summarizer) => {
+    summarizers[name] = summarizer;
+    if (!SUMMARIZERS.includes(name)) {
+        SUMMARIZERS.push(name);
+    }
+};
+
+/**
+ * Title a chat with the configured summarizer
+ * @param {Array} messages - [{ role, content }], oldest first
+ * @returns {String} at most TITLE_LENGTH characters, quotes and closing punctuation removed
+ */
+const titleChat = async (messages) => {
+    const title = await configuredSummarizer().title(messages);
+    return clip(String(title || '').replace(/^["'\s]+|["'.\s]+$/g, ''), TITLE_LENGTH);
+};
+
+/**
+ * Summarize a chat with the configured summarizer
+ * @param {Array} messages - [{ role, content }], oldest first
+ * @param {String|null} previousSummary - summary of messages before `messages`, when they were left out
+ * @returns {String} at most SUMMARY_LENGTH characters
+ */
+const summarizeChat = async (messages, previousSummary = null) => {
+    const summary = await configuredSummarizer().summarize(messages, previousSummary);
+    return clip(summary, SUMMARY_LENGTH);
+};
+
+module.exports = {
+    SUMMARIZERS,
+    registerSummarizer,
+    titleChat,
+    summarizeChat,
+};
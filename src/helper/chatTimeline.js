@@ -0,0 +1,110 @@
+const { Sequelize } = require('sequelize');
+
+// Entries at the same moment list messages before calls; within a source the row id decides
+const SOURCE_RANKS = { message: 0, call: 1 };
+
+/**
+ * Position of a row in the timeline
+ * @param {String} source - message or call
+ * @param {Object} row - vapi_message or vapi_call row
+ * @returns {Object} { source, rank, at, id }
+ */
+const timelineKey = (source, row) => ({
+    source,
+    rank: SOURCE_RANKS[source],
+    at: new Date(source === 'call' ? row.started_at || row.createdAt : row.timestamp),
+    id: row.id
+});
+
+/**
+ * Order two timeline keys, oldest first
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Number}
+ */
+const compareKeys = (a, b) => (a.at - b.at) || (a.rank - b.rank) || (a.id - b.id);
+
+/**
+ * Where condition for the rows of one source on the wanted side of a cursor
+ * @param {Object} time - column or expression holding the row's timeline time
+ * @param {String} source - message or call
+ * @param {Object} cursor - { direction: before|after, key } where key comes from timelineKey
+ * @returns {Object}
+ */
+const cursorCondition = (time, source, cursor) => {
+    const { direction, key } = cursor;
+    const op = direction === 'after' ? Sequelize.Op.gt : Sequelize.Op.lt;
+    const rank = SOURCE_RANKS[source];
+
+    // At the cursor's own moment, the rank tells which side the other source falls on
+    if (rank !== key.rank) {
+        const sameMomentIncluded = (rank > key.rank) === (direction === 'after');
+        const inclusive = direction === 'after' ? Sequelize.Op.gte : Sequelize.Op.lte;
+        return Sequelize.where(time, { [sameMomentIncluded ? inclusive : op]: key.at });
+    }
+
+    return {
+        [Sequelize.Op.or]: [
+            Sequelize.where(time, { [op]: key.at }),
+            {
+                [Sequelize.Op.and]: [
+                    Sequelize.where(time, { [Sequelize.Op.eq]: key.at }),
+                    { id: { [op]: key.id } }
+                ]
+            }
+        ]
+    };
+};
+
+/**
+ * Timeline entry for a stored message: text, or a voice message with its recording
+ * @param {Object} message - vapi_message row, with its voice_message when it has one
+ * @returns {Object}
+ */
+const messageEntry = (message) => {
+    const { voice_message: voice } = message;
+    if (message.message_type === 'voice' || voice) {
+        return {
+            id: message.uuid,
+            type: 'voice',
+            at: message.timestamp,
+            role: message.role,
+            audio_url: voice?.audio_url || null,
+            transcript: voice?.transcript || message.content || null,
+            duration: voice?.duration ?? null
+        };
+    }
+
+    return {
+        id: message.uuid,
+        type: 'text',
+        at: message.timestamp,
+        role: message.role,
+        text: message.content
+    };
+};
+
+/**
+ * Timeline entry for a call made from the chat
+ * @param {Object} call - vapi_call row
+ * @returns {Object}
+ */
+const callEntry = (call) => ({
+    id: call.uuid,
+    type: 'call',
+    at: call.started_at || call.createdAt,
+    status: call.status,
+    summary: call.summary || null,
+    recording_url: call.recording_url || null,
+    duration: call.duration ?? null,
+    ended_at: call.ended_at || null,
+    end_reason: call.end_reason || null
+});
+
+module.exports = {
+    timelineKey,
+    compareKeys,
+    cursorCondition,
+    messageEntry,
+    callEntry,
+};
@@ -0,0 +1,105 @@
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isEqual = (a, b) => {
+    return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Compute the field-level differences between two configs.
+ * Nested objects are walked, arrays are compared as a whole.
+ * @param {Object} before
+ * @param {Object} after
+ * @param {String} prefix - path of the objects being compared
+ * @returns {Array} [{ path, type: 'added' | 'removed' | 'changed', before, after }]
+ */
+const diffConfigs = (before = {}, after = {}, prefix = '') => {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach((key) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const oldValue = before ? before[key] : undefined;
+        const newValue = after ? after[key] : undefined;
+
+        if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+            changes.push(...diffConfigs(oldValue, newValue, path));
+        } else if (oldValue === undefined && newValue !== undefined) {
+            changes.push({ path, type: 'added', after: newValue });
+        } else if (oldValue !== undefined && newValue === undefined) {
+            changes.push({ path, type: 'removed', before: oldValue });
+        } else if (!isEqual(oldValue, newValue)) {
+            changes.push({ path, type: 'changed', before: oldValue, after: newValue });
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Deep merge `source` into a copy of `target`. Arrays and scalars in `source` replace the target value.
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object}
+ */
+const mergeConfigs = (target = {}, source = {}) => {
+    const merged = { ...target };
+
+    Object.keys(source || {}).forEach((key) => {
+        if (isPlainObject(merged[key]) && isPlainObject(source[key])) {
+            merged[key] = mergeConfigs(merged[key], source[key]);
+        } else {
+            merged[key] = source[key];
+        }
+    });
+
+    return merged;
+};
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object
+ * @param {String} path - e.g. `model.temperature`
+ * @returns {*}
+ */
+const getPath = (object, path) => {
+    return path.split('.').reduce((value, key) => {
+        return value === undefined || value === null ? undefined : value[key];
+    }, object);
+};
+
+/**
+ * Write a dotted path on an object, creating intermediate objects. `undefined` removes the key.
+ * @param {Object} object
+ * @param {String} path
+ * @param {*} value
+ * @returns {Object} the same object
+ */
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    let cursor = object;
+
+    keys.slice(0, -1).forEach((key) => {
+        if (!isPlainObject(cursor[key])) {
+            cursor[key] = {};
+        }
+        cursor = cursor[key];
+    });
+
+    const lastKey = keys[keys.length - 1];
+    if (value === undefined) {
+        delete cursor[lastKey];
+    } else {
+        cursor[lastKey] = value;
+    }
+
+    return object;
+};
+
+module.exports = {
+    diffConfigs,
+    mergeConfigs,
+    getPath,
+    setPath,
+};
@@ -0,0 +1,276 @@
+const { createObjectCsvStringifier } = require('csv-writer');
+const { messageText } = require('./chatMessages');
+const { renderPdf } = require('./pdfDocument');
+
+const EXPORT_FORMATS = {
+    md: 'text/markdown; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    pdf: 'application/pdf'
+};
+
+const KIND_TITLES = { chat: 'Chat', call: 'Call' };
+
+// One row per transcript entry; the conversation columns let several exports be concatenated
+const CSV_HEADER = [
+    { id: 'conversation_type', title: 'conversation_type' },
+    { id: 'conversation_id', title: 'conversation_id' },
+    { id: 'conversation_title', title: 'conversation_title' },
+    { id: 'timestamp', title: 'timestamp' },
+    { id: 'speaker', title: 'speaker' },
+    { id: 'role', title: 'role' },
+    { id: 'type', title: 'type' },
+    { id: 'text', title: 'text' },
+    { id: 'voice_transcript', title: 'voice_transcript' },
+    { id: 'audio_url', title: 'audio_url' },
+    { id: 'duration', title: 'duration' }
+];
+
+// Vapi call transcripts are plain text with one "Speaker: text" line per turn
+const TRANSCRIPT_LINE = /^([A-Za-z][\w ]{0,30}):\s*(.*)$/;
+
+const formatTime = (value) => (value ? new Date(value).toISOString() : null);
+
+const labelOf = (key) => key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' ');
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+const displayValue = (value) => {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+/**
+ * Transcript of a chat from its stored messages
+ * @param {Object} chat - vapi_chat row with its assistant
+ * @param {Array} messages - vapi_message rows, oldest first, with their voice_message
+ * @returns {Object} { kind, id, title, details, entries }
+ */
+const chatTranscript = (chat, messages) => {
+    const speakers = {
+        user: 'User',
+        assistant: chat.assistant?.name || 'Assistant',
+        tool: 'Tool'
+    };
+
+    return {
+        kind: 'chat',
+        id: chat.uuid,
+        title: chat.name || chat.uuid,
+        details: {
+            assistant: chat.assistant?.name || null,
+            status: chat.status,
+            language: chat.language || null,
+            created_at: formatTime(chat.createdAt),
+            last_message_at: formatTime(chat.last_message_at),
+            message_count: messages.length,
+            voice_message_count: messages.filter((message) => message.voice_message).length,
+            summary: chat.summary || null,
+            tags: chat.tags || []
+        },
+        entries: messages.map((message) => {
+            const { voice_message: voice } = message;
+            return {
+                timestamp: formatTime(message.timestamp),
+                speaker: speakers[message.role] || message.role,
+                role: message.role,
+                type: voice ? 'voice' : message.message_type,
+                text: message.content || '',
+                voice: voice
+                    ? { transcript: voice.transcript || null, audio_url: voice.audio_url || null, duration: voice.duration ?? null }
+                    : null
+            };
+        })
+    };
+};
+
+/**
+ * Transcript of a call from its Vapi messages, or from its plain text transcript when there are none
+ * @param {Object} call - vapi_call row with its assistant
+ * @param {Array} messages - Vapi call messages, optionally labelled with their `assistant` (see attributeMessages)
+ * @returns {Object} { kind, id, title, details, entries }
+ */
+const callTranscript = (call, messages = []) => {
+    const assistantName = call.assistant?.name || 'Assistant';
+    const speakers = { user: 'Customer', assistant: assistantName, bot: assistantName, tool: 'Tool' };
+
+    const entries = messages
+        .filter((message) => speakers[message.role] && messageText(message).trim() !== '')
+        .map((message) => ({
+            timestamp: formatTime(message.time),
+            speaker: message.assistant || speakers[message.role],
+            role: message.role === 'bot' ? 'assistant' : message.role,
+            type: 'text',
+            text: messageText(message),
+            voice: null
+        }));
+
+    if (entries.length === 0 && call.transcript) {
+        call.transcript.split('\n').filter((line) => line.trim() !== '').forEach((line) => {
+            const [, speaker, text] = line.match(TRANSCRIPT_LINE) || [];
+
+            // A line without a speaker carries on the previous turn
+            if (!speaker && entries.length > 0) {
+                entries[entries.length - 1].text += `\n${line.trim()}`;
+                return;
+            }
+
+            const role = /^(user|customer)$/i.test(speaker || '') ? 'user' : 'assistant';
+            entries.push({
+                timestamp: null,
+                speaker: speakers[role],
+                role,
+                type: 'text',
+                text: (speaker ? text : line).trim(),
+                voice: null
+            });
+        });
+    }
+
+    return {
+        kind: 'call',
+        id: call.uuid,
+        title: call.customer_number || call.uuid,
+        details: {
+            assistant: call.assistant?.name || null,
+            status: call.status,
+            customer_number: call.customer_number || null,
+            language: call.language || null,
+            started_at: formatTime(call.started_at),
+            ended_at: formatTime(call.ended_at),
+            duration: call.duration ?? null,
+            end_reason: call.end_reason || null,
+            cost: call.cost !== null && call.cost !== undefined ? Number(call.cost) : null,
+            recording_url: call.recording_url || null,
+            summary: call.summary || null
+        },
+        entries
+    };
+};
+
+const voiceNote = (voice) => [
+    `Voice message${voice.duration ? `, ${voice.duration} s` : ''}`,
+    voice.audio_url
+].filter(Boolean).join(': ');
+
+const toMarkdown = (transcript) => {
+    const lines = [`# ${KIND_TITLES[transcript.kind]}: ${transcript.title}`, ''];
+
+    Object.entries({ id: transcript.id, ...transcript.details })
+        .filter(([, value]) => !isEmpty(value))
+        .forEach(([key, value]) => lines.push(`- **${labelOf(key)}:** ${displayValue(value)}`));
+
+    lines.push('', '## Transcript', '');
+    transcript.entries.forEach((entry) => {
+        lines.push(`**${entry.speaker}**${entry.timestamp ? ` (${entry.timestamp})` : ''}`, '');
+        if (entry.text) {
+            lines.push(entry.text, '');
+        }
+        if (entry.voice) {
+            lines.push(`> ${voiceNote(entry.voice)}`);
+            if (entry.voice.transcript && entry.voice.transcript !== entry.text) {
+                lines.push('>', `> Transcript: ${entry.voice.transcript}`);
+            }
+            lines.push('');
+        }
+    });
+
+    return lines.join('\n');
+};
+
+const toCsv = (transcript) => {
+    const csv = createObjectCsvStringifier({ header: CSV_HEADER });
+    const records = transcript.entries.map((entry) => ({
+        conversation_type: transcript.kind,
+        conversation_id: transcript.id,
+        conversation_title: transcript.title,
+        timestamp: entry.timestamp,
+        speaker: entry.speaker,
+        role: entry.role,
+        type: entry.type,
+        text: entry.text,
+        voice_transcript: entry.voice?.transcript,
+        audio_url: entry.voice?.audio_url,
+        duration: entry.voice?.duration
+    }));
+    return csv.getHeaderString() + csv.stringifyRecords(records);
+};
+
+const toPdf = (transcript) => {
+    const title = `${KIND_TITLES[transcript.kind]}: ${transcript.title}`;
+    const blocks = [{ text: title, style: 'title' }];
+
+    Object.entries({ id: transcript.id, ...transcript.details })
+        .filter(([, value]) => !isEmpty(value))
+        .forEach(([key, value]) => blocks.push({ text: `${labelOf(key)}: ${displayValue(value)}`, style: 'note' }));
+
+    blocks.push({ text: 'Transcript', style: 'heading' });
+    if (transcript.entries.length === 0) {
+        blocks.push({ text: 'No messages.', style: 'body' });
+    }
+    transcript.entries.forEach((entry) => {
+        blocks.push({ text: `${entry.speaker}${entry.timestamp ? ` - ${entry.timestamp}` : ''}`, style: 'label' });
+        if (entry.text) {
+            blocks.push({ text: entry.text, style: 'body' });
+        }
+        if (entry.voice) {
+            blocks.push({ text: voiceNote(entry.voice), style: 'note' });
+            if (entry.voice.transcript && entry.voice.transcript !== entry.text) {
+                blocks.push({ text: `Transcript: ${entry.voice.transcript}`, style: 'note' });
+            }
+        }
+    });
+
+    return renderPdf(blocks, { title });
+};
+
+/**
+ * Render a transcript in one of the EXPORT_FORMATS
+ * @param {Object} transcript - from chatTranscript or callTranscript
+ * @param {String} format - md, json, csv or pdf
+ * @param {Date} exportedAt
+ * @returns {Promise<Buffer|String>}
+ */
+const renderTranscript = async (transcript, format, exportedAt = new Date()) => {
+    switch (format) {
+        case 'md':
+            return toMarkdown(transcript);
+        case 'csv':
+            return toCsv(transcript);
+        case 'pdf':
+            return toPdf(transcript);
+        default:
+            return JSON.stringify({
+                kind: transcript.kind,
+                id: transcript.id,
+                title: transcript.title,
+                exported_at: exportedAt.toISOString(),
+                ...transcript.details,
+                messages: transcript.entries
+            }, null, 2);
+    }
+};
+
+/**
+ * File name for an exported transcript, e.g. support-request-<uuid>.md
+ * @param {Object} transcript
+ * @param {String} format
+ * @returns {String}
+ */
+const exportFileName = (transcript, format) => {
+    // Untitled conversations are named after their id already
+    const slug = transcript.title === transcript.id
+        ? transcript.kind
+        : transcript.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    return `${slug || transcript.kind}-${transcript.id}.${format}`;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    chatTranscript,
+    callTranscript,
+    renderTranscript,
+    exportFileName,
+};
@@ -0,0 +1,76 @@
+const moment = require('moment');
+const { renderPlaceholders } = require('./placeholder');
+const { localizeConfig } = require('./assistantLocale');
+
+/**
+ * Whether a placeholder is filled in when a chat or call starts, rather than when an assistant is built
+ * @param {String} name
+ * @returns {Boolean}
+ */
+const isConversationVariable = (name) => {
+    return ['now', 'today', 'customer', 'metadata'].includes(name)
+        || name.startsWith('customer.')
+        || name.startsWith('metadata.');
+};
+
+/**
+ * Collect the values prompt placeholders can use for one conversation
+ * @param {Object} conversation - { customer, metadata }
+ * @returns {Object}
+ */
+const buildConversationVariables = ({ customer = {}, metadata = {} } = {}) => {
+    const now = moment();
+
+    return {
+        // Top-level metadata keys can be used directly, e.g. {{company}}
+        ...metadata,
+        metadata,
+        customer: { ...(metadata.customer || {}), ...customer },
+        now: now.format('dddd, MMMM D, YYYY h:mm A'),
+        today: now.format('YYYY-MM-DD')
+    };
+};
+
+/**
+ * Render the placeholders in an assistant's system prompt and first message for one conversation
+ * @param {Object} vapiConfig - the assistant's Vapi config
+ * @param {Object} variables - from buildConversationVariables
+ * @param {Object} options - { allowMissing: blank out placeholders without a value instead of failing,
+ *                           language: locale variant to apply first, see assistantLocale.pickLanguage }
+ * @returns {Object} { overrides, missing } - overrides is null when the assistant has no placeholders and no locale variant applies
+ */
+const resolveAssistantOverrides = (vapiConfig = {}, variables = {}, options = {}) => {
+    const { config: localized, overrides: localeOverrides } = localizeConfig(vapiConfig, options.language);
+    const template = {
+        firstMessage: localized.firstMessage,
+        messages: localized.model?.messages || []
+    };
+
+    const { result, missing } = renderPlaceholders(template, variables);
+    if (missing.length > 0 && !options.allowMissing) {
+        return { overrides: null, missing };
+    }
+
+    if (JSON.stringify(result) === JSON.stringify(template)) {
+        return { overrides: localeOverrides, missing };
+    }
+
+    const overrides = {
+        ...localeOverrides,
+        model: {
+            ...localized.model,
+            messages: result.messages
+        }
+    };
+    if (result.firstMessage) {
+        overrides.firstMessage = result.firstMessage;
+    }
+
+    return { overrides, missing };
+};
+
+module.exports = {
+    isConversationVariable,
+    buildConversationVariables,
+    resolveAssistantOverrides,
+};
@@ -0,0 +1,90 @@
+const path = require('path');
+// The package entry point runs a self-test when loaded outside a parent module, so load the parser directly
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+
+/**
+ * Strip markdown syntax, keeping the text a reader would see
+ * @param {String} text
+ * @returns {String}
+ */
+const markdownToText = (text) => {
+    return text
+        .replace(/^```.*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+        .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+        .replace(/^[ \t]*[-*+][ \t]+/gm, '- ')
+        .replace(/(\*\*|\*|`)(\S(?:.*?\S)?)\1/g, '$2')
+        .replace(/\b(__|_)(\S(?:.*?\S)?)\1\b/g, '$2')
+        .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '');
+};
+
+/**
+ * Strip HTML markup, keeping block boundaries as paragraph breaks
+ * @param {String} html
+ * @returns {String}
+ */
+const htmlToText = (html) => {
+    return html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|tr|section|article)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'");
+};
+
+/**
+ * FAQ files are a JSON array of { question, answer }; each pair becomes its own paragraph
+ * @param {String} json
+ * @returns {String}
+ */
+const faqToText = (json) => {
+    const entries = JSON.parse(json);
+    if (!Array.isArray(entries)) {
+        throw new Error('FAQ files must hold an array of { question, answer } entries');
+    }
+
+    return entries
+        .filter((entry) => entry && entry.question && entry.answer)
+        .map((entry) => `Q: ${entry.question}\nA: ${entry.answer}`)
+        .join('\n\n');
+};
+
+const extractors = {
+    '.txt': async (buffer) => buffer.toString('utf8'),
+    '.md': async (buffer) => markdownToText(buffer.toString('utf8')),
+    '.markdown': async (buffer) => markdownToText(buffer.toString('utf8')),
+    '.html': async (buffer) => htmlToText(buffer.toString('utf8')),
+    '.htm': async (buffer) => htmlToText(buffer.toString('utf8')),
+    '.json': async (buffer) => faqToText(buffer.toString('utf8')),
+    '.pdf': async (buffer) => (await pdfParse(buffer)).text
+};
+
+// Extensions that can be indexed
+const DOCUMENT_EXTENSIONS = Object.keys(extractors);
+
+/**
+ * Get the plain text of an uploaded document
+ * @param {Buffer} buffer - file contents
+ * @param {String} fileName - the extension decides how the file is read
+ * @returns {String}
+ */
+const extractText = async (buffer, fileName) => {
+    const extractor = extractors[path.extname(fileName || '').toLowerCase()];
+    if (!extractor) {
+        throw new Error(`Unsupported file type, expected one of ${DOCUMENT_EXTENSIONS.join(', ')}`);
+    }
+
+    return (await extractor(buffer)).trim();
+};
+
+module.exports = {
+    DOCUMENT_EXTENSIONS,
+    extractText,
+};
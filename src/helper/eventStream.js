@@ -0,0 +1,104 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Read a server-sent events stream, handing over the data of each event as it arrives
+ * @param {Object} stream - readable stream of the response body
+ * @param {Function} onData - called with the data of each event, JSON parsed when it is JSON; `[DONE]` markers are skipped
+ * @returns {Promise<void>} resolves when the stream ends, rejects with the first stream or onData error
+ */
+const readEventStream = (stream, onData) => new Promise((resolve, reject) => {
+    // Chunks may end inside a multi-byte character or in the middle of an event
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let failed = false;
+
+    const fail = (error) => {
+        if (!failed) {
+            failed = true;
+            stream.destroy();
+            reject(error);
+        }
+    };
+
+    const dispatch = (block) => {
+        const data = block
+            .split(/\r?\n/)
+            .filter((line) => line.startsWith('data:'))
+            .map((line) => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+        if (data === '' || data === '[DONE]') {
+            return;
+        }
+
+        let parsed = data;
+        try {
+            parsed = JSON.parse(data);
+        } catch (notJson) {
+            // Plain text data is passed on as is
+        }
+        onData(parsed);
+    };
+
+    const drain = (final) => {
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = final ? '' : blocks.pop();
+        blocks.forEach(dispatch);
+    };
+
+    stream.on('data', (chunk) => {
+        if (failed) {
+            return;
+        }
+        buffer += decoder.write(chunk);
+        try {
+            drain(false);
+        } catch (error) {
+            fail(error);
+        }
+    });
+    stream.on('end', () => {
+        if (failed) {
+            return;
+        }
+        buffer += decoder.end();
+        try {
+            drain(true);
+            resolve();
+        } catch (error) {
+            fail(error);
+        }
+    });
+    stream.on('error', fail);
+});
+
+/**
+ * Start a server-sent events response
+ * @param {Object} res - Express response
+ */
+const openEventStream = (res) => {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Keep proxies such as nginx from holding events back
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+};
+
+/**
+ * Write one server-sent event
+ * @param {Object} res - Express response opened with openEventStream
+ * @param {String} event
+ * @param {Object} data - sent as JSON
+ */
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+module.exports = {
+    readEventStream,
+    openEventStream,
+    writeEvent,
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+/**
+ * Who an experiment assignment sticks to: the contact when one is given, otherwise the user
+ * @param {Object} conversation - { customer, user }
+ * @returns {String|null}
+ */
+const experimentSubject = ({ customer = {}, user = null } = {}) => {
+    const contact = customer?.number || customer?.email;
+    if (contact) {
+        return `contact:${String(contact).trim().toLowerCase()}`;
+    }
+    if (user?.id) {
+        return `user:${user.id}`;
+    }
+    return null;
+};
+
+/**
+ * Pick a variant by weight. The same seed always lands on the same variant while the weights stay the same.
+ * @param {Array} variants - [{ key, weight }]
+ * @param {String|null} seed - without a seed the pick is random
+ * @returns {Object|null}
+ */
+const pickVariant = (variants = [], seed = null) => {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    if (total <= 0) {
+        return null;
+    }
+
+    const point = seed
+        ? parseInt(crypto.createHash('sha1').update(seed).digest('hex').slice(0, 8), 16) % total
+        : Math.floor(Math.random() * total);
+
+    let upper = 0;
+    return variants.find((variant) => {
+        upper += variant.weight;
+        return point < upper;
+    });
+};
+
+module.exports = {
+    experimentSubject,
+    pickVariant,
+};
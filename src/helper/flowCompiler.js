@@ -0,0 +1,332 @@
+const safeRegex = require('safe-regex');
+const config = require('../config/config');
+
+const NODE_TYPES = ['greeting', 'question', 'branch', 'tool', 'transfer', 'end'];
+const TERMINAL_NODE_TYPES = ['transfer', 'end'];
+
+/**
+ * Index flow nodes by their id
+ * @param {Array} nodes
+ * @returns {Object}
+ */
+const indexNodes = (nodes = []) => {
+    return Object.fromEntries(nodes.map((node) => [node.id, node]));
+};
+
+/**
+ * Get the ids of every node a node can move to
+ * @param {Object} node
+ * @returns {Array}
+ */
+const getNextNodeIds = (node) => {
+    if (node.type === 'branch') {
+        const targets = (node.branches || []).map((branch) => branch.next);
+        if (node.default_next) {
+            targets.push(node.default_next);
+        }
+        return targets;
+    }
+    return node.next ? [node.next] : [];
+};
+
+/**
+ * Check the pattern of a `matches` branch. Patterns run on the server's event loop, so ones that can
+ * backtrack exponentially (nested repetition such as `(a+)+`) are refused.
+ * @param {String} pattern
+ * @returns {String|null} what is wrong with the pattern, null when it can be used
+ */
+const checkPattern = (pattern) => {
+    let regex;
+    try {
+        regex = new RegExp(pattern, 'i');
+    } catch (e) {
+        return `pattern /${pattern}/ is not a valid regular expression`;
+    }
+    return safeRegex(regex) ? null : `pattern /${pattern}/ can take exponential time, avoid nested repetition`;
+};
+
+/**
+ * Validate the structure of a flow graph
+ * @param {Object} flow - { start_node_id, nodes }
+ * @returns {Array} list of error messages, empty when the graph is valid
+ */
+const validateFlowGraph = (flow) => {
+    const errors = [];
+    const nodes = flow.nodes || [];
+    const index = {};
+
+    if (nodes.length === 0) {
+        return ['Flow must contain at least one node'];
+    }
+
+    nodes.forEach((node) => {
+        if (index[node.id]) {
+            errors.push(`Duplicate node id "${node.id}"`);
+        }
+        index[node.id] = node;
+        if (!NODE_TYPES.includes(node.type)) {
+            errors.push(`Node "${node.id}" has unknown type "${node.type}"`);
+        }
+        if (node.type === 'branch') {
+            (node.branches || [])
+                .filter((branch) => branch.operator === 'matches')
+                .forEach((branch) => {
+                    const problem = checkPattern(branch.value);
+                    if (problem) {
+                        errors.push(`Node "${node.id}" branch ${problem}`);
+                    }
+                });
+        }
+    });
+
+    if (!index[flow.start_node_id]) {
+        errors.push(`Start node "${flow.start_node_id}" does not exist`);
+    }
+
+    nodes.forEach((node) => {
+        getNextNodeIds(node).forEach((nextId) => {
+            if (!index[nextId]) {
+                errors.push(`Node "${node.id}" points to missing node "${nextId}"`);
+            }
+        });
+
+        if (!TERMINAL_NODE_TYPES.includes(node.type) && getNextNodeIds(node).length === 0) {
+            errors.push(`Node "${node.id}" of type "${node.type}" must point to a next node`);
+        }
+    });
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    // Every node should be reachable from the start node
+    const visited = new Set();
+    const queue = [flow.start_node_id];
+    while (queue.length > 0) {
+        const nodeId = queue.shift();
+        if (!visited.has(nodeId)) {
+            visited.add(nodeId);
+            queue.push(...getNextNodeIds(index[nodeId]));
+        }
+    }
+    nodes
+        .filter((node) => !visited.has(node.id))
+        .forEach((node) => errors.push(`Node "${node.id}" is not reachable from the start node`));
+
+    if (!nodes.some((node) => TERMINAL_NODE_TYPES.includes(node.type))) {
+        errors.push('Flow must contain at least one end or transfer node');
+    }
+
+    return errors;
+};
+
+/**
+ * Describe a branch condition in plain words for the model
+ * @param {Object} branch
+ * @returns {String}
+ */
+const describeCondition = (branch) => {
+    switch (branch.operator) {
+        case 'contains':
+            return `mentions "${branch.value}"`;
+        case 'in':
+            return `is one of ${[].concat(branch.value).map((value) => `"${value}"`).join(', ')}`;
+        case 'matches':
+            return `matches the pattern /${branch.value}/`;
+        case 'equals':
+        default:
+            return `is "${branch.value}"`;
+    }
+};
+
+/**
+ * Render the instruction line(s) for a single node
+ * @param {Object} node
+ * @returns {String}
+ */
+const describeNode = (node) => {
+    const arrow = node.next ? ` → ${node.next}` : '';
+
+    switch (node.type) {
+        case 'greeting':
+            return `[${node.id}] Greet the user with: "${node.message}"${arrow}`;
+        case 'question':
+            return `[${node.id}] Ask: "${node.prompt}" Remember the answer as \`${node.variable}\`.${arrow}`;
+        case 'branch': {
+            const lines = [`[${node.id}] Decide based on \`${node.variable}\`:`];
+            (node.branches || []).forEach((branch) => {
+                lines.push(`  - if it ${describeCondition(branch)} → ${branch.next}`);
+            });
+            if (node.default_next) {
+                lines.push(`  - otherwise → ${node.default_next}`);
+            }
+            return lines.join('\n');
+        }
+        case 'tool':
+            return `[${node.id}] Call the \`${node.tool.name}\` tool${
+                node.message ? ` after saying "${node.message}"` : ''
+            }.${arrow}`;
+        case 'transfer':
+            return `[${node.id}] ${
+                node.message ? `Say "${node.message}" then transfer` : 'Transfer'
+            } the call to ${node.phone_number} using the transferCall tool.`;
+        case 'end':
+            return `[${node.id}] ${
+                node.message ? `Say "${node.message}" then end` : 'End'
+            } the conversation using the endCall tool.`;
+        default:
+            return `[${node.id}]`;
+    }
+};
+
+/**
+ * Order nodes breadth-first from the start node so the prompt reads top to bottom
+ * @param {Object} flow
+ * @returns {Array}
+ */
+const orderNodes = (flow) => {
+    const index = indexNodes(flow.nodes);
+    const ordered = [];
+    const visited = new Set();
+    const queue = [flow.start_node_id];
+
+    while (queue.length > 0) {
+        const nodeId = queue.shift();
+        if (index[nodeId] && !visited.has(nodeId)) {
+            visited.add(nodeId);
+            ordered.push(index[nodeId]);
+            queue.push(...getNextNodeIds(index[nodeId]));
+        }
+    }
+
+    return ordered;
+};
+
+/**
+ * Build the system prompt for a flow
+ * @param {Object} flow
+ * @param {Object} state - optional { currentNodeId, variables } describing a point in the conversation
+ * @returns {String}
+ */
+const buildSystemPrompt = (flow, state = {}) => {
+    const sections = [];
+
+    if (flow.base_prompt) {
+        sections.push(flow.base_prompt.trim());
+    }
+
+    sections.push(
+        [
+            '## Conversation flow',
+            'Follow these steps in order, starting at the first one. Each step is labelled with its id; after a step, continue with the step named after "→". Do not skip steps and do not invent new ones.',
+            '',
+            ...orderNodes(flow).map(describeNode),
+        ].join('\n'),
+    );
+
+    if (state.currentNodeId) {
+        const variables = Object.entries(state.variables || {});
+        sections.push(
+            [
+                '## Current state',
+                `You are at step [${state.currentNodeId}].`,
+                variables.length > 0
+                    ? `Known values: ${variables.map(([key, value]) => `\`${key}\` = "${value}"`).join(', ')}.`
+                    : 'No values have been collected yet.',
+            ].join('\n'),
+        );
+    }
+
+    return sections.join('\n\n');
+};
+
+/**
+ * Build the Vapi tools a flow needs
+ * @param {Object} flow
+ * @returns {Array}
+ */
+const buildTools = (flow) => {
+    const nodes = flow.nodes || [];
+    const tools = [];
+    const serverUrl = config.app.url ? `${config.app.url}/api/webhooks/vapi` : undefined;
+
+    nodes
+        .filter((node) => node.type === 'tool')
+        .forEach((node) => {
+            if (tools.some((tool) => tool.function && tool.function.name === node.tool.name)) {
+                return;
+            }
+            const tool = {
+                type: 'function',
+                function: {
+                    name: node.tool.name,
+                    description: node.tool.description || '',
+                    parameters: node.tool.parameters || { type: 'object', properties: {} },
+                },
+            };
+            const url = node.tool.server_url || serverUrl;
+            if (url) {
+                tool.server = { url };
+            }
+            tools.push(tool);
+        });
+
+    const transferNodes = nodes.filter((node) => node.type === 'transfer');
+    if (transferNodes.length > 0) {
+        tools.push({
+            type: 'transferCall',
+            destinations: transferNodes.map((node) => {
+                return {
+                    type: 'number',
+                    number: node.phone_number,
+                    message: node.message || '',
+                    description: node.label || `Transfer for step ${node.id}`,
+                };
+            }),
+        });
+    }
+
+    if (nodes.some((node) => node.type === 'end')) {
+        tools.push({ type: 'endCall' });
+    }
+
+    return tools;
+};
+
+/**
+ * Compile a flow into the parts of a Vapi assistant config it controls
+ * @param {Object} flow
+ * @returns {Object} { firstMessage, model: { messages, tools } }
+ */
+const compileFlow = (flow) => {
+    const startNode = indexNodes(flow.nodes)[flow.start_node_id];
+
+    const compiled = {
+        model: {
+            messages: [
+                {
+                    role: 'system',
+                    content: buildSystemPrompt(flow),
+                },
+            ],
+            tools: buildTools(flow),
+        },
+    };
+
+    if (startNode && startNode.type === 'greeting') {
+        compiled.firstMessage = startNode.message;
+    }
+
+    return compiled;
+};
+
+module.exports = {
+    NODE_TYPES,
+    indexNodes,
+    getNextNodeIds,
+    checkPattern,
+    validateFlowGraph,
+    buildSystemPrompt,
+    buildTools,
+    compileFlow,
+};
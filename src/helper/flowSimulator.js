@@ -0,0 +1,126 @@
+const { indexNodes, checkPattern, buildSystemPrompt } = require('./flowCompiler');
+
+/**
+ * Check whether a captured value satisfies a branch condition
+ * @param {Object} branch - { operator, value }
+ * @param {String} input
+ * @returns {Boolean}
+ */
+const matchesBranch = (branch, input) => {
+    if (input === undefined || input === null) {
+        return false;
+    }
+    const text = String(input).trim().toLowerCase();
+
+    switch (branch.operator) {
+        case 'contains':
+            return text.includes(String(branch.value).toLowerCase());
+        case 'in':
+            return []
+                .concat(branch.value)
+                .some((value) => text === String(value).trim().toLowerCase());
+        case 'matches':
+            // Flows saved before patterns were checked may still hold one that is unsafe to run
+            return checkPattern(branch.value) === null && new RegExp(branch.value, 'i').test(String(input));
+        case 'equals':
+        default:
+            return text === String(branch.value).trim().toLowerCase();
+    }
+};
+
+/**
+ * Walk a flow graph with scripted user turns, without calling Vapi
+ * @param {Object} flow - { start_node_id, nodes, base_prompt }
+ * @param {Object} options - { utterances, variables, tool_results, max_steps }
+ * @returns {Object} the path taken, captured variables and the prompt at every step
+ */
+const simulateFlow = (flow, options = {}) => {
+    const index = indexNodes(flow.nodes);
+    const utterances = [...(options.utterances || [])];
+    const toolResults = options.tool_results || {};
+    const maxSteps = options.max_steps || 100;
+    const variables = { ...(options.variables || {}) };
+    const steps = [];
+
+    let currentId = flow.start_node_id;
+    let outcome = 'max_steps';
+
+    while (steps.length < maxSteps) {
+        const node = index[currentId];
+        if (!node) {
+            outcome = 'missing_node';
+            break;
+        }
+
+        const step = {
+            step: steps.length + 1,
+            node_id: node.id,
+            type: node.type,
+            prompt: buildSystemPrompt(flow, { currentNodeId: node.id, variables }),
+        };
+        steps.push(step);
+
+        let nextId = node.next;
+
+        if (node.type === 'greeting') {
+            step.assistant = node.message;
+        } else if (node.type === 'question') {
+            step.assistant = node.prompt;
+            if (utterances.length === 0) {
+                outcome = 'awaiting_input';
+                break;
+            }
+            step.user = utterances.shift();
+            variables[node.variable] = step.user;
+            step.captured = { [node.variable]: step.user };
+        } else if (node.type === 'branch') {
+            const branch = (node.branches || []).find((candidate) => {
+                return matchesBranch(candidate, variables[node.variable]);
+            });
+            nextId = branch ? branch.next : node.default_next;
+            step.branch_taken = branch
+                ? { operator: branch.operator, value: branch.value, next: branch.next }
+                : { default: true, next: node.default_next || null };
+            if (!nextId) {
+                outcome = 'no_matching_branch';
+                break;
+            }
+        } else if (node.type === 'tool') {
+            if (node.message) {
+                step.assistant = node.message;
+            }
+            step.tool_call = {
+                name: node.tool.name,
+                arguments: { ...variables },
+                result: Object.prototype.hasOwnProperty.call(toolResults, node.tool.name)
+                    ? toolResults[node.tool.name]
+                    : null,
+            };
+        } else if (node.type === 'transfer') {
+            step.assistant = node.message || null;
+            step.transfer_to = node.phone_number;
+            outcome = 'transferred';
+            break;
+        } else if (node.type === 'end') {
+            step.assistant = node.message || null;
+            outcome = 'ended';
+            break;
+        }
+
+        currentId = nextId;
+    }
+
+    return {
+        outcome,
+        completed: outcome === 'ended' || outcome === 'transferred',
+        path: steps.map((step) => step.node_id),
+        variables,
+        steps,
+        unused_utterances: utterances,
+    };
+};
+
+module.exports = {
+    matchesBranch,
+    simulateFlow,
+};
@@ -0,0 +1,154 @@
+// Target passage length in characters; long enough to hold an FAQ answer, short enough to hand several to the model
+const CHUNK_SIZE = 1000;
+// Characters of the previous passage repeated at the start of the next one
+const CHUNK_OVERLAP = 150;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+    'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+    'them', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+    'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Split text into index terms: lowercased, accents removed, stop words dropped and plurals folded
+ * @param {String} text
+ * @returns {Array} terms in order of appearance
+ */
+const tokenize = (text = '') => {
+    return text
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((word) => word && !STOP_WORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+        .map((word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+};
+
+// Terms can be any word, including ones like "constructor" that objects inherit
+const termCount = (counts, term) => (counts && Object.prototype.hasOwnProperty.call(counts, term) ? counts[term] : 0);
+
+/**
+ * Count how often each term occurs
+ * @param {Array} terms - from tokenize
+ * @returns {Object} { term: count }
+ */
+const countTerms = (terms) => {
+    const counts = new Map();
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+    return Object.fromEntries(counts);
+};
+
+/**
+ * Break a piece of text that is longer than a chunk at sentence ends, or at spaces when a sentence is too long
+ * @param {String} text
+ * @returns {Array}
+ */
+const splitLongText = (text) => {
+    if (text.length <= CHUNK_SIZE) {
+        return [text];
+    }
+
+    const sentences = text.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [text];
+    return sentences.flatMap((sentence) => {
+        if (sentence.length <= CHUNK_SIZE) {
+            return [sentence.trim()];
+        }
+        const words = sentence.trim().split(/\s+/);
+        const pieces = [''];
+        words.forEach((word) => {
+            const last = pieces.length - 1;
+            if (pieces[last] && pieces[last].length + word.length + 1 > CHUNK_SIZE) {
+                pieces.push(word);
+            } else {
+                pieces[last] = pieces[last] ? `${pieces[last]} ${word}` : word;
+            }
+        });
+        return pieces;
+    });
+};
+
+/**
+ * Cut a document into passages. Paragraphs are kept together where they fit, and each passage
+ * starts with the tail of the previous one so an answer split across a boundary is still found.
+ * @param {String} text
+ * @returns {Array} passages
+ */
+const chunkText = (text = '') => {
+    const pieces = text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.replace(/[ \t]+/g, ' ').trim())
+        .filter(Boolean)
+        .flatMap(splitLongText)
+        .filter(Boolean);
+
+    const chunks = [];
+    let current = '';
+
+    pieces.forEach((piece) => {
+        if (current && current.length + piece.length + 2 > CHUNK_SIZE) {
+            chunks.push(current);
+            const tail = current.slice(-CHUNK_OVERLAP);
+            // Start the overlap at a word boundary
+            const overlap = tail.includes(' ') ? tail.slice(tail.indexOf(' ') + 1) : '';
+            current = overlap && overlap.length + piece.length + 2 <= CHUNK_SIZE ? `${overlap}\n\n${piece}` : piece;
+        } else {
+            current = current ? `${current}\n\n${piece}` : piece;
+        }
+    });
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+};
+
+/**
+ * Rank passages against a query with BM25
+ * @param {String} query
+ * @param {Array} chunks - [{ terms, token_count, ... }]
+ * @param {Number} limit - how many passages to return
+ * @returns {Array} [{ chunk, score }] best first, passages sharing no term with the query are left out
+ */
+const rankChunks = (query, chunks, limit = 5) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || chunks.length === 0) {
+        return [];
+    }
+
+    const averageLength = chunks.reduce((sum, chunk) => sum + (chunk.token_count || 0), 0) / chunks.length || 1;
+    const documentFrequency = Object.fromEntries(queryTerms.map((term) => [
+        term,
+        chunks.filter((chunk) => termCount(chunk.terms, term) > 0).length
+    ]));
+
+    return chunks
+        .map((chunk) => {
+            const score = queryTerms.reduce((sum, term) => {
+                const frequency = termCount(chunk.terms, term);
+                if (!frequency) {
+                    return sum;
+                }
+                const idf = Math.log(1 + (chunks.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+                const lengthRatio = (chunk.token_count || 0) / averageLength;
+                return sum + idf * ((frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthRatio)));
+            }, 0);
+            return { chunk, score };
+        })
+        .filter((ranked) => ranked.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+module.exports = {
+    CHUNK_SIZE,
+    tokenize,
+    countTerms,
+    chunkText,
+    rankChunks,
+};
@@ -0,0 +1,104 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE = { size: 'A4', margin: 50 };
+const FOOTER_SIZE = 8;
+
+// DejaVu Sans covers Latin, Greek and Cyrillic; Arabic-script runs (Arabic, Urdu, Persian) are set in Noto Naskh Arabic,
+// which also shapes the joined letter forms
+const FONTS = {
+    regular: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+    bold: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf'),
+    arabic: require.resolve('@expo-google-fonts/noto-naskh-arabic/400Regular/NotoNaskhArabic_400Regular.ttf'),
+    arabicBold: require.resolve('@expo-google-fonts/noto-naskh-arabic/700Bold/NotoNaskhArabic_700Bold.ttf')
+};
+
+const STYLES = {
+    title: { bold: true, size: 16, gapBefore: 0, gapAfter: 10 },
+    heading: { bold: true, size: 12, gapBefore: 10, gapAfter: 4 },
+    label: { bold: true, size: 10, gapBefore: 8, gapAfter: 0 },
+    body: { bold: false, size: 10, gapBefore: 0, gapAfter: 0 },
+    note: { bold: false, size: 9, gapBefore: 0, gapAfter: 0 }
+};
+
+// Arabic-script words and punctuation, together with the spaces between them: a run is laid out right to left as a whole,
+// so the words of a phrase keep their order
+const ARABIC_RUN = /(\p{Script_Extensions=Arabic}+(?:\s+\p{Script_Extensions=Arabic}+)*)/u;
+
+/**
+ * Split text into runs that each use one font
+ * @param {String} text
+ * @param {Object} style - entry of STYLES
+ * @returns {Array} [{ text, font }]
+ */
+const textRuns = (text, style) => {
+    return String(text ?? '')
+        .replace(/\t/g, '    ')
+        .split(ARABIC_RUN)
+        .map((run, index) => {
+            // split() puts the captured Arabic runs at the odd positions
+            if (index % 2 === 1) {
+                return { text: run, font: style.bold ? 'arabicBold' : 'arabic' };
+            }
+            return { text: run, font: style.bold ? 'bold' : 'regular' };
+        })
+        .filter((run) => run.text);
+};
+
+/**
+ * Lay blocks of text out on A4 pages and write them as a PDF with embedded Unicode fonts
+ * @param {Array} blocks - [{ text, style }] where style is title, heading, label, body or note
+ * @param {Object} info - { title } for the document properties
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (blocks, info = {}) => {
+    return new Promise((resolve, reject) => {
+        // Pages are kept until the end so the footer can give the page count
+        const doc = new PDFDocument({ ...PAGE, bufferPages: true, info: { Title: String(info.title || '').replace(/\n/g, ' ') } });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        Object.entries(FONTS).forEach(([name, file]) => doc.registerFont(name, file));
+        const width = doc.page.width - PAGE.margin * 2;
+
+        blocks.forEach((block) => {
+            const style = STYLES[block.style] || STYLES.body;
+            const runs = textRuns(block.text, style);
+            doc.y += style.gapBefore;
+
+            if (runs.length === 0) {
+                doc.font('regular').fontSize(style.size).moveDown();
+            }
+            runs.forEach((run, index) => {
+                doc.font(run.font).fontSize(style.size).text(run.text, {
+                    width,
+                    lineGap: style.size * 0.4,
+                    continued: index < runs.length - 1
+                });
+            });
+
+            doc.y += style.gapAfter;
+        });
+
+        const range = doc.bufferedPageRange();
+        for (let index = range.start; index < range.start + range.count; index += 1) {
+            doc.switchToPage(index);
+            // The footer sits in the bottom margin, which would otherwise start a new page
+            const { bottom } = doc.page.margins;
+            doc.page.margins.bottom = 0;
+            doc.font('regular').fontSize(FOOTER_SIZE).text(`Page ${index + 1} of ${range.count}`, PAGE.margin, doc.page.height - PAGE.margin, {
+                width,
+                align: 'right',
+                lineBreak: false
+            });
+            doc.page.margins.bottom = bottom;
+        }
+
+        doc.end();
+    });
+};
+
+module.exports = {
+    renderPdf,
+};
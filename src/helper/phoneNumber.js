@@ -0,0 +1,41 @@
+/**
+ * Strip formatting from a phone number, keeping a leading +
+ * @param {String} number
+ * @returns {String|null}
+ */
+const normalizePhoneNumber = (number) => {
+    if (!number) {
+        return null;
+    }
+    const trimmed = String(number).trim();
+    const digits = trimmed.replace(/\D/g, '');
+    if (!digits) {
+        return null;
+    }
+    return trimmed.startsWith('+') ? `+${digits}` : digits;
+};
+
+/**
+ * Match a number against a pattern: an exact number, or a prefix ending in * such as +44*
+ * @param {String} number
+ * @param {String} pattern
+ * @returns {Boolean}
+ */
+const matchesNumberPattern = (number, pattern) => {
+    const normalized = normalizePhoneNumber(number);
+    if (!normalized) {
+        return false;
+    }
+    if (pattern.trim() === '*') {
+        return true;
+    }
+    if (pattern.trim().endsWith('*')) {
+        return normalized.startsWith(normalizePhoneNumber(pattern) || '');
+    }
+    return normalized === normalizePhoneNumber(pattern);
+};
+
+module.exports = {
+    normalizePhoneNumber,
+    matchesNumberPattern,
+};
@@ -0,0 +1,105 @@
+// {{name}}, {{customer.name}} or {{name|fallback value}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][\w.]*)\s*(?:\|([^}]*))?\}\}/g;
+
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Call `visit` for every string nested in a value
+ * @param {*} value
+ * @param {Function} visit
+ */
+const walkStrings = (value, visit) => {
+    if (typeof value === 'string') {
+        visit(value);
+    } else if (Array.isArray(value)) {
+        value.forEach((item) => walkStrings(item, visit));
+    } else if (isPlainObject(value)) {
+        Object.values(value).forEach((item) => walkStrings(item, visit));
+    }
+};
+
+/**
+ * Look up a dotted name in the variables
+ * @param {Object} variables
+ * @param {String} name
+ * @returns {*}
+ */
+const lookup = (variables, name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+        return variables[name];
+    }
+    return name.split('.').reduce((value, key) => {
+        return value === undefined || value === null ? undefined : value[key];
+    }, variables);
+};
+
+/**
+ * List the placeholders used anywhere in a value
+ * @param {*} value - string, array or object
+ * @returns {Array} [{ name, default }] in order of first use
+ */
+const extractPlaceholders = (value) => {
+    const found = new Map();
+
+    walkStrings(value, (text) => {
+        text.replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+            if (!found.has(name)) {
+                found.set(name, { name, default: fallback === undefined ? null : fallback.trim() });
+            }
+            return match;
+        });
+    });
+
+    return [...found.values()];
+};
+
+/**
+ * Replace placeholders in every string of a value
+ * @param {*} value - string, array or object
+ * @param {Object} variables
+ * @param {Object} options - { keepMissing: leave unresolved placeholders in place instead of blanking them,
+ *                            skip: (name) => Boolean, placeholders left untouched for a later render }
+ * @returns {Object} { result, missing }
+ */
+const renderPlaceholders = (value, variables = {}, options = {}) => {
+    const missing = new Set();
+
+    const renderString = (text) => {
+        return text.replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+            if (options.skip && options.skip(name)) {
+                return match;
+            }
+            const resolved = lookup(variables, name);
+            if (resolved !== undefined && resolved !== null && resolved !== '') {
+                return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+            }
+            if (fallback !== undefined) {
+                return fallback.trim();
+            }
+            missing.add(name);
+            return options.keepMissing ? match : '';
+        });
+    };
+
+    const render = (item) => {
+        if (typeof item === 'string') {
+            return renderString(item);
+        }
+        if (Array.isArray(item)) {
+            return item.map(render);
+        }
+        if (isPlainObject(item)) {
+            return Object.fromEntries(Object.keys(item).map((key) => [key, render(item[key])]));
+        }
+        return item;
+    };
+
+    return { result: render(value), missing: [...missing] };
+};
+
+module.exports = {
+    extractPlaceholders,
+    renderPlaceholders,
+};
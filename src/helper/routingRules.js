@@ -0,0 +1,100 @@
+const { matchesNumberPattern } = require('./phoneNumber');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Day and minute of the day of a date in a timezone
+ * @param {Date} date
+ * @param {String} timezone - IANA name, e.g. Europe/London
+ * @returns {Object} { day, minutes }
+ */
+const localTime = (date, timezone = 'UTC') => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parts.find((item) => item.type === type).value;
+
+    return {
+        day: part('weekday').toLowerCase().slice(0, 3),
+        minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+    };
+};
+
+/**
+ * Whether the runtime knows a timezone name
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        localTime(new Date(), timezone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map((value) => parseInt(value, 10));
+    return hours * 60 + minutes;
+};
+
+/**
+ * Whether a date falls inside a time window. Windows that end before they start run past midnight.
+ * @param {Object} window - { days, start: 'HH:mm', end: 'HH:mm', timezone }
+ * @param {Date} date
+ * @returns {Boolean}
+ */
+const matchesTimeWindow = (window, date = new Date()) => {
+    const { day, minutes } = localTime(date, window.timezone);
+    const start = toMinutes(window.start || '00:00');
+    const end = toMinutes(window.end || '24:00');
+    const days = window.days && window.days.length > 0 ? window.days : DAYS;
+
+    if (start <= end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight window: the part after midnight belongs to the previous day's window
+    if (minutes >= start) {
+        return days.includes(day);
+    }
+    const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+    return minutes < end && days.includes(previousDay);
+};
+
+/**
+ * Check a rule's conditions against an inbound call. Conditions left out always match.
+ * @param {Object} conditions - { caller_numbers, phone_number_ids, time_window, known_contact }
+ * @param {Object} inbound - { callerNumber, phoneNumberId, isKnownContact, date }
+ * @returns {Boolean}
+ */
+const matchesConditions = (conditions = {}, inbound = {}) => {
+    const { caller_numbers: callerNumbers, phone_number_ids: phoneNumberIds, time_window: timeWindow } = conditions;
+
+    if (callerNumbers && callerNumbers.length > 0
+        && !callerNumbers.some((pattern) => matchesNumberPattern(inbound.callerNumber, pattern))) {
+        return false;
+    }
+    if (phoneNumberIds && phoneNumberIds.length > 0 && !phoneNumberIds.includes(inbound.phoneNumberId)) {
+        return false;
+    }
+    if (timeWindow && !matchesTimeWindow(timeWindow, inbound.date)) {
+        return false;
+    }
+    if (typeof conditions.known_contact === 'boolean' && conditions.known_contact !== !!inbound.isKnownContact) {
+        return false;
+    }
+    return true;
+};
+
+module.exports = {
+    DAYS,
+    isValidTimezone,
+    matchesTimeWindow,
+    matchesConditions,
+};
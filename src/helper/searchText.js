@@ -0,0 +1,90 @@
+// Characters with a meaning in MySQL boolean full-text queries
+const BOOLEAN_OPERATORS = /[+\-<>()~*"@]/g;
+
+/**
+ * Split a search into quoted phrases and single words
+ * @param {String} q - e.g. `refund "wrong size"`
+ * @returns {Object} { phrases, words } lowercased, without boolean operators
+ */
+const parseSearch = (q = '') => {
+    const phrases = [];
+    const rest = q.replace(/"([^"]+)"/g, (match, phrase) => {
+        const clean = phrase.replace(BOOLEAN_OPERATORS, ' ').trim().toLowerCase();
+        if (clean) {
+            phrases.push(clean.replace(/\s+/g, ' '));
+        }
+        return ' ';
+    });
+    const words = rest
+        .replace(BOOLEAN_OPERATORS, ' ')
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean);
+
+    return { phrases: [...new Set(phrases)], words: [...new Set(words)] };
+};
+
+/**
+ * Build a MySQL boolean mode query: phrases match exactly, words also match longer forms (refund also finds refunds)
+ * @param {String} q
+ * @returns {String} empty when nothing searchable is left
+ */
+const toBooleanQuery = (q) => {
+    const { phrases, words } = parseSearch(q);
+    return [...phrases.map((phrase) => `"${phrase}"`), ...words.map((word) => `${word}*`)].join(' ');
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cut the part of a text around the first hit, HTML escaped, with the hits wrapped in <mark>
+ * @param {String} text
+ * @param {String} q - the search as typed
+ * @param {Number} size - snippet length in characters
+ * @returns {String}
+ */
+const highlightSnippet = (text, q, size = 200) => {
+    if (!text) {
+        return '';
+    }
+
+    const { phrases, words } = parseSearch(q);
+    const patterns = [
+        ...phrases.map((phrase) => escapeRegExp(phrase).replace(/ /g, '\\s+')),
+        ...words.map((word) => `${escapeRegExp(word)}[\\p{L}\\p{N}]*`)
+    ];
+    const hits = patterns.length > 0 ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu') : null;
+
+    // Start a little before the first hit, on a word boundary
+    const first = hits ? text.search(hits) : -1;
+    let start = first > size / 3 ? first - Math.floor(size / 3) : 0;
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < first ? space + 1 : start;
+    }
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+    }
+
+    const part = text.slice(start, end).replace(/\s+/g, ' ');
+    const marked = hits
+        ? part.split(new RegExp(`(${hits.source})`, 'giu'))
+            .map((piece, index) => (index % 2 === 1 ? `<mark>${escapeHtml(piece)}</mark>` : escapeHtml(piece)))
+            .join('')
+        : escapeHtml(part);
+
+    return `${start > 0 ? '\u2026' : ''}${marked}${end < text.length ? '\u2026' : ''}`;
+};
+
+module.exports = {
+    toBooleanQuery,
+    highlightSnippet,
+};
@@ -0,0 +1,69 @@
+/**
+ * Name a squad member goes by; handoff destinations point at members by this name
+ * @param {Object} assistant - registry row
+ * @returns {String}
+ */
+const memberName = (assistant) => assistant.config?.name || assistant.name;
+
+/**
+ * Build the Vapi squad for a stored squad
+ * @param {Object} squad - { name, members: [{ assistant_id, destinations }] }
+ * @param {Map} assistants - registry rows by Vapi assistant id
+ * @param {Array} memberOverrides - assistantOverrides for each member, in member order
+ * @returns {Object}
+ */
+const toVapiSquad = (squad, assistants, memberOverrides = []) => {
+    return {
+        name: squad.name,
+        members: squad.members.map((member, index) => ({
+            assistantId: member.assistant_id,
+            ...(memberOverrides[index] && { assistantOverrides: memberOverrides[index] }),
+            assistantDestinations: (member.destinations || []).map((destination) => ({
+                type: 'assistant',
+                assistantName: memberName(assistants.get(destination.assistant_id)),
+                ...(destination.description && { description: destination.description }),
+                ...(destination.message && { message: destination.message })
+            }))
+        }))
+    };
+};
+
+/**
+ * Which assistant was speaking from when, starting with the one the call began on
+ * @param {String} firstAssistant - name of the assistant the call started on
+ * @param {Array} handoffs - [{ from_assistant, to_assistant, at }]
+ * @param {Date|String|null} startedAt
+ * @returns {Array} [{ assistant, from }]
+ */
+const speakerSegments = (firstAssistant, handoffs = [], startedAt = null) => {
+    return [
+        { assistant: firstAssistant, from: startedAt },
+        ...handoffs.map((handoff) => ({ assistant: handoff.to_assistant, from: handoff.at }))
+    ];
+};
+
+/**
+ * Label the assistant turns of a transcript with the assistant that spoke them
+ * @param {Array} messages - Vapi messages with `role` and `time` (epoch milliseconds)
+ * @param {Array} segments - from speakerSegments
+ * @returns {Array}
+ */
+const attributeMessages = (messages = [], segments = []) => {
+    return messages.map((message) => {
+        if (!['assistant', 'bot'].includes(message.role) || !message.time) {
+            return message;
+        }
+
+        const segment = segments
+            .filter((candidate) => !candidate.from || new Date(candidate.from).getTime() <= message.time)
+            .pop();
+        return segment ? { ...message, assistant: segment.assistant } : message;
+    });
+};
+
+module.exports = {
+    memberName,
+    toVapiSquad,
+    speakerSegments,
+    attributeMessages,
+};
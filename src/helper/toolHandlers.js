@@ -0,0 +1,206 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const config = require('../config/config');
+const { renderPlaceholders } = require('./placeholder');
+
+// Seconds a handler may run; Vapi gives up on a tool call after about 20 seconds
+const DEFAULT_TIMEOUT_SECONDS = 10;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges http tools must not reach
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an http tool may connect to an IP address
+ * @param {String} address
+ * @returns {Boolean}
+ */
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup for http tools that fails on addresses inside the network. The request connects to the address
+ * checked here, so a name cannot resolve to a public address for the check and a private one for the call.
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            callback(new Error(`${hostname} resolves to ${blocked.address}, which http tools may not call`));
+            return;
+        }
+        if (options.all) {
+            callback(null, addresses);
+            return;
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Check the url of an http tool: http(s) only, an allowed host when TOOL_HTTP_ALLOWED_HOSTS is set,
+ * and never an address inside the network
+ * @param {String} url
+ * @returns {URL}
+ */
+const checkToolUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error(`"${url}" is not a valid url`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Only http and https urls can be called');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const allowedHosts = config.tools.httpAllowedHosts;
+    if (allowedHosts.length > 0 && !allowedHosts.includes(hostname)) {
+        throw new Error(`Host ${hostname} is not in TOOL_HTTP_ALLOWED_HOSTS`);
+    }
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+        throw new Error(`Address ${hostname} may not be called`);
+    }
+    return parsed;
+};
+
+/**
+ * Server-side handlers a registered tool can run, keyed by the tool's `handler`.
+ * Each handler gets (args, tool, context) and returns the result handed back to the model.
+ */
+const handlers = {
+    // POST the arguments to the endpoint in handler_config ({ url, method, headers, timeout_seconds })
+    http: async (args, tool, context) => {
+        const { url, method = 'POST', headers = {}, timeout_seconds: timeoutSeconds } = tool.handler_config || {};
+        if (!url) {
+            throw new Error(`Tool "${tool.name}" has no url configured`);
+        }
+
+        checkToolUrl(url);
+
+        const response = await axios.request({
+            url,
+            method,
+            headers,
+            timeout: (timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000,
+            // Redirects could lead inside the network
+            maxRedirects: 0,
+            lookup: publicLookup,
+            ...(method.toUpperCase() === 'GET'
+                ? { params: args }
+                : { data: { tool: tool.name, arguments: args, call_id: context.callId, chat_id: context.chatId } })
+        });
+
+        return response.data;
+    },
+
+    // Reply with handler_config.result, filling {{argument}} placeholders
+    static: async (args, tool) => {
+        const { result } = renderPlaceholders(tool.handler_config?.result || '', args, { keepMissing: true });
+        return result;
+    }
+};
+
+const TOOL_HANDLERS = Object.keys(handlers);
+
+/**
+ * Add a server-side handler that tools can name in `handler`
+ * @param {String} name
+ * @param {Function} handler - async (args, tool, context) => result
+ */
+const registerToolHandler = (name, handler) => {
+    handlers[name] = handler;
+    if (!TOOL_HANDLERS.includes(name)) {
+        TOOL_HANDLERS.push(name);
+    }
+};
+
+/**
+ * Run a tool's handler
+ * @param {Object} tool - registry row
+ * @param {Object} args - arguments the model passed
+ * @param {Object} context - { callId, chatId, assistant }
+ * @returns {String} result as text, which is what Vapi hands to the model
+ */
+const runToolHandler = async (tool, args = {}, context = {}) => {
+    const handler = handlers[tool.handler];
+    if (!handler) {
+        throw new Error(`Unknown tool handler "${tool.handler}"`);
+    }
+
+    const result = await handler(args, tool, context);
+    if (result === undefined || result === null) {
+        return '';
+    }
+    return typeof result === 'string' ? result : JSON.stringify(result);
+};
+
+/**
+ * Build the Vapi function tool for a registered tool. Calls come back to this API's webhook.
+ * @param {Object} tool - registry row
+ * @returns {Object}
+ */
+const toVapiTool = (tool) => {
+    const vapiTool = {
+        type: 'function',
+        async: !!tool.is_async,
+        function: {
+            name: tool.name,
+            description: tool.description || '',
+            parameters: tool.parameters || { type: 'object', properties: {} }
+        }
+    };
+
+    if (config.app.url) {
+        vapiTool.server = { url: `${config.app.url}/api/webhooks/vapi` };
+        if (config.vapi.webhookSecret) {
+            vapiTool.server.secret = config.vapi.webhookSecret;
+        }
+    }
+
+    return vapiTool;
+};
+
+/**
+ * Replace registered tools in a Vapi config, keeping tools that were added some other way
+ * @param {Object} vapiConfig
+ * @param {Array} tools - registry rows the assistant should have
+ * @param {Array} replacedNames - function names to drop before adding `tools`
+ * @returns {Object} the updated config
+ */
+const withTools = (vapiConfig, tools, replacedNames = []) => {
+    const names = new Set([...replacedNames, ...tools.map((tool) => tool.name)]);
+    const kept = (vapiConfig.model?.tools || [])
+        .filter((vapiTool) => !(vapiTool.type === 'function' && names.has(vapiTool.function?.name)));
+
+    return {
+        ...vapiConfig,
+        model: {
+            ...vapiConfig.model,
+            tools: [...kept, ...tools.map(toVapiTool)]
+        }
+    };
+};
+
+module.exports = {
+    TOOL_HANDLERS,
+    checkToolUrl,
+    registerToolHandler,
+    runToolHandler,
+    toVapiTool,
+    withTools,
+};
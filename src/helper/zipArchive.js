@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+
+// CRC-32 and the MS-DOS date fields are defined bit by bit
+/* eslint-disable no-bitwise */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i += 1) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, which is what zip entries carry
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+/* eslint-enable no-bitwise */
+
+/**
+ * Build one deflated entry with a UTF-8 name
+ * @param {String} fileName
+ * @param {Buffer|String} content
+ * @param {Number} offset - where the entry starts in the archive
+ * @param {Object} stamp - { time, date } from dosDateTime
+ * @returns {Object} { local: header and data, central: central directory record }
+ */
+const buildEntry = (fileName, content, offset, { time, date }) => {
+    const name = Buffer.from(fileName, 'utf8');
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    return {
+        local: Buffer.concat([local, name, compressed]),
+        central: Buffer.concat([central, name])
+    };
+};
+
+// End of central directory record
+const buildEnd = (entryCount, directorySize, directoryOffset) => {
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entryCount, 8);
+    end.writeUInt16LE(entryCount, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    return end;
+};
+
+/**
+ * Write a zip archive to disk one file at a time; only the central directory records stay in memory
+ * @param {String} filePath
+ * @param {Date} modifiedAt - modification time given to every entry
+ * @returns {Object} { add: async (name, data), close: async () => size in bytes, discard: async () }
+ */
+const openZipFile = async (filePath, modifiedAt = new Date()) => {
+    const stamp = dosDateTime(modifiedAt);
+    const handle = await fs.open(filePath, 'w');
+    const centralParts = [];
+    let offset = 0;
+
+    return {
+        add: async (name, data) => {
+            const { local, central } = buildEntry(name, data, offset, stamp);
+            await handle.write(local);
+            centralParts.push(central);
+            offset += local.length;
+        },
+        close: async () => {
+            const centralDirectory = Buffer.concat(centralParts);
+            const end = buildEnd(centralParts.length, centralDirectory.length, offset);
+            await handle.write(Buffer.concat([centralDirectory, end]));
+            await handle.close();
+            return offset + centralDirectory.length + end.length;
+        },
+        // Drop a half written archive
+        discard: async () => {
+            await handle.close().catch(() => {});
+            await fs.unlink(filePath).catch(() => {});
+        }
+    };
+};
+
+module.exports = {
+    openZipFile,
+};
@@ -1,7 +1,8 @@
 const app = require("./app");
 const config = require("./config/config");
 const { sequelize } = require("./models");
-// const { initializeInventoryReleaseCronJob } = require("./startup/initCronJobs");
+const { initializeAssistantSyncCronJob, initializeAssistantDriftCronJob } = require("./startup/initCronJobs");
+const ExportService = require("./service/ExportService");
 
 console.log("Telenor Backend!!!");
 // require('./cronJobs'); // Removed direct require to avoid circular dependency issues
@@ -26,6 +27,12 @@ sequelize
       console.log("SERVER");
       console.log(`Listening to port ${config.serverPort}`);
     });
+
+    initializeAssistantSyncCronJob();
+    initializeAssistantDriftCronJob();
+
+    // Bulk exports run in this process, so any still open were cut short by the restart
+    new ExportService().failInterruptedJobs();
   })
   .catch((err) => {
     console.error("Unable to connect to the database:", err);
@@ -0,0 +1,32 @@
+const passport = require('passport');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+
+const verifyCallback = (req, resolve, reject) => {
+    return async (err, user, info) => {
+        if (err || info || !user) {
+            return reject(new ApiError(httpStatus.UNAUTHORIZED, 'Please authenticate'));
+        }
+        req.user = user;
+
+        resolve();
+    };
+};
+
+/**
+ * Require a valid access token (`Authorization: Bearer <token>`) and put its user on req.user
+ * @returns {Function} Express middleware
+ */
+const auth = () => {
+    return async (req, res, next) => {
+        return new Promise((resolve, reject) => {
+            passport.authenticate('jwt', { session: false }, verifyCallback(req, resolve, reject))(req, res, next);
+        })
+            .then(() => next())
+            .catch((err) => {
+                next(err);
+            });
+    };
+};
+
+module.exports = auth;
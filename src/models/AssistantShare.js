@@ -0,0 +1,66 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class AssistantShare extends Model {}
+
+    AssistantShare.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            // Registry id of the shared assistant
+            assistant_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            // Exactly one of user_id and team_id is set
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            team_id: {
+                type: DataTypes.STRING(100),
+                allowNull: true
+            },
+            // use: run chats and calls on it; manage: also edit and publish it
+            permission: {
+                type: DataTypes.STRING(20),
+                allowNull: false,
+                defaultValue: 'use'
+            },
+            created_by: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'assistant_share',
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['assistant_id']
+                },
+                {
+                    fields: ['user_id']
+                },
+                {
+                    fields: ['team_id']
+                }
+            ]
+        },
+    );
+    return AssistantShare;
+};
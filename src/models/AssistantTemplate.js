@@ -0,0 +1,75 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class AssistantTemplate extends Model {}
+
+    AssistantTemplate.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            key: {
+                type: DataTypes.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            category: {
+                type: DataTypes.STRING(50),
+                allowNull: true
+            },
+            // Assistant create payload (AssistantValidator fields) with {{placeholders}}
+            body: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: {}
+            },
+            // [{ name, label, description, required, default }]
+            variables: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: []
+            },
+            // Built-in templates are seeded and cannot be edited through the API
+            is_system: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'assistant_template',
+            underscored: true,
+        },
+    );
+    return AssistantTemplate;
+};
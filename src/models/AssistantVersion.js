@@ -0,0 +1,81 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class AssistantVersion extends Model {}
+
+    AssistantVersion.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            // 'assistant' (entity_id is the Vapi assistant id) or 'flow' (entity_id is the flow uuid)
+            entity_type: {
+                type: DataTypes.STRING(20),
+                allowNull: false
+            },
+            entity_id: {
+                type: DataTypes.STRING(100),
+                allowNull: false
+            },
+            version: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            status: {
+                type: DataTypes.STRING(20),
+                allowNull: false,
+                defaultValue: 'draft'
+            },
+            config: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: {}
+            },
+            diff: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: []
+            },
+            change_note: {
+                type: DataTypes.STRING(500),
+                allowNull: true
+            },
+            created_by: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            published_by: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            published_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'assistant_version',
+            underscored: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['entity_type', 'entity_id', 'version']
+                }
+            ]
+        },
+    );
+    return AssistantVersion;
+};
@@ -0,0 +1,68 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class Contact extends Model {}
+
+    Contact.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            },
+            // Stored normalized (digits with a leading +) so inbound caller ids match
+            phone_number: {
+                type: DataTypes.STRING(20),
+                allowNull: true
+            },
+            email: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            },
+            notes: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            // Language tag such as `ur`; picks the assistant's locale variant for chats and calls with this contact
+            preferred_language: {
+                type: DataTypes.STRING(10),
+                allowNull: true
+            },
+            // Extra fields usable as {{metadata.*}} prompt placeholders on calls with this contact
+            metadata: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: {}
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'contact',
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['phone_number']
+                }
+            ]
+        },
+    );
+    return Contact;
+};
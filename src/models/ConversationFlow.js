@@ -0,0 +1,79 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class ConversationFlow extends Model {}
+
+    ConversationFlow.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            assistant_id: {
+                type: DataTypes.STRING(100),
+                allowNull: true
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            base_prompt: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            start_node_id: {
+                type: DataTypes.STRING(100),
+                allowNull: false
+            },
+            nodes: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: []
+            },
+            status: {
+                type: DataTypes.STRING(20),
+                allowNull: false,
+                defaultValue: 'draft'
+            },
+            compiled_config: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: {}
+            },
+            deployed_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            metadata: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: {}
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'conversation_flow',
+            underscored: true,
+        },
+    );
+    return ConversationFlow;
+};
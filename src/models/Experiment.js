@@ -0,0 +1,85 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class Experiment extends Model {
+        /**
+         * Helper method for defining associations.
+         * This method is not a part of Sequelize lifecycle.
+         * The `models/index` file will call this method automatically.
+         */
+        static associate(models) {
+            Experiment.belongsTo(models.vapi_assistant, {
+                foreignKey: 'assistant_id',
+                as: 'assistant'
+            });
+
+            Experiment.hasMany(models.experiment_assignment, {
+                foreignKey: 'experiment_id',
+                as: 'assignments'
+            });
+        }
+    }
+
+    Experiment.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            // Registry id of the assistant chats and calls are requested for
+            assistant_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            // [{ key, assistant_id (Vapi id), weight }]
+            variants: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: []
+            },
+            // draft, running or stopped
+            status: {
+                type: DataTypes.STRING(20),
+                allowNull: false,
+                defaultValue: 'draft'
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            started_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            ended_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'experiment',
+            underscored: true,
+        },
+    );
+    return Experiment;
+};
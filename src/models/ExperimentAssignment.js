@@ -0,0 +1,62 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class ExperimentAssignment extends Model {
+        /**
+         * Helper method for defining associations.
+         * This method is not a part of Sequelize lifecycle.
+         * The `models/index` file will call this method automatically.
+         */
+        static associate(models) {
+            ExperimentAssignment.belongsTo(models.experiment, {
+                foreignKey: 'experiment_id',
+                as: 'experiment'
+            });
+        }
+    }
+
+    ExperimentAssignment.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            experiment_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            // 'user:<id>' or 'contact:<number or email>'
+            subject: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            variant_key: {
+                type: DataTypes.STRING(50),
+                allowNull: false
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'experiment_assignment',
+            underscored: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['experiment_id', 'subject']
+                }
+            ]
+        },
+    );
+    return ExperimentAssignment;
+};
@@ -0,0 +1,89 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class ExportJob extends Model {}
+
+    ExportJob.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            // chats, calls or all
+            type: {
+                type: DataTypes.STRING(10),
+                allowNull: false,
+                defaultValue: 'all'
+            },
+            // md, json, csv or pdf, one file per conversation in the zip
+            format: {
+                type: DataTypes.STRING(10),
+                allowNull: false
+            },
+            // Filter as sent, with assistant_id still the Vapi id: { assistant_id, status, user_id, date_from, date_to }
+            filter: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: {}
+            },
+            // pending, processing, completed or failed
+            status: {
+                type: DataTypes.STRING(20),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            conversation_count: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            file_name: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            },
+            // Name of the zip under EXPORT_LOCAL_PATH
+            storage_key: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            },
+            size: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            error: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            completed_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'export_job',
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['user_id']
+                }
+            ]
+        },
+    );
+    return ExportJob;
+};
@@ -0,0 +1,68 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class KnowledgeChunk extends Model {}
+
+    KnowledgeChunk.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            document_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            // Copied from the document so retrieval does not need a join
+            assistant_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            // Order of the passage within the document
+            position: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            content: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            token_count: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            // Term counts from helper/knowledgeIndex, { term: count }
+            terms: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: {}
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'knowledge_chunk',
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['assistant_id']
+                },
+                {
+                    fields: ['document_id']
+                }
+            ]
+        },
+    );
+    return KnowledgeChunk;
+};
@@ -0,0 +1,94 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class KnowledgeDocument extends Model {}
+
+    KnowledgeDocument.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            // Registry id of the assistant the document belongs to
+            assistant_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            file_name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            mime_type: {
+                type: DataTypes.STRING(100),
+                allowNull: true
+            },
+            size: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            // Where the original file is kept: cloudinary or local
+            storage: {
+                type: DataTypes.STRING(20),
+                allowNull: false
+            },
+            // Cloudinary public id, or the path under the local storage folder
+            storage_key: {
+                type: DataTypes.STRING(500),
+                allowNull: false
+            },
+            url: {
+                type: DataTypes.STRING(500),
+                allowNull: true
+            },
+            // pending, indexed or failed
+            status: {
+                type: DataTypes.STRING(20),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            error: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            chunk_count: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            indexed_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'knowledge_document',
+            underscored: true,
+            indexes: [
+                {
+                    fields: ['assistant_id']
+                }
+            ]
+        },
+    );
+    return KnowledgeDocument;
+};
@@ -0,0 +1,41 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class PhoneNumber extends Model {}
+
+    // Vapi phone numbers assigned to a user, who may then route the calls they receive
+    PhoneNumber.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            vapi_phone_number_id: {
+                type: DataTypes.STRING(100),
+                unique: true,
+                allowNull: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'phone_number',
+            underscored: true,
+        },
+    );
+    return PhoneNumber;
+};
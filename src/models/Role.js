@@ -0,0 +1,42 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class Role extends Model {
+        /**
+         * Helper method for defining associations.
+         * This method is not a part of Sequelize lifecycle.
+         * The `models/index` file will call this method automatically.
+         */
+        static associate(models) {
+            Role.hasMany(models.user, {
+                foreignKey: 'role_id',
+                as: 'users'
+            });
+        }
+    }
+
+    Role.init(
+        {
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            permissions: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: {}
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            }
+        },
+        {
+            sequelize,
+            modelName: 'role',
+            underscored: true,
+        },
+    );
+    return Role;
+};
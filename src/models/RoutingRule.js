@@ -0,0 +1,61 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class RoutingRule extends Model {}
+
+    RoutingRule.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            // Lower numbers are evaluated first; the first matching rule answers
+            priority: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 100
+            },
+            // { caller_numbers, phone_number_ids, time_window, known_contact }; empty matches every call
+            conditions: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: {}
+            },
+            // { assistant_id, overrides } or { assistant } for one built on the fly
+            action: {
+                type: DataTypes.JSON,
+                allowNull: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'routing_rule',
+            underscored: true,
+        },
+    );
+    return RoutingRule;
+};
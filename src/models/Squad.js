@@ -0,0 +1,59 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class Squad extends Model {}
+
+    Squad.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            vapi_squad_id: {
+                type: DataTypes.STRING(100),
+                allowNull: true,
+                unique: true
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            // [{ assistant_id, destinations: [{ assistant_id, description, message }] }], the first member starts the conversation
+            members: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: []
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'squad',
+            underscored: true,
+        },
+    );
+    return Squad;
+};
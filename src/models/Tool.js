@@ -0,0 +1,72 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class Tool extends Model {}
+
+    Tool.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            // Function name the model calls, e.g. lookup_order
+            name: {
+                type: DataTypes.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            // JSON schema of the function arguments
+            parameters: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: { type: 'object', properties: {} }
+            },
+            // Server-side handler from helper/toolHandlers that runs the call
+            handler: {
+                type: DataTypes.STRING(50),
+                allowNull: false
+            },
+            handler_config: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: {}
+            },
+            // Async tools do not make the assistant wait for the result
+            is_async: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'tool',
+            underscored: true,
+        },
+    );
+    return Tool;
+};
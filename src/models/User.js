@@ -0,0 +1,80 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class User extends Model {
+        /**
+         * Helper method for defining associations.
+         * This method is not a part of Sequelize lifecycle.
+         * The `models/index` file will call this method automatically.
+         */
+        static associate(models) {
+            User.belongsTo(models.role, {
+                foreignKey: 'role_id',
+                as: 'role'
+            });
+
+            User.hasMany(models.vapi_chat, {
+                foreignKey: 'user_id',
+                as: 'chats'
+            });
+
+            User.hasMany(models.vapi_call, {
+                foreignKey: 'user_id',
+                as: 'calls'
+            });
+        }
+    }
+
+    User.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            full_name: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            },
+            email: {
+                type: DataTypes.STRING(255),
+                allowNull: false
+            },
+            password: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            },
+            // See userConstant.STATUS_*
+            status: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            email_verified: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            role_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            data_access_type: {
+                type: DataTypes.STRING(50),
+                allowNull: true
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            }
+        },
+        {
+            sequelize,
+            modelName: 'user',
+            underscored: true,
+        },
+    );
+    return User;
+};
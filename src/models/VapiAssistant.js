@@ -0,0 +1,113 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+    class VapiAssistant extends Model {
+        /**
+         * Helper method for defining associations.
+         * This method is not a part of Sequelize lifecycle.
+         * The `models/index` file will call this method automatically.
+         */
+        static associate(models) {
+            VapiAssistant.hasMany(models.vapi_chat, {
+                foreignKey: 'assistant_id',
+                as: 'chats'
+            });
+
+            VapiAssistant.hasMany(models.vapi_call, {
+                foreignKey: 'assistant_id',
+                as: 'calls'
+            });
+        }
+    }
+
+    VapiAssistant.init(
+        {
+            uuid: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                unique: true,
+                allowNull: false
+            },
+            vapi_assistant_id: {
+                type: DataTypes.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            user_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: true
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            model_provider: {
+                type: DataTypes.STRING(50),
+                allowNull: true
+            },
+            voice_provider: {
+                type: DataTypes.STRING(50),
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            tags: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: []
+            },
+            metadata: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: {}
+            },
+            // Last config read from Vapi
+            config: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: {}
+            },
+            last_synced_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            // Result of the last drift check: in_sync, drifted, or unknown when there is no published version to compare with
+            drift_status: {
+                type: DataTypes.STRING(20),
+                allowNull: true
+            },
+            // Field-level differences between the published version and the live Vapi config
+            drift: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: []
+            },
+            drift_checked_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            is_deleted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            deleted_at: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        },
+        {
+            sequelize,
+            modelName: 'vapi_assistant',
+            underscored: true,
+        },
+    );
+    return VapiAssistant;
+};
@@ -8,10 +8,20 @@ module.exports = (sequelize, DataTypes) => {
          * The `models/index` file will call this method automatically.
          */
         static associate(models) {
+            VapiCall.belongsTo(models.vapi_assistant, {
+                foreignKey: 'assistant_id',
+                as: 'assistant'
+            });
+
             VapiCall.belongsTo(models.vapi_chat, {
                 foreignKey: 'chat_id',
                 as: 'chat'
             });
+
+            VapiCall.belongsTo(models.user, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
         }
     }
 
@@ -36,6 +46,15 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.INTEGER,
                 allowNull: true
             },
+            assistant_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            // Squad the call runs on; assistant_id is then the squad's first member
+            squad_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
             customer_number: {
                 type: DataTypes.STRING(20),
                 allowNull: true
@@ -49,6 +68,11 @@ module.exports = (sequelize, DataTypes) => {
                 allowNull: false,
                 defaultValue: 'pending'
             },
+            // Language the conversation runs in, see assistantLocale.pickLanguage
+            language: {
+                type: DataTypes.STRING(10),
+                allowNull: true
+            },
             end_reason: {
                 type: DataTypes.STRING(50),
                 allowNull: true
@@ -110,6 +134,12 @@ module.exports = (sequelize, DataTypes) => {
                 allowNull: true,
                 defaultValue: []
             },
+            // Squad handoffs in the order they happened: [{ from_assistant, to_assistant, at }]
+            handoffs: {
+                type: DataTypes.JSON,
+                allowNull: true,
+                defaultValue: []
+            },
             message_count: {
                 type: DataTypes.INTEGER,
                 allowNull: false,
@@ -147,6 +177,13 @@ module.exports = (sequelize, DataTypes) => {
             sequelize,
             modelName: 'vapi_call',
             underscored: true,
+            indexes: [
+                // Used by GET /api/search; MATCH must name both columns
+                {
+                    type: 'FULLTEXT',
+                    fields: ['transcript', 'summary']
+                }
+            ]
         },
     );
     return VapiCall;
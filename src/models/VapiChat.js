@@ -8,6 +8,16 @@ module.exports = (sequelize, DataTypes) => {
          * The `models/index` file will call this method automatically.
          */
         static associate(models) {
+            VapiChat.belongsTo(models.vapi_assistant, {
+                foreignKey: 'assistant_id',
+                as: 'assistant'
+            });
+
+            VapiChat.belongsTo(models.user, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+
             VapiChat.hasMany(models.vapi_message, {
                 foreignKey: 'chat_id',
                 as: 'messages'
@@ -22,6 +32,16 @@ module.exports = (sequelize, DataTypes) => {
                 foreignKey: 'chat_id',
                 as: 'calls'
             });
+
+            VapiChat.belongsTo(models.vapi_chat, {
+                foreignKey: 'parent_chat_id',
+                as: 'parent_chat'
+            });
+
+            VapiChat.belongsTo(models.vapi_message, {
+                foreignKey: 'fork_message_id',
+                as: 'fork_message'
+            });
         }
     }
 
@@ -42,6 +62,24 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.INTEGER,
                 allowNull: true
             },
+            assistant_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            // Squad the chat runs on; assistant_id is then the squad's first member
+            squad_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            // Chat this one was forked from, with the parent's message it was forked at
+            parent_chat_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            fork_message_id: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
             name: {
                 type: DataTypes.STRING(255),
                 allowNull: true
@@ -51,6 +89,11 @@ module.exports = (sequelize, DataTypes) => {
                 allowNull: false,
                 defaultValue: 'active'
             },
+            // Language the conversation runs in, see assistantLocale.pickLanguage
+            language: {
+                type: DataTypes.STRING(10),
+                allowNull: true
+            },
             message_count: {
                 type: DataTypes.INTEGER,
                 allowNull: false,
@@ -74,6 +117,12 @@ module.exports = (sequelize, DataTypes) => {
                 type: DataTypes.TEXT,
                 allowNull: true
             },
+            // message_count when the summary was last written, see ChatSummaryService
+            summary_message_count: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
             tags: {
                 type: DataTypes.JSON,
                 allowNull: true,
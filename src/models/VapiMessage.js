@@ -73,6 +73,13 @@ module.exports = (sequelize, DataTypes) => {
             sequelize,
             modelName: 'vapi_message',
             underscored: true,
+            indexes: [
+                // Used by GET /api/search
+                {
+                    type: 'FULLTEXT',
+                    fields: ['content']
+                }
+            ]
         },
     );
     return VapiMessage;
@@ -110,6 +110,13 @@ module.exports = (sequelize, DataTypes) => {
             sequelize,
             modelName: 'vapi_voice_message',
             underscored: true,
+            indexes: [
+                // Used by GET /api/search
+                {
+                    type: 'FULLTEXT',
+                    fields: ['transcript']
+                }
+            ]
         },
     );
     return VapiVoiceMessage;
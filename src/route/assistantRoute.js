@@ -1,24 +1,72 @@
 const express = require('express');
 const AssistantController = require('../controllers/AssistantController');
 const AssistantValidator = require('../validator/AssistantValidator');
+const auth = require('../middlewares/auth');
 
 const router = express.Router();
 const assistantController = new AssistantController();
 const assistantValidator = new AssistantValidator();
 
+// Bundles may be uploaded as raw YAML; JSON bodies are already parsed by the app
+const yamlBodyParser = express.text({ type: ['application/x-yaml', 'application/yaml', 'text/yaml', 'text/plain'], limit: '10mb' });
+
 // Get all assistants
-router.get('/', assistantController.getAssistants);
+router.get('/', auth(), assistantValidator.validateSearchQuery, assistantController.getAssistants);
 
 // Get assistant by id
-router.get('/:id', assistantController.getAssistantById);
+router.get('/:id', auth(), assistantController.getAssistantById);
+
+// Import an assistant bundle (JSON or YAML)
+router.post('/import', auth(), yamlBodyParser, assistantValidator.importValidator, assistantController.importAssistant);
 
 // Create new assistant
-router.post('/', assistantValidator.assistantCreateValidator, assistantController.createAssistant);
+router.post('/', auth(), assistantValidator.assistantCreateValidator, assistantController.createAssistant);
 
-// Update assistant
-router.put('/:id', assistantValidator.validateUUID, assistantValidator.assistantUpdateValidator, assistantController.updateAssistant);
+// Save an edit as a draft version
+router.put('/:id', auth(), assistantValidator.validateUUID, assistantValidator.assistantUpdateValidator, assistantController.updateAssistant);
 
 // Delete assistant
-router.delete('/:id', assistantValidator.validateUUID, assistantController.deleteAssistant);
+router.delete('/:id', auth(), assistantValidator.validateUUID, assistantController.deleteAssistant);
+
+// Version history
+router.get('/:id/versions', auth(), assistantValidator.validateUUID, assistantController.getAssistantVersions);
+
+// Get a single version
+router.get('/:id/versions/:version', auth(), assistantValidator.validateUUID, assistantValidator.validateVersionParam, assistantController.getAssistantVersion);
+
+// Push a version to Vapi
+router.post('/:id/versions/:version/publish', auth(), assistantValidator.validateUUID, assistantValidator.validateVersionParam, assistantController.publishAssistantVersion);
+
+// Re-publish an earlier version
+router.post('/:id/rollback', auth(), assistantValidator.validateUUID, assistantValidator.rollbackValidator, assistantController.rollbackAssistant);
+
+// Create a copy of an assistant with optional field overrides
+router.post('/:id/clone', auth(), assistantValidator.validateUUID, assistantValidator.cloneValidator, assistantController.cloneAssistant);
+
+// Replace the registered tools the assistant can call
+router.put('/:id/tools', auth(), assistantValidator.validateUUID, assistantValidator.toolsValidator, assistantController.setAssistantTools);
+
+// Download the assistant as a portable bundle
+router.get('/:id/export', auth(), assistantValidator.validateUUID, assistantValidator.exportQueryValidator, assistantController.exportAssistant);
+// Activate or deactivate; inactive assistants cannot start chats or calls
+router.patch('/:id/status', auth(), assistantValidator.validateUUID, assistantValidator.changeStatusValidator, assistantController.changeAssistantStatus);
+
+// Users and teams the assistant is shared with
+router.get('/:id/shares', auth(), assistantValidator.validateUUID, assistantController.getAssistantShares);
+
+// Share with a user or team
+router.post('/:id/shares', auth(), assistantValidator.validateUUID, assistantValidator.shareValidator, assistantController.shareAssistant);
+
+// Stop sharing
+router.delete('/:id/shares/:shareId', auth(), assistantValidator.validateUUID, assistantValidator.validateShareParam, assistantController.unshareAssistant);
+
+// Hand the assistant to another owner
+router.put('/:id/owner', auth(), assistantValidator.validateUUID, assistantValidator.ownerValidator, assistantController.changeAssistantOwner);
+
+// Compare with the live Vapi config
+router.get('/:id/drift', auth(), assistantValidator.validateUUID, assistantController.getAssistantDrift);
+
+// Accept changes made in Vapi or push the published config back
+router.post('/:id/drift/resolve', auth(), assistantValidator.validateUUID, assistantValidator.driftResolveValidator, assistantController.resolveAssistantDrift);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const AssistantTemplateController = require('../controllers/AssistantTemplateController');
+const AssistantTemplateValidator = require('../validator/AssistantTemplateValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const assistantTemplateController = new AssistantTemplateController();
+const assistantTemplateValidator = new AssistantTemplateValidator();
+
+// Get all templates
+router.get('/', auth(), assistantTemplateValidator.validateSearchQuery, assistantTemplateController.getTemplates);
+
+// Get template by id
+router.get('/:id', auth(), assistantTemplateValidator.validateUUID, assistantTemplateController.getTemplateById);
+
+// Create new template
+router.post('/', auth(), assistantTemplateValidator.templateCreateValidator, assistantTemplateController.createTemplate);
+
+// Update template
+router.put('/:id', auth(), assistantTemplateValidator.validateUUID, assistantTemplateValidator.templateUpdateValidator, assistantTemplateController.updateTemplate);
+
+// Delete template
+router.delete('/:id', auth(), assistantTemplateValidator.validateUUID, assistantTemplateController.deleteTemplate);
+
+// Fill in the template variables and create an assistant
+router.post('/:id/instantiate', auth(), assistantTemplateValidator.validateUUID, assistantTemplateValidator.instantiateValidator, assistantTemplateController.instantiateTemplate);
+
+module.exports = router;
@@ -1,39 +1,43 @@
 const express = require('express');
 const CallController = require('../controllers/CallController');
 const CallValidator = require('../validator/CallValidator');
+const auth = require('../middlewares/auth');
 
 const router = express.Router();
 const callController = new CallController();
 const callValidator = new CallValidator();
 
 // // Get all calls
-router.get('/', callValidator.validateSearchQuery, callController.getCalls);
+router.get('/', auth(), callValidator.validateSearchQuery, callController.getCalls);
 
 // Get call by id
-router.get('/:id', callValidator.validateUUID, callController.getCallById);
+router.get('/:id', auth(), callValidator.validateUUID, callController.getCallById);
 
 // Create/start new call
-router.post('/', callValidator.callCreateValidator, callController.createCall);
+router.post('/', auth(), callValidator.callCreateValidator, callController.createCall);
 
 // Update call
-router.put('/:id', callValidator.validateUUID, callValidator.callUpdateValidator, callController.updateCall);
+router.put('/:id', auth(), callValidator.validateUUID, callValidator.callUpdateValidator, callController.updateCall);
 
 // End call
-router.post('/:id/end', callValidator.validateUUID, callController.endCall);
+router.post('/:id/end', auth(), callValidator.validateUUID, callController.endCall);
 
 // Delete call
-router.delete('/:id', callValidator.validateUUID, callController.deleteCall);
+router.delete('/:id', auth(), callValidator.validateUUID, callController.deleteCall);
 
 // Get call analytics
-router.get('/:id/analytics', callValidator.validateUUID, callController.getCallAnalytics);
+router.get('/:id/analytics', auth(), callValidator.validateUUID, callController.getCallAnalytics);
 
 // Get call transcript
-router.get('/:id/transcript', callValidator.validateUUID, callController.getCallTranscript);
+router.get('/:id/transcript', auth(), callValidator.validateUUID, callController.getCallTranscript);
+
+// Download call transcript and metadata
+router.get('/:id/export', auth(), callValidator.validateUUID, callValidator.exportQueryValidator, callController.exportCall);
 
 // Get call recording
-router.get('/:id/recording', callValidator.validateUUID, callController.getCallRecording);
+router.get('/:id/recording', auth(), callValidator.validateUUID, callController.getCallRecording);
 
 // Update call status
-router.patch('/:id/status', callValidator.validateUUID, callValidator.statusUpdateValidator, callController.updateCallStatus);
+router.patch('/:id/status', auth(), callValidator.validateUUID, callValidator.statusUpdateValidator, callController.updateCallStatus);
 
 module.exports = router;
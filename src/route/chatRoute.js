@@ -1,39 +1,62 @@
 const express = require('express');
+const os = require('os');
+const multer = require('multer');
+const httpStatus = require('http-status');
 const ChatController = require('../controllers/ChatController');
 const ChatValidator = require('../validator/ChatValidator');
+const auth = require('../middlewares/auth');
+const ApiError = require('../helper/ApiError');
 
 const router = express.Router();
 const chatController = new ChatController();
 const chatValidator = new ChatValidator();
 
-// // Get all chats
-// router.get('/', chatValidator.validateSearchQuery, chatController.getChats);
+// Voice recordings land in the temp folder until they are uploaded to Cloudinary
+const upload = multer({ dest: os.tmpdir(), limits: { fileSize: 25 * 1024 * 1024 } });
+const uploadAudio = (req, res, next) => {
+    upload.single('audio')(req, res, (error) => next(error && new ApiError(httpStatus.BAD_REQUEST, error.message)));
+};
 
-// // Get chat by id
-// router.get('/:id', chatValidator.validateUUID, chatController.getChatById);
+// Get all chats
+router.get('/', auth(), chatValidator.validateSearchQuery, chatController.getChats);
 
-// // Get chat history/messages
-// router.get('/:id/history', chatValidator.validateUUID, chatValidator.validateHistoryQuery, chatController.getChatHistory);
+// Get chat by id
+router.get('/:id', auth(), chatValidator.validateUUID, chatController.getChatById);
 
-// // Create new chat
-// router.post('/', chatValidator.chatCreateValidator, chatController.createChat);
+// Get chat history/messages
+router.get('/:id/history', auth(), chatValidator.validateUUID, chatValidator.validateHistoryQuery, chatController.getChatHistory);
 
-// // Update chat
-// router.put('/:id', chatValidator.validateUUID, chatValidator.chatUpdateValidator, chatController.updateChat);
+// Get text messages, voice messages and calls as one feed
+router.get('/:id/timeline', auth(), chatValidator.validateUUID, chatValidator.validateTimelineQuery, chatController.getChatTimeline);
 
-// // Delete chat
-// router.delete('/:id', chatValidator.validateUUID, chatController.deleteChat);
+// Create new chat
+router.post('/', auth(), chatValidator.chatCreateValidator, chatController.createChat);
 
-// // Send message to chat
-// router.post('/:id/message', chatValidator.validateUUID, chatValidator.messageCreateValidator, chatController.sendMessage);
+// Update chat
+router.put('/:id', auth(), chatValidator.validateUUID, chatValidator.chatUpdateValidator, chatController.updateChat);
 
-// // Send voice message to chat
-// router.post('/:id/voice', chatValidator.validateUUID, chatController.sendVoiceMessage);
+// Delete chat
+router.delete('/:id', auth(), chatValidator.validateUUID, chatController.deleteChat);
 
-// // Get chat analytics
-// router.get('/:id/analytics', chatValidator.validateUUID, chatController.getChatAnalytics);
+// Send message to chat
+router.post('/:id/message', auth(), chatValidator.validateUUID, chatValidator.messageCreateValidator, chatController.sendMessage);
 
-// // Archive/unarchive chat
-// router.patch('/:id/archive', chatValidator.validateUUID, chatValidator.archiveValidator, chatController.archiveChat);
+// Send message to chat, streaming the reply as server-sent events
+router.post('/:id/message/stream', auth(), chatValidator.validateUUID, chatValidator.messageCreateValidator, chatController.streamMessage);
+
+// Send voice message to chat
+router.post('/:id/voice-message', auth(), chatValidator.validateUUID, uploadAudio, chatValidator.validateVoiceMessage, chatController.sendVoiceMessage);
+
+// Download chat transcript
+router.get('/:id/export', auth(), chatValidator.validateUUID, chatValidator.exportQueryValidator, chatController.exportChat);
+
+// Get chat analytics
+router.get('/:id/analytics', auth(), chatValidator.validateUUID, chatValidator.validateAnalyticsQuery, chatController.getChatAnalytics);
+
+// Fork chat at one of its messages
+router.post('/:id/fork', auth(), chatValidator.validateUUID, chatValidator.forkValidator, chatController.forkChat);
+
+// Archive/unarchive chat
+router.patch('/:id/archive', auth(), chatValidator.validateUUID, chatValidator.archiveValidator, chatController.archiveChat);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const ContactController = require('../controllers/ContactController');
+const ContactValidator = require('../validator/ContactValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const contactController = new ContactController();
+const contactValidator = new ContactValidator();
+
+// Get all contacts
+router.get('/', auth(), contactValidator.validateSearchQuery, contactController.getContacts);
+
+// Get contact by id
+router.get('/:id', auth(), contactValidator.validateUUID, contactController.getContactById);
+
+// Create new contact
+router.post('/', auth(), contactValidator.contactCreateValidator, contactController.createContact);
+
+// Update contact
+router.put('/:id', auth(), contactValidator.validateUUID, contactValidator.contactUpdateValidator, contactController.updateContact);
+
+// Delete contact
+router.delete('/:id', auth(), contactValidator.validateUUID, contactController.deleteContact);
+
+module.exports = router;
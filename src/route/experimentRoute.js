@@ -0,0 +1,32 @@
+const express = require('express');
+const ExperimentController = require('../controllers/ExperimentController');
+const ExperimentValidator = require('../validator/ExperimentValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const experimentController = new ExperimentController();
+const experimentValidator = new ExperimentValidator();
+
+// Get all experiments
+router.get('/', auth(), experimentValidator.validateSearchQuery, experimentController.getExperiments);
+
+// Get experiment by id
+router.get('/:id', auth(), experimentValidator.validateUUID, experimentController.getExperimentById);
+
+// Create new experiment
+router.post('/', auth(), experimentValidator.experimentCreateValidator, experimentController.createExperiment);
+
+// Update experiment
+router.put('/:id', auth(), experimentValidator.validateUUID, experimentValidator.experimentUpdateValidator, experimentController.updateExperiment);
+
+// Delete experiment
+router.delete('/:id', auth(), experimentValidator.validateUUID, experimentController.deleteExperiment);
+
+// Start and stop splitting new chats and calls between the variants
+router.post('/:id/start', auth(), experimentValidator.validateUUID, experimentController.startExperiment);
+router.post('/:id/stop', auth(), experimentValidator.validateUUID, experimentController.stopExperiment);
+
+// Call and chat metrics per variant
+router.get('/:id/results', auth(), experimentValidator.validateUUID, experimentController.getExperimentResults);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const ExportController = require('../controllers/ExportController');
+const ExportValidator = require('../validator/ExportValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const exportController = new ExportController();
+const exportValidator = new ExportValidator();
+
+// Get all export jobs
+router.get('/', auth(), exportValidator.validateSearchQuery, exportController.getExportJobs);
+
+// Get export job by id
+router.get('/:id', auth(), exportValidator.validateUUID, exportController.getExportJobById);
+
+// Start bulk export
+router.post('/', auth(), exportValidator.exportJobCreateValidator, exportController.createExportJob);
+
+// Download export zip
+router.get('/:id/download', auth(), exportValidator.validateUUID, exportController.downloadExport);
+
+// Delete export job
+router.delete('/:id', auth(), exportValidator.validateUUID, exportController.deleteExportJob);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const FlowController = require('../controllers/FlowController');
+const FlowValidator = require('../validator/FlowValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const flowController = new FlowController();
+const flowValidator = new FlowValidator();
+
+// Get all flows
+router.get('/', auth(), flowValidator.validateSearchQuery, flowController.getFlows);
+
+// Get flow by id
+router.get('/:id', auth(), flowValidator.validateUUID, flowController.getFlowById);
+
+// Create new flow
+router.post('/', auth(), flowValidator.flowCreateValidator, flowController.createFlow);
+
+// Update flow
+router.put('/:id', auth(), flowValidator.validateUUID, flowValidator.flowUpdateValidator, flowController.updateFlow);
+
+// Delete flow
+router.delete('/:id', auth(), flowValidator.validateUUID, flowController.deleteFlow);
+
+// Preview compiled assistant config
+router.get('/:id/compile', auth(), flowValidator.validateUUID, flowController.getCompiledFlow);
+
+// Walk the flow with scripted user turns, without calling Vapi
+router.post('/:id/simulate', auth(), flowValidator.validateUUID, flowValidator.simulateValidator, flowController.simulateFlow);
+
+// Push compiled flow to Vapi
+router.post('/:id/deploy', auth(), flowValidator.validateUUID, flowController.deployFlow);
+
+// Version history
+router.get('/:id/versions', auth(), flowValidator.validateUUID, flowController.getFlowVersions);
+
+// Get a single version
+router.get('/:id/versions/:version', auth(), flowValidator.validateUUID, flowValidator.validateVersionParam, flowController.getFlowVersion);
+
+// Deploy a stored version
+router.post('/:id/versions/:version/publish', auth(), flowValidator.validateUUID, flowValidator.validateVersionParam, flowController.publishFlowVersion);
+
+// Re-deploy an earlier version
+router.post('/:id/rollback', auth(), flowValidator.validateUUID, flowValidator.rollbackValidator, flowController.rollbackFlow);
+
+module.exports = router;
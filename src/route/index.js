@@ -3,6 +3,16 @@ const assistantRoute = require("./assistantRoute");
 const chatRoute = require("./chatRoute");
 const callRoute = require("./callRoute");
 const webhookRoute = require("./webhookRoute");
+const flowRoute = require("./flowRoute");
+const assistantTemplateRoute = require("./assistantTemplateRoute");
+const experimentRoute = require("./experimentRoute");
+const toolRoute = require("./toolRoute");
+const contactRoute = require("./contactRoute");
+const routingRuleRoute = require("./routingRuleRoute");
+const knowledgeRoute = require("./knowledgeRoute");
+const squadRoute = require("./squadRoute");
+const searchRoute = require("./searchRoute");
+const exportRoute = require("./exportRoute");
 const router = express.Router();
 
 const defaultRoutes = [
@@ -22,6 +32,46 @@ const defaultRoutes = [
     path: "/webhooks",
     route: webhookRoute,
   },
+  {
+    path: "/flows",
+    route: flowRoute,
+  },
+  {
+    path: "/assistant-templates",
+    route: assistantTemplateRoute,
+  },
+  {
+    path: "/experiments",
+    route: experimentRoute,
+  },
+  {
+    path: "/tools",
+    route: toolRoute,
+  },
+  {
+    path: "/contacts",
+    route: contactRoute,
+  },
+  {
+    path: "/routing-rules",
+    route: routingRuleRoute,
+  },
+  {
+    path: "/knowledge",
+    route: knowledgeRoute,
+  },
+  {
+    path: "/squads",
+    route: squadRoute,
+  },
+  {
+    path: "/search",
+    route: searchRoute,
+  },
+  {
+    path: "/exports",
+    route: exportRoute,
+  },
 ];
 
 defaultRoutes.forEach((route) => {
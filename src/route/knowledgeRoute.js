@@ -0,0 +1,44 @@
+const express = require('express');
+const os = require('os');
+const multer = require('multer');
+const httpStatus = require('http-status');
+const KnowledgeController = require('../controllers/KnowledgeController');
+const KnowledgeValidator = require('../validator/KnowledgeValidator');
+const auth = require('../middlewares/auth');
+const ApiError = require('../helper/ApiError');
+
+const router = express.Router();
+const knowledgeController = new KnowledgeController();
+const knowledgeValidator = new KnowledgeValidator();
+
+// Uploads land in the temp folder until the service has stored them
+const upload = multer({ dest: os.tmpdir(), limits: { fileSize: 10 * 1024 * 1024 } });
+const uploadDocument = (req, res, next) => {
+    upload.single('file')(req, res, (error) => next(error && new ApiError(httpStatus.BAD_REQUEST, error.message)));
+};
+
+// Search an assistant's knowledge base, for checking what the search tool returns
+router.get('/search', auth(), knowledgeValidator.knowledgeSearchValidator, knowledgeController.searchKnowledge);
+
+// Reindex all documents of an assistant
+router.post('/reindex', auth(), knowledgeValidator.reindexValidator, knowledgeController.reindexAssistant);
+
+// Get all documents
+router.get('/documents', auth(), knowledgeValidator.validateSearchQuery, knowledgeController.getDocuments);
+
+// Get document by id
+router.get('/documents/:id', auth(), knowledgeValidator.validateUUID, knowledgeController.getDocumentById);
+
+// Upload new document
+router.post('/documents', auth(), uploadDocument, knowledgeValidator.documentCreateValidator, knowledgeController.createDocument);
+
+// Rename document or replace its file
+router.put('/documents/:id', auth(), uploadDocument, knowledgeValidator.validateUUID, knowledgeValidator.documentUpdateValidator, knowledgeController.updateDocument);
+
+// Delete document
+router.delete('/documents/:id', auth(), knowledgeValidator.validateUUID, knowledgeController.deleteDocument);
+
+// Reindex document
+router.post('/documents/:id/reindex', auth(), knowledgeValidator.validateUUID, knowledgeController.reindexDocument);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const RoutingRuleController = require('../controllers/RoutingRuleController');
+const RoutingRuleValidator = require('../validator/RoutingRuleValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const routingRuleController = new RoutingRuleController();
+const routingRuleValidator = new RoutingRuleValidator();
+
+// Get all routing rules in evaluation order
+router.get('/', auth(), routingRuleValidator.validateSearchQuery, routingRuleController.getRules);
+
+// Get phone numbers assigned to users
+router.get('/phone-numbers', auth(), routingRuleValidator.validateSearchQuery, routingRuleController.getPhoneNumbers);
+
+// Assign a phone number to a user
+router.put('/phone-numbers/:phone_number_id', auth(), routingRuleValidator.validatePhoneNumberId, routingRuleValidator.phoneNumberAssignValidator, routingRuleController.assignPhoneNumber);
+
+// Unassign a phone number
+router.delete('/phone-numbers/:phone_number_id', auth(), routingRuleValidator.validatePhoneNumberId, routingRuleController.unassignPhoneNumber);
+
+// Get routing rule by id
+router.get('/:id', auth(), routingRuleValidator.validateUUID, routingRuleController.getRuleById);
+
+// Create new routing rule
+router.post('/', auth(), routingRuleValidator.ruleCreateValidator, routingRuleController.createRule);
+
+// Update routing rule
+router.put('/:id', auth(), routingRuleValidator.validateUUID, routingRuleValidator.ruleUpdateValidator, routingRuleController.updateRule);
+
+// Delete routing rule
+router.delete('/:id', auth(), routingRuleValidator.validateUUID, routingRuleController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const SearchController = require('../controllers/SearchController');
+const SearchValidator = require('../validator/SearchValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const searchController = new SearchController();
+const searchValidator = new SearchValidator();
+
+// Search chat messages, voice transcripts and call transcripts
+router.get('/', auth(), searchValidator.validateSearchQuery, searchController.search);
+
+module.exports = router;
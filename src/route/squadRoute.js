@@ -0,0 +1,25 @@
+const express = require('express');
+const SquadController = require('../controllers/SquadController');
+const SquadValidator = require('../validator/SquadValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const squadController = new SquadController();
+const squadValidator = new SquadValidator();
+
+// Get all squads
+router.get('/', auth(), squadValidator.validateSearchQuery, squadController.getSquads);
+
+// Get squad by id
+router.get('/:id', auth(), squadValidator.validateUUID, squadController.getSquadById);
+
+// Create new squad
+router.post('/', auth(), squadValidator.squadCreateValidator, squadController.createSquad);
+
+// Update squad
+router.put('/:id', auth(), squadValidator.validateUUID, squadValidator.squadUpdateValidator, squadController.updateSquad);
+
+// Delete squad
+router.delete('/:id', auth(), squadValidator.validateUUID, squadController.deleteSquad);
+
+module.exports = router;
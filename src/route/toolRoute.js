@@ -0,0 +1,25 @@
+const express = require('express');
+const ToolController = require('../controllers/ToolController');
+const ToolValidator = require('../validator/ToolValidator');
+const auth = require('../middlewares/auth');
+
+const router = express.Router();
+const toolController = new ToolController();
+const toolValidator = new ToolValidator();
+
+// Get all tools
+router.get('/', auth(), toolValidator.validateSearchQuery, toolController.getTools);
+
+// Get tool by id
+router.get('/:id', auth(), toolValidator.validateUUID, toolController.getToolById);
+
+// Create new tool
+router.post('/', auth(), toolValidator.toolCreateValidator, toolController.createTool);
+
+// Update tool; assistants that have it get the new definition
+router.put('/:id', auth(), toolValidator.validateUUID, toolValidator.toolUpdateValidator, toolController.updateTool);
+
+// Delete tool and take it off its assistants
+router.delete('/:id', auth(), toolValidator.validateUUID, toolController.deleteTool);
+
+module.exports = router;
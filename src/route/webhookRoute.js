@@ -6,8 +6,8 @@ const router = express.Router();
 const webhookController = new WebhookController();
 const webhookValidator = new WebhookValidator();
 
-// // Vapi webhook endpoint
-// router.post('/vapi', webhookValidator.validateVapiWebhook, webhookController.handleVapiWebhook);
+// Vapi webhook endpoint
+router.post('/vapi', webhookValidator.validateVapiWebhook, webhookController.handleVapiWebhook);
 
 // // Vapi call webhooks
 // router.post('/vapi/call', webhookValidator.validateVapiWebhook, webhookController.handleCallWebhook);
@@ -1,15 +1,272 @@
 const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const AssistantDao = require('../dao/AssistantDao');
+const ToolDao = require('../dao/ToolDao');
+const AssistantShareDao = require('../dao/AssistantShareDao');
+const ContactDao = require('../dao/ContactDao');
 
 const responseHandler = require('../helper/responseHandler');
 const logger = require('../config/logger');
 const VapiService = require('./VapiService');
-const config = require('../config/config');
+const VersionService = require('./VersionService');
+const AssistantValidator = require('../validator/AssistantValidator');
+const { diffConfigs, getPath, setPath } = require('../helper/configDiff');
+const { withServerUrl, toVapiConfig, toVapiUpdate, fromVapiConfig } = require('../helper/assistantConfigMapper');
+const { toBundle, fromBundle } = require('../helper/assistantBundle');
+const { withTools } = require('../helper/toolHandlers');
+const { supportedLanguages, pickLanguage, detectLanguage } = require('../helper/assistantLocale');
+const { normalizePhoneNumber } = require('../helper/phoneNumber');
+
+// Fields Vapi generates itself and rejects on update
+const READ_ONLY_ASSISTANT_FIELDS = ['id', 'orgId', 'createdAt', 'updatedAt', 'isServerUrlSecretSet'];
+
+// Page size used when mirroring the whole Vapi account
+const SYNC_PAGE_LIMIT = 1000;
+
+// Vapi never returns secrets, so they cannot be compared with the published config
+const DRIFT_IGNORED_PATHS = ['serverUrlSecret', 'server.secret'];
+
+// Registry fields for an assistant whose live config matches what was last published
+const inSync = () => ({ drift_status: 'in_sync', drift: [], drift_checked_at: new Date() });
+
+// Access levels from least to most: use runs chats and calls, manage edits and publishes, owner deletes and shares
+const ACCESS_LEVELS = ['use', 'manage', 'owner'];
+
+// Names of the function tools in a Vapi config
+const functionToolNames = (vapiConfig) => (vapiConfig.model?.tools || [])
+    .filter((vapiTool) => vapiTool.type === 'function' && vapiTool.function?.name)
+    .map((vapiTool) => vapiTool.function.name);
+
+const stripReadOnlyFields = (assistant) => {
+    const cleaned = { ...assistant };
+    READ_ONLY_ASSISTANT_FIELDS.forEach((field) => delete cleaned[field]);
+    return cleaned;
+};
+
 class AssistantService {
     constructor() {
+        this.assistantDao = new AssistantDao();
+        this.toolDao = new ToolDao();
+        this.assistantShareDao = new AssistantShareDao();
+        this.contactDao = new ContactDao();
         this.vapiService = new VapiService();
+        this.versionService = new VersionService();
+        this.assistantValidator = new AssistantValidator();
     }
 
-    createAssistant = async (assistantBody) => {
+    /**
+     * Create or refresh the local registry row of a Vapi assistant
+     * @param {Object} vapiAssistant - assistant as returned by Vapi
+     * @param {Number|null} userId - owner, only set when the row is first created
+     * @returns {Object} registry row
+     */
+    registerAssistant = async (vapiAssistant, userId = null) => {
+        const mapped = fromVapiConfig(vapiAssistant);
+        const fields = {
+            name: mapped.name,
+            description: mapped.description,
+            model_provider: mapped.model_provider,
+            voice_provider: mapped.voice_provider,
+            status: mapped.status,
+            tags: mapped.tags,
+            metadata: mapped.metadata,
+            config: vapiAssistant,
+            last_synced_at: new Date()
+        };
+
+        const existing = await this.assistantDao.findByVapiId(vapiAssistant.id);
+        if (existing) {
+            await this.assistantDao.updateById(fields, existing.id);
+            return this.assistantDao.findById(existing.id);
+        }
+
+        return this.assistantDao.create({
+            uuid: uuidv4(),
+            vapi_assistant_id: vapiAssistant.id,
+            user_id: userId,
+            ...fields
+        });
+    };
+
+    /**
+     * Find an assistant in the registry, importing it from Vapi the first time it is seen
+     * @param {String} vapiAssistantId
+     * @returns {Object|null} registry row
+     */
+    resolveAssistant = async (vapiAssistantId) => {
+        const assistant = await this.assistantDao.findByVapiId(vapiAssistantId);
+        if (assistant) {
+            return assistant;
+        }
+
+        try {
+            const vapiAssistant = await this.vapiService.getAssistant(vapiAssistantId);
+            return await this.registerAssistant(vapiAssistant);
+        } catch (error) {
+            logger.error(`Assistant ${vapiAssistantId} could not be resolved:`, error.message);
+            return null;
+        }
+    };
+
+    /**
+     * Work out how far a user may go with an assistant
+     * @param {Object} assistant - registry row
+     * @param {Object} user - Current user; teams come from user.team_ids
+     * @returns {String|null} one of ACCESS_LEVELS, or null when there is no user or the assistant is neither owned by
+     * nor shared with them
+     */
+    getAccessLevel = async (assistant, user) => {
+        if (!user) {
+            return null;
+        }
+        if (user.role === 'admin' || assistant.user_id === user.id) {
+            return 'owner';
+        }
+
+        const shares = await this.assistantShareDao.findForUser(user.id, user.team_ids || [], assistant.id);
+        if (shares.length === 0) {
+            return null;
+        }
+        return shares.some((share) => share.permission === 'manage') ? 'manage' : 'use';
+    };
+
+    /**
+     * Find an assistant the user is allowed to access
+     * @param {String} id - Vapi assistant id
+     * @param {Object} user - Current user
+     * @param {String} access - level the operation needs, see ACCESS_LEVELS
+     * @returns {Object} { assistant } or { error } holding a ready response
+     */
+    findAccessibleAssistant = async (id, user, access = 'use') => {
+        const assistant = await this.resolveAssistant(id);
+
+        if (!assistant) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Assistant not found') };
+        }
+
+        const level = await this.getAccessLevel(assistant, user);
+        if (!level || ACCESS_LEVELS.indexOf(level) < ACCESS_LEVELS.indexOf(access)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { assistant };
+    };
+
+    /**
+     * Find an assistant the user may start a chat or call on; inactive assistants are turned away
+     * @param {String} id - Vapi assistant id
+     * @param {Object} user - Current user
+     * @returns {Object} { assistant } or { error } holding a ready response
+     */
+    findUsableAssistant = async (id, user) => {
+        const { assistant, error } = await this.findAccessibleAssistant(id, user);
+        if (error) {
+            return { error };
+        }
+
+        if (assistant.status === 0) {
+            return { error: responseHandler.returnError(httpStatus.BAD_REQUEST, `Assistant "${assistant.name}" is inactive`) };
+        }
+
+        return { assistant };
+    };
+
+    /**
+     * Pick the language a chat or call runs in: the one asked for, else the contact's preferred language,
+     * else the language the first user turn is written in, else the assistant's own
+     * @param {Object} assistant - registry row
+     * @param {Object} conversation - { language, customer, firstTurn }
+     * @param {Object} user - Current user, whose contacts are searched
+     * @returns {Object} { language } or { error } holding a ready response
+     */
+    pickConversationLanguage = async (assistant, { language, customer, firstTurn }, user) => {
+        const vapiConfig = assistant.config || {};
+        const languages = supportedLanguages(vapiConfig);
+
+        if (language) {
+            const picked = pickLanguage(vapiConfig, [language]);
+            if (!picked) {
+                return {
+                    error: responseHandler.returnError(
+                        httpStatus.BAD_REQUEST,
+                        `Assistant "${assistant.name}" has no "${language}" locale, it supports ${languages.join(', ')}`
+                    )
+                };
+            }
+            return { language: picked };
+        }
+
+        const phoneNumber = normalizePhoneNumber(customer?.number);
+        const contact = phoneNumber ? await this.contactDao.findByPhoneNumber(phoneNumber, user?.id || null) : null;
+
+        return {
+            language: pickLanguage(vapiConfig, [contact?.preferred_language])
+                || detectLanguage(firstTurn, languages)
+                || languages[0]
+        };
+    };
+
+    /**
+     * Shape a registry row for API responses
+     * @param {Object} assistant - registry row
+     * @returns {Object}
+     */
+    formatAssistant = (assistant) => {
+        return {
+            ...fromVapiConfig(assistant.config || {}),
+            id: assistant.vapi_assistant_id,
+            uuid: assistant.uuid,
+            user_id: assistant.user_id,
+            name: assistant.name,
+            description: assistant.description,
+            status: assistant.status,
+            tags: assistant.tags || [],
+            last_synced_at: assistant.last_synced_at,
+            drift_status: assistant.drift_status,
+            drift_checked_at: assistant.drift_checked_at
+        };
+    };
+
+    /**
+     * Push a config to Vapi and refresh the registry with the result
+     * @param {String} id - Vapi assistant id
+     * @param {Object} vapiConfig
+     * @returns {Object} the updated Vapi assistant
+     */
+    pushAssistantConfig = async (id, vapiConfig) => {
+        const vapiAssistant = await this.vapiService.updateAssistant(id, stripReadOnlyFields(vapiConfig));
+        const assistant = await this.registerAssistant(vapiAssistant);
+        // What was just pushed is the new reference, earlier drift no longer applies
+        await this.assistantDao.updateById(inSync(), assistant.id);
+        return vapiAssistant;
+    };
+
+    /**
+     * Create an assistant in Vapi, register it and record its first version
+     * @param {Object} vapiConfig - complete Vapi assistant config
+     * @param {Object} user
+     * @param {String} changeNote - note on the first version
+     * @returns {Object}
+     */
+    createFromVapiConfig = async (vapiConfig, user, changeNote = 'Initial version') => {
+        try {
+            const vapiAssistant = await this.vapiService.createAssistant(vapiConfig);
+            const assistant = await this.registerAssistant(vapiAssistant, user?.id || null);
+            await this.versionService.recordVersion('assistant', vapiAssistant.id, stripReadOnlyFields(vapiAssistant), user, {
+                status: 'published',
+                changeNote
+            });
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Assistant created successfully!', this.formatAssistant(assistant));
+        } catch (error) {
+            logger.error('Vapi assistant creation failed:', error);
+            return responseHandler.returnError(
+                httpStatus.BAD_REQUEST,
+                `Failed to create assistant in Vapi: ${error.message || 'Unknown error'}`
+            );
+        }
+    };
+
+    createAssistant = async (assistantBody, user) => {
         try {
             const { name, system_prompt } = assistantBody;
 
@@ -17,90 +274,752 @@ class AssistantService {
                 return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Name and system_prompt are required');
             }
 
-            const vapiConfig = {
-                name: name,
-                model: {
-                    provider: 'openai',
-                    model: 'gpt-4',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: system_prompt,
-                        },
-                    ],
-                },
-                voice: {
-                    provider: 'elevenlabs',
-                    voiceId: 'burt',
-                },
-                transcriber: {
-                    provider: 'deepgram',
-                    model: 'nova-2',
-                    language: 'en',
-                },
-                firstMessage: 'Hello! How can I help you today?',
-            };
+            return this.createFromVapiConfig(toVapiConfig(assistantBody), user);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Create a new assistant from an existing one, applying field overrides
+     * @param {String} id - Vapi assistant id of the source
+     * @param {Object} overrides - AssistantValidator update fields
+     * @param {Object} user
+     * @returns {Object}
+     */
+    cloneAssistant = async (id, overrides, user) => {
+        try {
+            const { error } = await this.findAccessibleAssistant(id, user);
+            if (error) {
+                return error;
+            }
+
+            const source = await this.vapiService.getAssistant(id);
 
-            if (config.app.url && config.vapi.webhookSecret) {
-                vapiConfig.serverUrl = `${config.app.url}/api/webhooks/vapi`;
-                vapiConfig.serverUrlSecret = config.vapi.webhookSecret;
+            // The clone gets this environment's server wiring, not whatever the source pointed at
+            const base = stripReadOnlyFields(source);
+            delete base.serverUrl;
+            delete base.serverUrlSecret;
+
+            const vapiConfig = withServerUrl(toVapiUpdate({ name: `${source.name || 'Assistant'} (copy)`, ...overrides }, base));
+            vapiConfig.metadata = { ...vapiConfig.metadata, cloned_from: id };
+
+            return this.createFromVapiConfig(vapiConfig, user, `Cloned from ${source.name || id}`);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Export an assistant as a portable bundle
+     * @param {String} id - Vapi assistant id
+     * @param {Object} user
+     * @returns {Object}
+     */
+    exportAssistant = async (id, user) => {
+        try {
+            const { error } = await this.findAccessibleAssistant(id, user);
+            if (error) {
+                return error;
             }
 
-            try {
-                const vapiAssistant = await this.vapiService.createAssistant(vapiConfig);
-                return responseHandler.returnSuccess(httpStatus.CREATED, 'Assistant created successfully!', vapiAssistant);
-            } catch (error) {
-                logger.error('Vapi assistant creation failed:', error);
+            const vapiAssistant = await this.vapiService.getAssistant(id);
+            const bundle = toBundle(vapiAssistant);
+
+            // Imports check the assistant section with the create rules, refuse bundles that could not be imported
+            const { error: importError } = this.assistantValidator.validateAssistantBody(bundle.assistant);
+            if (importError) {
+                const errorMessage = importError.details
+                    .map((details) => details.message)
+                    .join(', ');
                 return responseHandler.returnError(
                     httpStatus.BAD_REQUEST,
-                    'Failed to create assistant in Vapi: ' + (error.message || 'Unknown error')
+                    `Assistant cannot be exported, its settings would be refused on import: ${errorMessage}`
                 );
             }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant exported successfully', bundle);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Create an assistant from an exported bundle
+     * @param {Object} bundle - bundle checked by AssistantValidator.importValidator
+     * @param {Object} user
+     * @returns {Object}
+     */
+    importAssistant = async (bundle, user) => {
+        try {
+            return this.createFromVapiConfig(
+                fromBundle(bundle, bundle.assistant),
+                user,
+                `Imported from bundle exported at ${bundle.exported_at || 'unknown time'}`
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get assistants from the local registry with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getAssistants = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            // Non-admins see the assistants they own and those shared with them or their teams
+            let visibleTo = null;
+            if (user && user.role !== 'admin') {
+                const shares = await this.assistantShareDao.findForUser(user.id, user.team_ids || []);
+                visibleTo = {
+                    userId: user.id,
+                    assistantIds: [...new Set(shares.map((share) => share.assistant_id))]
+                };
+            }
+
+            const assistants = await this.assistantDao.findWithPagination(page, limit, filter, visibleTo);
+
+            const totalPages = Math.ceil(assistants.count / limit);
+            const pagination = {
+                total: assistants.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Assistants retrieved successfully',
+                {
+                    content: assistants.rows.map((assistant) => this.formatAssistant(assistant)),
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    getAssistantById = async (id, user) => {
+        try {
+            const { assistant, error } = await this.findAccessibleAssistant(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant retrieved successfully', this.formatAssistant(assistant));
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Save an edit as a draft version. Nothing reaches Vapi until the version is published.
+     * @param {String} id - Vapi assistant id
+     * @param {Object} updateBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    updateAssistant = async (id, updateBody, user) => {
+        try {
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'manage');
+            if (error) {
+                return error;
+            }
+
+            const { change_note: changeNote, ...changes } = updateBody;
+
+            let latest = await this.versionService.getLatestVersion('assistant', id);
+            if (!latest) {
+                // First edit of an assistant created before versioning: snapshot what is live
+                latest = await this.versionService.recordVersion('assistant', id, stripReadOnlyFields(assistant.config), user, {
+                    status: 'published',
+                    changeNote: 'Imported from Vapi'
+                });
+            }
+
+            const draftConfig = toVapiUpdate(changes, latest.config);
+            if (diffConfigs(latest.config, draftConfig).length === 0) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'No changes to save');
+            }
+
+            const draft = await this.versionService.recordVersion('assistant', id, draftConfig, user, { changeNote });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant draft saved successfully', draft);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * List versions of an assistant
+     * @param {String} id - Vapi assistant id
+     * @param {Object} query
+     * @param {Object} user
+     * @returns {Object}
+     */
+    getAssistantVersions = async (id, query, user) => {
+        const { error } = await this.findAccessibleAssistant(id, user);
+        if (error) {
+            return error;
+        }
+        return this.versionService.getVersions('assistant', id, query);
+    };
+
+    /**
+     * Get a single assistant version
+     * @param {String} id - Vapi assistant id
+     * @param {Number} version
+     * @param {Object} user
+     * @returns {Object}
+     */
+    getAssistantVersion = async (id, version, user) => {
+        const { error } = await this.findAccessibleAssistant(id, user);
+        if (error) {
+            return error;
+        }
+        return this.versionService.getVersion('assistant', id, version);
+    };
+
+    /**
+     * Give a version the registered tools the live assistant has. Tools are set on the live config directly
+     * (setAssistantTools, knowledge base search), so a version saved before such a change would otherwise drop them.
+     * @param {Object} liveConfig - the assistant as Vapi has it now
+     * @param {Object} versionConfig
+     * @returns {Object} the config to publish, versionConfig itself when its registered tools already match
+     */
+    withLiveTools = async (liveConfig, versionConfig) => {
+        const liveNames = functionToolNames(liveConfig);
+        const versionNames = functionToolNames(versionConfig);
+        const names = [...new Set([...liveNames, ...versionNames])];
+        const registered = names.length > 0 ? await this.toolDao.findByNames(names) : [];
+
+        const liveTools = registered.filter((tool) => liveNames.includes(tool.name));
+        const unchanged = registered.every((tool) => liveNames.includes(tool.name) === versionNames.includes(tool.name));
+        if (unchanged) {
+            return versionConfig;
+        }
+        return withTools(versionConfig, liveTools, registered.map((tool) => tool.name));
+    };
+
+    /**
+     * Give a version the live assistant's status. Activating and deactivating change the live config directly,
+     * so publishing a version saved before would otherwise switch a deactivated assistant back on.
+     * @param {Object} liveConfig - the assistant as Vapi has it now
+     * @param {Object} versionConfig
+     * @returns {Object} the config to publish, versionConfig itself when the status already matches
+     */
+    withLiveStatus = (liveConfig, versionConfig) => {
+        const liveStatus = liveConfig.metadata?.status;
+        if (liveStatus === undefined || versionConfig.metadata?.status === liveStatus) {
+            return versionConfig;
+        }
+        return { ...versionConfig, metadata: { ...(versionConfig.metadata || {}), status: liveStatus } };
+    };
+
+    /**
+     * Carry what is changed on the live assistant rather than through versions over to a version about to be published
+     * @param {String} id - Vapi assistant id
+     * @param {Object} versionConfig
+     * @returns {Object} the config to publish
+     */
+    withLiveState = async (id, versionConfig) => {
+        const liveConfig = await this.vapiService.getAssistant(id);
+        return this.withLiveTools(liveConfig, this.withLiveStatus(liveConfig, versionConfig));
+    };
+
+    /**
+     * Push a stored version to Vapi
+     * @param {String} id - Vapi assistant id
+     * @param {Number} version
+     * @param {Object} user
+     * @returns {Object}
+     */
+    publishAssistantVersion = async (id, version, user) => {
+        const { error } = await this.findAccessibleAssistant(id, user, 'manage');
+        if (error) {
+            return error;
+        }
+        return this.versionService.publishVersion('assistant', id, version, user, (versionConfig) => {
+            return this.pushAssistantConfig(id, versionConfig);
+        }, (versionConfig) => this.withLiveState(id, versionConfig));
+    };
+
+    /**
+     * Re-publish an earlier version of an assistant
+     * @param {String} id - Vapi assistant id
+     * @param {Number} version
+     * @param {Object} user
+     * @returns {Object}
+     */
+    rollbackAssistant = async (id, version, user) => {
+        const { error } = await this.findAccessibleAssistant(id, user, 'manage');
+        if (error) {
+            return error;
+        }
+        return this.versionService.rollbackToVersion('assistant', id, version, user, (versionConfig) => {
+            return this.pushAssistantConfig(id, versionConfig);
+        }, (versionConfig) => this.withLiveState(id, versionConfig));
+    };
+
+    /**
+     * Change an assistant's live Vapi config right away and record the result as a published version
+     * @param {String} id - Vapi assistant id
+     * @param {Function} change - gets the current Vapi config and returns the new one
+     * @param {Object} user
+     * @param {String} changeNote
+     * @returns {Object} the updated Vapi assistant
+     */
+    updateLiveConfig = async (id, change, user, changeNote) => {
+        const current = stripReadOnlyFields(await this.vapiService.getAssistant(id));
+        const vapiAssistant = await this.pushAssistantConfig(id, change(current));
+        await this.versionService.recordVersion('assistant', id, stripReadOnlyFields(vapiAssistant), user, {
+            status: 'published',
+            changeNote
+        });
+        return vapiAssistant;
+    };
+
+    /**
+     * Put registered tool definitions into an assistant's live Vapi config and record it as a published version
+     * @param {String} id - Vapi assistant id
+     * @param {Array} tools - tool rows the assistant should have
+     * @param {Array} replacedNames - registered tool names to take out first
+     * @param {Object} user
+     * @param {String} changeNote
+     * @returns {Object} the updated Vapi assistant
+     */
+    applyTools = async (id, tools, replacedNames, user, changeNote) => {
+        return this.updateLiveConfig(id, (current) => withTools(current, tools, replacedNames), user, changeNote);
+    };
+
+    /**
+     * Set which registered tools an assistant can call
+     * @param {String} id - Vapi assistant id
+     * @param {Array} toolIds - tool UUIDs; an empty list removes all registered tools
+     * @param {Object} user
+     * @returns {Object}
+     */
+    setAssistantTools = async (id, toolIds, user) => {
+        try {
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'manage');
+            if (error) {
+                return error;
+            }
+
+            const tools = toolIds.length > 0 ? await this.toolDao.findByUuids(toolIds) : [];
+            if (tools.length !== toolIds.length) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Tool not found');
+            }
+            // Tools without an owner are shared with everyone
+            const denied = tools.find((tool) => !user || (user.role !== 'admin' && tool.user_id && tool.user_id !== user.id));
+            if (denied) {
+                return responseHandler.returnError(httpStatus.FORBIDDEN, `Access denied to tool "${denied.name}"`);
+            }
+
+            // Registered tools currently on the assistant are replaced by the new set
+            const functionNames = functionToolNames(assistant.config || {});
+            const attached = functionNames.length > 0 ? await this.toolDao.findByNames(functionNames) : [];
+            const attachedNames = attached.map((tool) => tool.name);
+
+            const vapiAssistant = await this.applyTools(id, tools, attachedNames, user, 'Tools updated');
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant tools updated successfully', {
+                tools: vapiAssistant.model?.tools || []
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Activate or deactivate an assistant. Takes effect at once, inactive assistants cannot start chats or calls.
+     * @param {String} id - Vapi assistant id
+     * @param {Number} status - 1 active, 0 inactive
+     * @param {Object} user
+     * @returns {Object}
+     */
+    changeAssistantStatus = async (id, status, user) => {
+        try {
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'manage');
+            if (error) {
+                return error;
+            }
+
+            if (assistant.status === status) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, `Assistant is already ${status ? 'active' : 'inactive'}`);
+            }
+
+            // The status lives in the Vapi metadata, the registry picks it up when the config is pushed
+            const vapiAssistant = await this.updateLiveConfig(id, (current) => ({
+                ...current,
+                metadata: { ...(current.metadata || {}), status }
+            }), user, status ? 'Activated' : 'Deactivated');
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant status updated successfully', {
+                id: vapiAssistant.id,
+                status
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * List who an assistant is shared with
+     * @param {String} id - Vapi assistant id
+     * @param {Object} user
+     * @returns {Object}
+     */
+    getAssistantShares = async (id, user) => {
+        try {
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'owner');
+            if (error) {
+                return error;
+            }
+
+            const shares = await this.assistantShareDao.findByAssistantId(assistant.id);
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant shares retrieved successfully', {
+                user_id: assistant.user_id,
+                shares
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Share an assistant with a user or a team. Sharing again with the same user or team changes the permission.
+     * @param {String} id - Vapi assistant id
+     * @param {Object} shareBody - { user_id } or { team_id }, with permission
+     * @param {Object} user
+     * @returns {Object}
+     */
+    shareAssistant = async (id, shareBody, user) => {
+        try {
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'owner');
+            if (error) {
+                return error;
+            }
+
+            if (shareBody.user_id && shareBody.user_id === assistant.user_id) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'The owner already has full access');
+            }
+
+            const grantee = shareBody.user_id ? { user_id: shareBody.user_id } : { team_id: shareBody.team_id };
+            const existing = await this.assistantShareDao.findOneByWhere({
+                assistant_id: assistant.id,
+                ...grantee
+            });
+
+            if (existing) {
+                await this.assistantShareDao.updateById({ permission: shareBody.permission }, existing.id);
+                const share = await this.assistantShareDao.findById(existing.id);
+                return responseHandler.returnSuccess(httpStatus.OK, 'Assistant share updated successfully', share);
+            }
+
+            const share = await this.assistantShareDao.create({
+                uuid: uuidv4(),
+                assistant_id: assistant.id,
+                ...grantee,
+                permission: shareBody.permission,
+                created_by: user?.id || null
+            });
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Assistant shared successfully', share);
         } catch (e) {
             logger.error(e);
             return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
         }
     };
 
-    getAssistants = async (query) => {
+    /**
+     * Stop sharing an assistant
+     * @param {String} id - Vapi assistant id
+     * @param {String} shareId - share UUID
+     * @param {Object} user
+     * @returns {Object}
+     */
+    unshareAssistant = async (id, shareId, user) => {
         try {
-            const assistants = await this.vapiService.listAssistants(query);
-            return responseHandler.returnSuccess(httpStatus.OK, 'Assistants retrieved successfully', assistants);
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'owner');
+            if (error) {
+                return error;
+            }
+
+            const share = await this.assistantShareDao.findOneByWhere({
+                uuid: shareId,
+                assistant_id: assistant.id
+            });
+            if (!share) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Share not found');
+            }
+
+            await this.assistantShareDao.deleteWhere({ id: share.id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant share removed successfully', {});
         } catch (e) {
             logger.error(e);
             return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
         }
     };
 
-    getAssistantById = async (id) => {
+    /**
+     * Hand an assistant to another owner. Assistants synced from Vapi start without one and only admins see them.
+     * @param {String} id - Vapi assistant id
+     * @param {Number} ownerId - new owner's user id
+     * @param {Object} user
+     * @returns {Object}
+     */
+    changeAssistantOwner = async (id, ownerId, user) => {
         try {
-            const assistant = await this.vapiService.getAssistant(id);
-            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant retrieved successfully', assistant);
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'owner');
+            if (error) {
+                return error;
+            }
+
+            await this.assistantDao.updateById({ user_id: ownerId }, assistant.id);
+            // A share held by the new owner is redundant now
+            await this.assistantShareDao.deleteWhere({ assistant_id: assistant.id, user_id: ownerId });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant owner updated successfully', {
+                id,
+                user_id: ownerId
+            });
         } catch (e) {
             logger.error(e);
             return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
         }
     };
 
-    updateAssistant = async (id, updateBody) => {
+    /**
+     * Compare the published version of an assistant with its live Vapi config and store the result in the registry
+     * @param {Object} assistant - registry row
+     * @param {Object} vapiAssistant - live config from Vapi
+     * @returns {Object} { status, differences, published } where published is the version compared with, if any
+     */
+    detectDrift = async (assistant, vapiAssistant) => {
+        const published = await this.versionService.getPublishedVersion('assistant', assistant.vapi_assistant_id);
+
+        let status = 'unknown';
+        let differences = [];
+        if (published) {
+            differences = diffConfigs(published.config, stripReadOnlyFields(vapiAssistant))
+                .filter((difference) => !DRIFT_IGNORED_PATHS.includes(difference.path))
+                .map(({ path, type, before, after }) => ({ path, type, local: before, remote: after }));
+            status = differences.length > 0 ? 'drifted' : 'in_sync';
+        }
+
+        await this.assistantDao.updateById({ drift_status: status, drift: differences, drift_checked_at: new Date() }, assistant.id);
+
+        return { status, differences, published };
+    };
+
+    /**
+     * Check an assistant for changes made directly in Vapi
+     * @param {String} id - Vapi assistant id
+     * @param {Object} user
+     * @returns {Object}
+     */
+    getAssistantDrift = async (id, user) => {
         try {
-            const updatedAssistant = await this.vapiService.updateAssistant(id, updateBody);
-            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant updated successfully', updatedAssistant);
+            const { assistant, error } = await this.findAccessibleAssistant(id, user);
+            if (error) {
+                return error;
+            }
+
+            const vapiAssistant = await this.vapiService.getAssistant(id);
+            const { status, differences, published } = await this.detectDrift(assistant, vapiAssistant);
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant drift checked successfully', {
+                id,
+                status,
+                published_version: published ? published.version : null,
+                differences
+            });
         } catch (e) {
             logger.error(e);
             return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
         }
     };
 
-    deleteAssistant = async (id) => {
+    /**
+     * Reconcile an assistant with Vapi. Each difference either accepts the live Vapi value or keeps the published
+     * value, which is then pushed back to Vapi. The outcome is recorded as a new published version.
+     * @param {String} id - Vapi assistant id
+     * @param {Object} resolveBody - { action, resolutions: [{ path, action }] }; action covers paths not listed
+     * @param {Object} user
+     * @returns {Object}
+     */
+    resolveAssistantDrift = async (id, resolveBody, user) => {
         try {
+            const { assistant, error } = await this.findAccessibleAssistant(id, user, 'manage');
+            if (error) {
+                return error;
+            }
+
+            const vapiAssistant = await this.vapiService.getAssistant(id);
+            const remoteConfig = stripReadOnlyFields(vapiAssistant);
+            const { differences, published } = await this.detectDrift(assistant, vapiAssistant);
+
+            // Nothing was published from here yet, so the live config can only be adopted as it is
+            if (!published) {
+                if (resolveBody.action !== 'accept' || resolveBody.resolutions?.length) {
+                    return responseHandler.returnError(
+                        httpStatus.BAD_REQUEST,
+                        'The assistant has no published version to push, accept the Vapi config with { "action": "accept" }'
+                    );
+                }
+
+                const version = await this.versionService.recordVersion('assistant', id, remoteConfig, user, {
+                    status: 'published',
+                    changeNote: 'Adopted from Vapi'
+                });
+                await this.assistantDao.updateById(inSync(), assistant.id);
+
+                return responseHandler.returnSuccess(httpStatus.OK, 'Assistant adopted from Vapi', {
+                    version: version.version,
+                    accepted: [],
+                    pushed: []
+                });
+            }
+
+            if (differences.length === 0) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Assistant is already in sync with Vapi');
+            }
+
+            const choices = new Map((resolveBody.resolutions || []).map((resolution) => [resolution.path, resolution.action]));
+            const paths = new Set(differences.map((difference) => difference.path));
+            const stray = [...choices.keys()].filter((path) => !paths.has(path));
+            if (stray.length > 0) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, `Not a difference: ${stray.join(', ')}`, { paths: stray });
+            }
+
+            const actionFor = (difference) => choices.get(difference.path) || resolveBody.action;
+            const unresolved = differences.filter((difference) => !actionFor(difference)).map((difference) => difference.path);
+            if (unresolved.length > 0) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, `No resolution for: ${unresolved.join(', ')}`, { paths: unresolved });
+            }
+
+            const accepted = differences.filter((difference) => actionFor(difference) === 'accept');
+            const kept = differences.filter((difference) => actionFor(difference) === 'push');
+
+            const resolved = JSON.parse(JSON.stringify(published.config));
+            accepted.forEach((difference) => setPath(resolved, difference.path, getPath(remoteConfig, difference.path)));
+
+            if (kept.length > 0) {
+                // Vapi leaves fields out of an update untouched, so fields added there are cleared explicitly
+                const update = JSON.parse(JSON.stringify(resolved));
+                kept.filter((difference) => difference.type === 'added')
+                    .forEach((difference) => setPath(update, difference.path, null));
+                await this.pushAssistantConfig(id, update);
+            }
+
+            const version = await this.versionService.recordVersion('assistant', id, resolved, user, {
+                status: 'published',
+                changeNote: `Drift resolved: ${accepted.length} accepted from Vapi, ${kept.length} pushed`
+            });
+            await this.assistantDao.updateById(inSync(), assistant.id);
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Assistant drift resolved successfully', {
+                version: version.version,
+                accepted: accepted.map((difference) => difference.path),
+                pushed: kept.map((difference) => difference.path)
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    deleteAssistant = async (id, user) => {
+        try {
+            const { error } = await this.findAccessibleAssistant(id, user, 'owner');
+            if (error) {
+                return error;
+            }
+
             await this.vapiService.deleteAssistant(id);
+            await this.assistantDao.deleteWhere({ vapi_assistant_id: id });
             return responseHandler.returnSuccess(httpStatus.OK, 'Assistant deleted successfully', {});
         } catch (e) {
             logger.error(e);
             return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
         }
     };
+
+    /**
+     * Mirror every Vapi assistant into the local registry
+     * @returns {Object} { synced, removed }
+     */
+    syncAssistants = async () => {
+        const vapiAssistants = await this.vapiService.listAssistants({ limit: SYNC_PAGE_LIMIT });
+
+        await Promise.all(vapiAssistants.map((vapiAssistant) => this.registerAssistant(vapiAssistant)));
+
+        // Only prune when Vapi returned the whole account, otherwise a missing id may just be on the next page
+        let removed = 0;
+        if (vapiAssistants.length < SYNC_PAGE_LIMIT) {
+            const liveIds = new Set(vapiAssistants.map((vapiAssistant) => vapiAssistant.id));
+            const known = await this.assistantDao.findAllVapiIds();
+            const stale = known.filter((assistant) => !liveIds.has(assistant.vapi_assistant_id));
+
+            if (stale.length > 0) {
+                await this.assistantDao.deleteWhere({ id: stale.map((assistant) => assistant.id) });
+            }
+            removed = stale.length;
+        }
+
+        return { synced: vapiAssistants.length, removed };
+    };
+
+    /**
+     * Compare every Vapi assistant with its published version. Assistants Vapi has but the backend never
+     * published are registered and flagged as unknown.
+     * @returns {Object} number of assistants per drift status
+     */
+    checkDrift = async () => {
+        const vapiAssistants = await this.vapiService.listAssistants({ limit: SYNC_PAGE_LIMIT });
+        const counts = { in_sync: 0, drifted: 0, unknown: 0 };
+
+        await Promise.all(vapiAssistants.map(async (vapiAssistant) => {
+            const known = await this.assistantDao.findByVapiId(vapiAssistant.id);
+            const assistant = known || await this.registerAssistant(vapiAssistant);
+            const { status, differences } = await this.detectDrift(assistant, vapiAssistant);
+            counts[status] += 1;
+
+            // Only report changes, a flagged assistant stays flagged in the registry
+            if (status !== (known && known.drift_status)) {
+                if (status === 'drifted') {
+                    logger.warn(`Assistant ${vapiAssistant.id} was changed in Vapi: ${differences.map((difference) => difference.path).join(', ')}`);
+                } else if (status === 'unknown') {
+                    logger.warn(`Assistant ${vapiAssistant.id} ("${vapiAssistant.name}") exists in Vapi but was never published from here`);
+                }
+            }
+        }));
+
+        return counts;
+    };
 }
 
 module.exports = AssistantService;
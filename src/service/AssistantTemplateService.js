@@ -0,0 +1,285 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const AssistantTemplateDao = require('../dao/AssistantTemplateDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const AssistantService = require('./AssistantService');
+const AssistantValidator = require('../validator/AssistantValidator');
+const { mergeConfigs } = require('../helper/configDiff');
+const { extractPlaceholders, renderPlaceholders } = require('../helper/placeholder');
+const { isConversationVariable } = require('../helper/conversationVariables');
+
+/**
+ * Turn a template name into a key
+ * @param {String} name
+ * @returns {String}
+ */
+const toTemplateKey = (name) => {
+    return name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+class AssistantTemplateService {
+    constructor() {
+        this.assistantTemplateDao = new AssistantTemplateDao();
+        this.assistantService = new AssistantService();
+        this.assistantValidator = new AssistantValidator();
+    }
+
+    /**
+     * Load a template and check that the user may access it
+     * @param {String} id - Template's UUID
+     * @param {Object} user - Current user
+     * @param {Boolean} forWrite - built-in templates are read-only
+     * @returns {Object} { template } or { error } holding a response
+     */
+    findAccessibleTemplate = async (id, user, forWrite = false) => {
+        const template = await this.assistantTemplateDao.findOneByWhere({ uuid: id });
+
+        if (!template) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Template not found') };
+        }
+
+        if (forWrite && template.is_system) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Built-in templates cannot be modified') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && !template.is_system && template.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { template };
+    };
+
+    /**
+     * Declared variables plus any placeholder used in the body that was not declared
+     * @param {Object} template
+     * @returns {Array}
+     */
+    describeVariables = (template) => {
+        const declared = template.variables || [];
+        const declaredNames = new Set(declared.map((variable) => variable.name));
+
+        const undeclared = extractPlaceholders(template.body)
+            .filter((placeholder) => !declaredNames.has(placeholder.name) && !isConversationVariable(placeholder.name))
+            .map((placeholder) => ({
+                name: placeholder.name,
+                required: placeholder.default === null,
+                default: placeholder.default
+            }));
+
+        return [...declared, ...undeclared];
+    };
+
+    /**
+     * Create a template
+     * @param {Object} templateBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createTemplate = async (templateBody, user) => {
+        try {
+            const key = templateBody.key || toTemplateKey(templateBody.name);
+
+            const existing = await this.assistantTemplateDao.findByKey(key);
+            if (existing) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, `Template key "${key}" is already in use`);
+            }
+
+            const template = await this.assistantTemplateDao.create({
+                ...templateBody,
+                uuid: uuidv4(),
+                key,
+                is_system: false,
+                user_id: user?.id || null
+            });
+
+            if (!template) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Template creation failed! Please try again.');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Template created successfully!', template);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get templates with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getTemplates = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            const ownerId = user && user.role !== 'admin' ? user.id : null;
+            const templates = await this.assistantTemplateDao.findWithPagination(page, limit, filter, ownerId);
+
+            const totalPages = Math.ceil(templates.count / limit);
+            const pagination = {
+                total: templates.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Templates retrieved successfully',
+                {
+                    content: templates.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get a template with the variables it expects
+     * @param {String} id - Template's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getTemplateById = async (id, user) => {
+        try {
+            const { template, error } = await this.findAccessibleTemplate(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Template retrieved successfully', {
+                ...template.toJSON(),
+                variables: this.describeVariables(template)
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Update a template
+     * @param {String} id - Template's UUID
+     * @param {Object} updateBody
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateTemplate = async (id, updateBody, user) => {
+        try {
+            const { template, error } = await this.findAccessibleTemplate(id, user, true);
+            if (error) {
+                return error;
+            }
+
+            if (updateBody.key && updateBody.key !== template.key) {
+                const existing = await this.assistantTemplateDao.findByKey(updateBody.key);
+                if (existing) {
+                    return responseHandler.returnError(httpStatus.BAD_REQUEST, `Template key "${updateBody.key}" is already in use`);
+                }
+            }
+
+            await this.assistantTemplateDao.updateWhere(updateBody, { uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Template updated successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete a template
+     * @param {String} id - Template's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteTemplate = async (id, user) => {
+        try {
+            const { error } = await this.findAccessibleTemplate(id, user, true);
+            if (error) {
+                return error;
+            }
+
+            await this.assistantTemplateDao.deleteWhere({ uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Template deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Fill in a template and create the assistant through AssistantService.createAssistant
+     * @param {String} id - Template's UUID
+     * @param {Object} instantiateBody - { variables, overrides }
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    instantiateTemplate = async (id, instantiateBody, user) => {
+        try {
+            const { template, error } = await this.findAccessibleTemplate(id, user);
+            if (error) {
+                return error;
+            }
+
+            const { variables = {}, overrides = {} } = instantiateBody;
+
+            const values = {};
+            (template.variables || []).forEach((variable) => {
+                if (variable.default !== undefined && variable.default !== null) {
+                    values[variable.name] = variable.default;
+                }
+            });
+            Object.assign(values, variables);
+
+            // Conversation placeholders such as {{customer.name}} stay in place and are filled in per chat/call
+            const { result: rendered, missing } = renderPlaceholders(template.body, values, {
+                skip: isConversationVariable
+            });
+            if (missing.length > 0) {
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Missing template variables: ${missing.join(', ')}`,
+                    { missing }
+                );
+            }
+
+            const assistantBody = mergeConfigs(rendered, overrides);
+            assistantBody.metadata = {
+                ...assistantBody.metadata,
+                template_key: template.key,
+                template_id: template.uuid
+            };
+
+            const { error: validationError, value } = this.assistantValidator.validateAssistantBody(assistantBody);
+            if (validationError) {
+                const errorMessage = validationError.details
+                    .map((details) => details.message)
+                    .join(', ');
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, errorMessage);
+            }
+
+            return this.assistantService.createAssistant(value, user);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+}
+
+module.exports = AssistantTemplateService;
@@ -3,38 +3,138 @@ const { v4: uuidv4 } = require('uuid');
 const CallDao = require('../dao/CallDao');
 // 
 const ChatDao = require('../dao/ChatDao');
+const AssistantDao = require('../dao/AssistantDao');
 const responseHandler = require('../helper/responseHandler');
+const { buildConversationVariables, resolveAssistantOverrides } = require('../helper/conversationVariables');
+const { experimentSubject } = require('../helper/experimentAssignment');
+const { memberName, speakerSegments, attributeMessages } = require('../helper/squadConfig');
+const { callEntry } = require('../helper/chatTimeline');
+const { callTranscript } = require('../helper/conversationExport');
 const logger = require('../config/logger');
 const models = require('../models');
 const VapiService = require('./VapiService');
+const AssistantService = require('./AssistantService');
+const ExperimentService = require('./ExperimentService');
+const SquadService = require('./SquadService');
 const CloudinaryService = require('./CloudinaryService');
+const SocketService = require('./SocketService');
 const config = require('../config/config');
 
 class CallService {
     constructor() {
         this.callDao = new CallDao();
         this.chatDao = new ChatDao();
+        this.assistantDao = new AssistantDao();
+        this.vapiService = new VapiService();
+        this.assistantService = new AssistantService();
+        this.experimentService = new ExperimentService();
+        this.squadService = new SquadService();
+        this.cloudinaryService = new CloudinaryService();
     }
 
     /**
-     * Create a call
+     * Work out what a call on an assistant sends to Vapi: the assistant itself, or the experiment variant
+     * picked for the caller, with the prompt filled in for this call
      * @param {Object} callBody
      * @param {Object} user
+     * @returns {Object} { assistant, language, metadata, target } where target holds assistantId, or { error } holding a response
+     */
+    resolveAssistantCall = async (callBody, user) => {
+        const { assistant: requestedAssistant, error } = await this.assistantService.findUsableAssistant(callBody.assistant_id, user);
+        if (error) {
+            return { error };
+        }
+
+        // A running experiment decides which variant assistant this call runs on
+        const assignment = await this.experimentService.assignVariant(
+            requestedAssistant,
+            experimentSubject({ customer: callBody.customer, user })
+        );
+        const assistant = assignment ? assignment.assistant : requestedAssistant;
+        const metadata = assignment
+            ? { ...callBody.metadata, experiment: { id: assignment.experiment.uuid, variant: assignment.variant.key } }
+            : callBody.metadata;
+
+        const { language, error: languageError } = await this.assistantService.pickConversationLanguage(assistant, callBody, user);
+        if (languageError) {
+            return { error: languageError };
+        }
+
+        // Fill {{customer.name}}, {{now}}, ... in the prompt of the picked locale for this call only
+        const { overrides, missing } = resolveAssistantOverrides(
+            assistant.config,
+            buildConversationVariables({ customer: callBody.customer, metadata }),
+            { language }
+        );
+        if (missing.length > 0) {
+            return {
+                error: responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Missing prompt variables: ${missing.join(', ')}`,
+                    { missing }
+                )
+            };
+        }
+
+        return {
+            assistant,
+            language,
+            metadata,
+            target: {
+                assistantId: assistant.vapi_assistant_id,
+                ...(overrides && { assistantOverrides: overrides })
+            }
+        };
+    };
+
+    /**
+     * Create a call
+     * @param {Object} callBody - holds assistant_id, or squad_id to run the call on a squad
+     * @param {Object} user
      * @returns {Object}
      */
     createCall = async (callBody, user) => {
         try {
             let message = 'Call created successfully!';
 
-            // Validate assistant exists
-            const assistant = await this.vapiService.getAssistant(callBody.assistant_id);
-            if (!assistant) {
-                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Assistant not found');
+            // Calls started from a chat show up in its timeline
+            let chat = null;
+            if (callBody.chat_id) {
+                chat = await this.chatDao.findOneByWhere({ uuid: callBody.chat_id });
+                if (!chat) {
+                    return responseHandler.returnError(httpStatus.NOT_FOUND, 'Chat not found');
+                }
+                // Only a signed-in owner (or an admin) may put a call on a chat's timeline
+                if (!user || (user.role !== 'admin' && chat.user_id !== user.id)) {
+                    return responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied');
+                }
+                callBody.chat_id = chat.id;
             }
 
+            // A squad call starts on the squad's first member, which hands off to the others
+            const resolved = callBody.squad_id
+                ? await this.squadService.resolveSquadCall(
+                    callBody.squad_id,
+                    buildConversationVariables({ customer: callBody.customer, metadata: callBody.metadata }),
+                    callBody,
+                    user
+                )
+                : await this.resolveAssistantCall(callBody, user);
+            if (resolved.error) {
+                return resolved.error;
+            }
+            const { assistant, language, target } = resolved;
+            if (resolved.squad) {
+                callBody.squad_id = resolved.squad.id;
+            }
+            if (resolved.metadata) {
+                callBody.metadata = resolved.metadata;
+            }
+            callBody.language = language;
+
             const uuid = uuidv4();
             callBody.uuid = uuid;
-            callBody.assistant_id = callBody.assistant_id;
+            callBody.assistant_id = assistant.id;
             callBody.user_id = user?.id || null;
             callBody.status = 'queued';
             callBody.direction = callBody.direction || 'outbound';
@@ -43,7 +143,7 @@ class CallService {
                 // Create call in Vapi
                 const vapiCall = await this.vapiService.createCall({
                     type: callBody.type || 'webCall',
-                    assistantId: assistant.id,
+                    ...target,
                     customer: callBody.customer || {},
                 });
 
@@ -60,8 +160,15 @@ class CallService {
                     return responseHandler.returnError(httpStatus.BAD_REQUEST, message);
                 }
 
+                if (chat) {
+                    SocketService.emitToChat(chat.uuid, 'timeline_entry', callEntry(result));
+                }
+
                 const callData = result.toJSON();
-                callData.assistant = assistant;
+                callData.assistant = this.assistantService.formatAssistant(assistant);
+                if (resolved.squad) {
+                    callData.squad = { id: resolved.squad.uuid, name: resolved.squad.name };
+                }
                 callData.public_key = this.vapiService.getPublicKey();
 
                 return responseHandler.returnSuccess(httpStatus.CREATED, message, callData);
@@ -95,6 +202,12 @@ class CallService {
                 filter.user_id = user.id;
             }
 
+            // Filters use the Vapi assistant id, rows reference the local registry; unknown ids match nothing
+            if (filter.assistant_id) {
+                const assistant = await this.assistantDao.findByVapiId(filter.assistant_id);
+                filter.assistant_id = assistant ? assistant.id : 0;
+            }
+
             const calls = await this.callDao.findWithPagination(page, limit, filter);
 
             const totalPages = Math.ceil(calls.count / limit);
@@ -396,13 +509,25 @@ class CallService {
                 );
             }
 
+            // Squad calls show which member was speaking when
+            let speakers = null;
+            if (call.squad_id) {
+                const firstAssistant = await this.assistantDao.findOneByWhere({ id: call.assistant_id });
+                const segments = speakerSegments(firstAssistant ? memberName(firstAssistant) : null, call.handoffs || [], call.started_at);
+                speakers = {
+                    segments,
+                    messages: attributeMessages(call.artifact?.messages || call.messages || [], segments)
+                };
+            }
+
             return responseHandler.returnSuccess(
                 httpStatus.OK,
                 'Call transcript retrieved successfully',
                 {
                     call_id: id,
                     transcript: call.transcript,
-                    duration: call.duration
+                    duration: call.duration,
+                    ...speakers
                 }
             );
         } catch (e) {
@@ -411,6 +536,57 @@ class CallService {
         }
     };
 
+    /**
+     * Transcript of a call for export; squad calls name the member speaking each turn
+     * @param {Object} call - vapi_call row with its assistant
+     * @returns {Object} see callTranscript
+     */
+    buildTranscript = async (call) => {
+        let messages = call.artifact?.messages || call.messages || [];
+        if (call.squad_id) {
+            const firstAssistant = await this.assistantDao.findOneByWhere({ id: call.assistant_id });
+            const segments = speakerSegments(firstAssistant ? memberName(firstAssistant) : null, call.handoffs || [], call.started_at);
+            messages = attributeMessages(messages, segments);
+        }
+        return callTranscript(call, messages);
+    };
+
+    /**
+     * Get a call's transcript and metadata for download; CallController renders it in the requested format
+     * @param {String} id - Call's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    exportCall = async (id, user) => {
+        try {
+            const call = await this.callDao.findOneByWhere({ uuid: id });
+
+            if (!call) {
+                return responseHandler.returnError(
+                    httpStatus.NOT_FOUND,
+                    'Call not found'
+                );
+            }
+
+            // Check user permissions
+            if (user && user.role !== 'admin' && call.user_id !== user.id) {
+                return responseHandler.returnError(
+                    httpStatus.FORBIDDEN,
+                    'Access denied'
+                );
+            }
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Call exported successfully',
+                await this.buildTranscript(call)
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
     /**
      * Get call recording
      * @param {String} id - Call's UUID
@@ -525,9 +701,10 @@ class CallService {
             }
 
             const updateData = {};
+            const webhookMessage = webhookData.message || {};
 
             // Handle different webhook types
-            switch (webhookData.type) {
+            switch (webhookData.type || webhookMessage.type) {
                 case 'call-start':
                     updateData.status = 'in-progress';
                     updateData.started_at = new Date();
@@ -551,6 +728,9 @@ class CallService {
                     break;
 
                 case 'end-of-call-report':
+                    if (webhookMessage.analysis?.summary || webhookMessage.summary) {
+                        updateData.summary = webhookMessage.analysis?.summary || webhookMessage.summary;
+                    }
                     if (webhookData.call?.recordingUrl) {
                         updateData.recording_url = webhookData.call.recordingUrl;
 
@@ -574,10 +754,35 @@ class CallService {
                         updateData.transcript = webhookData.call.transcript;
                     }
                     break;
+
+                // Squad members handing the conversation to each other
+                case 'transfer-update':
+                    if (webhookMessage.destination?.type === 'assistant') {
+                        updateData.handoffs = [
+                            ...(call.handoffs || []),
+                            {
+                                from_assistant: webhookMessage.fromAssistant?.name || null,
+                                to_assistant: webhookMessage.destination.assistantName || webhookMessage.toAssistant?.name || null,
+                                at: webhookMessage.timestamp ? new Date(webhookMessage.timestamp) : new Date()
+                            }
+                        ];
+                    }
+                    break;
+
+                default:
+                    break;
             }
 
             if (Object.keys(updateData).length > 0) {
                 await this.callDao.updateWhere(updateData, { id: call.id });
+
+                // The chat's timeline shows the call's latest status, summary and recording
+                if (call.chat_id) {
+                    const chat = await this.chatDao.findById(call.chat_id);
+                    if (chat) {
+                        SocketService.emitToChat(chat.uuid, 'timeline_entry', callEntry({ ...call.get({ plain: true }), ...updateData }));
+                    }
+                }
             }
 
             return { success: true, call: call };
@@ -1,24 +1,158 @@
 const httpStatus = require('http-status');
+const fs = require('fs').promises;
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const ChatDao = require('../dao/ChatDao');
+const AssistantDao = require('../dao/AssistantDao');
 const MessageDao = require('../dao/MessageDao');
+const VoiceMessageDao = require('../dao/VoiceMessageDao');
+const CallDao = require('../dao/CallDao');
 
 const responseHandler = require('../helper/responseHandler');
+const { buildConversationVariables, resolveAssistantOverrides } = require('../helper/conversationVariables');
+const { experimentSubject } = require('../helper/experimentAssignment');
+const { fromVapiMessages, fromVapiChat, formatMessage } = require('../helper/chatMessages');
+const { timelineKey, compareKeys, messageEntry, callEntry } = require('../helper/chatTimeline');
+const { chatTranscript } = require('../helper/conversationExport');
 const logger = require('../config/logger');
 const models = require('../models');
 const VapiService = require('./VapiService');
+const AssistantService = require('./AssistantService');
+const ExperimentService = require('./ExperimentService');
+const SquadService = require('./SquadService');
 const CloudinaryService = require('./CloudinaryService');
+const SocketService = require('./SocketService');
+const ChatSummaryService = require('./ChatSummaryService');
 
 class ChatService {
     constructor() {
         this.chatDao = new ChatDao();
         this.messageDao = new MessageDao();
+        this.voiceMessageDao = new VoiceMessageDao();
+        this.callDao = new CallDao();
+        this.assistantDao = new AssistantDao();
+        this.vapiService = new VapiService();
+        this.assistantService = new AssistantService();
+        this.experimentService = new ExperimentService();
+        this.squadService = new SquadService();
         this.cloudinaryService = new CloudinaryService();
+        this.chatSummaryService = new ChatSummaryService();
     }
 
+    /**
+     * Keep messages in the local history of a chat
+     * @param {Object} chat
+     * @param {Array} messages - [{ role, content, message_type, timestamp, metadata }]
+     * @returns {Array} the stored rows
+     */
+    storeMessages = async (chat, messages) => {
+        if (messages.length === 0) {
+            return [];
+        }
+
+        const rows = await this.messageDao.bulkCreate(messages.map((message) => ({
+            uuid: uuidv4(),
+            chat_id: chat.id,
+            user_id: message.role === 'user' ? chat.user_id : null,
+            timestamp: new Date(),
+            metadata: {},
+            ...message
+        })));
+        return rows || [];
+    };
+
+    /**
+     * Push new messages to clients in the chat's room as timeline entries
+     * @param {Object} chat
+     * @param {Array} messages - stored vapi_message rows
+     * @returns {void}
+     */
+    publishMessages = (chat, messages) => {
+        messages.forEach((message) => SocketService.emitToChat(chat.uuid, 'timeline_entry', messageEntry(message)));
+    };
+
+    /**
+     * Chats from before messages were stored locally get their history copied from Vapi once
+     * @param {Object} chat
+     * @returns {void}
+     */
+    backfillHistory = async (chat) => {
+        if (!chat.vapi_chat_id || !chat.message_count) {
+            return;
+        }
+
+        const stored = await this.messageDao.getMessageCount(chat.id);
+        if (stored > 0) {
+            return;
+        }
+
+        try {
+            const vapiChat = await this.vapiService.getChat(chat.vapi_chat_id);
+            await this.storeMessages(chat, fromVapiChat(vapiChat));
+        } catch (e) {
+            logger.warn(`History of chat ${chat.uuid} could not be backfilled from Vapi: ${e.message}`);
+        }
+    };
+
+    /**
+     * Work out what a chat on an assistant sends to Vapi: the assistant itself, or the experiment variant
+     * picked for the user, with the prompt filled in for this chat
+     * @param {Object} conversation - chat body with the initial message as firstTurn
+     * @param {Object} user
+     * @returns {Object} { assistant, language, metadata, target } where target holds assistantId, or { error } holding a response
+     */
+    resolveAssistantChat = async (conversation, user) => {
+        // Validate assistant exists, is active and may be used by this user
+        const { assistant: requestedAssistant, error } = await this.assistantService.findUsableAssistant(conversation.assistant_id, user);
+        if (error) {
+            return { error };
+        }
+
+        // A running experiment decides which variant assistant this chat runs on
+        const assignment = await this.experimentService.assignVariant(
+            requestedAssistant,
+            experimentSubject({ customer: conversation.customer, user })
+        );
+        const assistant = assignment ? assignment.assistant : requestedAssistant;
+        const metadata = assignment
+            ? { ...conversation.metadata, experiment: { id: assignment.experiment.uuid, variant: assignment.variant.key } }
+            : conversation.metadata;
+
+        const { language, error: languageError } = await this.assistantService.pickConversationLanguage(assistant, conversation, user);
+        if (languageError) {
+            return { error: languageError };
+        }
+
+        // Fill {{customer.name}}, {{now}}, ... in the prompt of the picked locale for this chat only
+        const { overrides, missing } = resolveAssistantOverrides(
+            assistant.config,
+            buildConversationVariables({ customer: conversation.customer, metadata }),
+            { language }
+        );
+        if (missing.length > 0) {
+            return {
+                error: responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Missing prompt variables: ${missing.join(', ')}`,
+                    { missing }
+                )
+            };
+        }
+
+        return {
+            assistant,
+            language,
+            metadata,
+            target: {
+                assistantId: assistant.vapi_assistant_id,
+                ...(overrides && { assistantOverrides: overrides })
+            }
+        };
+    };
+
     /**
      * Create a chat
-     * @param {Object} chatBody
+     * @param {Object} chatBody - holds assistant_id, or squad_id to run the chat on a squad
      * @param {Object} user
      * @returns {Object}
      */
@@ -26,15 +160,33 @@ class ChatService {
         try {
             let message = 'Chat created successfully!';
 
-            // Validate assistant exists
-            const assistant = await this.vapiService.getAssistant(chatBody.assistant_id);
-            if (!assistant) {
-                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Assistant not found');
+            // The initial message is the first user turn, its script can tell the language when nothing else does
+            const conversation = { ...chatBody, firstTurn: chatBody.initial_message };
+
+            // A squad chat starts on the squad's first member, which hands off to the others
+            const resolved = chatBody.squad_id
+                ? await this.squadService.resolveSquadCall(
+                    chatBody.squad_id,
+                    buildConversationVariables({ customer: chatBody.customer, metadata: chatBody.metadata }),
+                    conversation,
+                    user
+                )
+                : await this.resolveAssistantChat(conversation, user);
+            if (resolved.error) {
+                return resolved.error;
+            }
+            const { assistant, language, target } = resolved;
+            if (resolved.squad) {
+                chatBody.squad_id = resolved.squad.id;
+            }
+            if (resolved.metadata) {
+                chatBody.metadata = resolved.metadata;
             }
+            chatBody.language = language;
 
             const uuid = uuidv4();
             chatBody.uuid = uuid;
-            chatBody.assistant_id = chatBody.assistant_id;
+            chatBody.assistant_id = assistant.id;
             chatBody.user_id = user?.id || null;
             chatBody.status = 'active';
             chatBody.message_count = 0;
@@ -42,7 +194,7 @@ class ChatService {
             try {
                 // Create chat in Vapi
                 const vapiChat = await this.vapiService.createChat({
-                    assistantId: assistant.id,
+                    ...target,
                     message: chatBody.initial_message || 'Hello!',
                 });
 
@@ -60,16 +212,18 @@ class ChatService {
                     return responseHandler.returnError(httpStatus.BAD_REQUEST, message);
                 }
 
+                await this.storeMessages(result, fromVapiChat(vapiChat));
+
                 const chatData = result.toJSON();
-                chatData.assistant = assistant;
+                chatData.assistant = this.assistantService.formatAssistant(assistant);
                 chatData.vapi_messages = vapiChat.messages || [];
 
                 return responseHandler.returnSuccess(httpStatus.CREATED, message, chatData);
-            } catch (error) {
-                logger.error('Vapi chat creation failed:', error);
+            } catch (vapiError) {
+                logger.error('Vapi chat creation failed:', vapiError);
                 return responseHandler.returnError(
                     httpStatus.BAD_REQUEST,
-                    'Failed to create chat: ' + (error.message || 'Unknown error')
+                    `Failed to create chat: ${vapiError.message || 'Unknown error'}`
                 );
             }
         } catch (e) {
@@ -95,6 +249,12 @@ class ChatService {
                 filter.user_id = user.id;
             }
 
+            // Filters use the Vapi assistant id, rows reference the local registry; unknown ids match nothing
+            if (filter.assistant_id) {
+                const assistant = await this.assistantDao.findByVapiId(filter.assistant_id);
+                filter.assistant_id = assistant ? assistant.id : 0;
+            }
+
             const chats = await this.chatDao.findWithPagination(page, limit, filter);
 
             const totalPages = Math.ceil(chats.count / limit);
@@ -158,9 +318,9 @@ class ChatService {
     };
 
     /**
-     * Get chat history/messages
+     * Get chat history/messages from the local store, oldest first
      * @param {String} id - Chat's UUID
-     * @param {Object} query - Query parameters
+     * @param {Object} query - { before, after } message id to page from, role, type, date_from, date_to, limit
      * @param {Object} user - Current user
      * @returns {Object}
      */
@@ -183,32 +343,45 @@ class ChatService {
                 );
             }
 
-            const page = parseInt(query.page) || 1;
-            const limit = parseInt(query.limit) || 50;
-
-            // Get chat history from Vapi
-            const vapiChat = await this.vapiService.getChat(chat.vapi_chat_id);
-            const messages = vapiChat.messages || [];
+            await this.backfillHistory(chat);
+
+            const cursorId = query.before || query.after;
+            let cursor = null;
+            if (cursorId) {
+                cursor = await this.messageDao.findOneByWhere({ uuid: cursorId, chat_id: chat.id });
+                if (!cursor) {
+                    return responseHandler.returnError(
+                        httpStatus.BAD_REQUEST,
+                        `Message ${cursorId} is not part of this chat`
+                    );
+                }
+            }
 
-            // Combine and paginate
-            const startIndex = (page - 1) * limit;
-            const paginatedMessages = messages.slice(startIndex, startIndex + limit);
+            const limit = parseInt(query.limit, 10) || 50;
+            const { messages, hasMore } = await this.messageDao.findByChatId(chat.id, {
+                before: query.before ? cursor.id : null,
+                after: query.after ? cursor.id : null,
+                role: query.role,
+                type: query.type === 'all' ? null : query.type,
+                dateFrom: query.date_from,
+                dateTo: query.date_to,
+                limit
+            });
 
-            const totalPages = Math.ceil(messages.length / limit);
+            // Pass `before` the first id for older messages and `after` the last id for newer ones
             const pagination = {
-                total: messages.length,
-                current_page: page,
                 per_page: limit,
-                total_pages: totalPages,
-                has_next_page: page < totalPages,
-                has_prev_page: page > 1
+                before: messages.length > 0 ? messages[0].uuid : null,
+                after: messages.length > 0 ? messages[messages.length - 1].uuid : null,
+                has_older: query.after ? true : hasMore,
+                has_newer: query.after ? hasMore : Boolean(query.before)
             };
 
             return responseHandler.returnSuccess(
                 httpStatus.OK,
                 'Chat history retrieved successfully',
                 {
-                    messages: paginatedMessages,
+                    messages: messages.map(formatMessage),
                     pagination
                 }
             );
@@ -218,6 +391,137 @@ class ChatService {
         }
     };
 
+    /**
+     * Get one chronological feed of a chat's text messages, voice messages and calls
+     * @param {String} id - Chat's UUID
+     * @param {Object} query - { before, after } entry id to page from, limit
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getChatTimeline = async (id, query, user) => {
+        try {
+            const chat = await this.chatDao.findOneByWhere({ uuid: id });
+
+            if (!chat) {
+                return responseHandler.returnError(
+                    httpStatus.NOT_FOUND,
+                    'Chat not found'
+                );
+            }
+
+            // Check user permissions
+            if (user && user.role !== 'admin' && chat.user_id !== user.id) {
+                return responseHandler.returnError(
+                    httpStatus.FORBIDDEN,
+                    'Access denied'
+                );
+            }
+
+            await this.backfillHistory(chat);
+
+            const cursorId = query.before || query.after;
+            let cursor = null;
+            if (cursorId) {
+                const message = await this.messageDao.findOneByWhere({ uuid: cursorId, chat_id: chat.id });
+                const call = message ? null : await this.callDao.findOneByWhere({ uuid: cursorId, chat_id: chat.id });
+                if (!message && !call) {
+                    return responseHandler.returnError(
+                        httpStatus.BAD_REQUEST,
+                        `Entry ${cursorId} is not part of this chat`
+                    );
+                }
+                cursor = {
+                    direction: query.after ? 'after' : 'before',
+                    key: message ? timelineKey('message', message) : timelineKey('call', call)
+                };
+            }
+
+            // Each source returns one row past the page, so the merge can tell whether there is more
+            const limit = parseInt(query.limit, 10) || 50;
+            const [messages, calls] = await Promise.all([
+                this.messageDao.findForTimeline(chat.id, cursor, limit + 1),
+                this.callDao.findForTimeline(chat.id, cursor, limit + 1)
+            ]);
+            const forward = Boolean(query.after);
+            const merged = [
+                ...messages.map((message) => ({ key: timelineKey('message', message), entry: messageEntry(message) })),
+                ...calls.map((call) => ({ key: timelineKey('call', call), entry: callEntry(call) }))
+            ].sort((a, b) => (forward ? compareKeys(a.key, b.key) : compareKeys(b.key, a.key)));
+
+            const page = merged.slice(0, limit).map((item) => item.entry);
+            const entries = forward ? page : page.reverse();
+            const hasMore = merged.length > limit;
+
+            // Pass `before` the first id for older entries and `after` the last id for newer ones
+            const pagination = {
+                per_page: limit,
+                before: entries.length > 0 ? entries[0].id : null,
+                after: entries.length > 0 ? entries[entries.length - 1].id : null,
+                has_older: forward ? true : hasMore,
+                has_newer: forward ? hasMore : Boolean(query.before)
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Chat timeline retrieved successfully',
+                {
+                    entries,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Transcript of a chat for export, with its full stored history
+     * @param {Object} chat - vapi_chat row with its assistant
+     * @returns {Object} see chatTranscript
+     */
+    buildTranscript = async (chat) => {
+        await this.backfillHistory(chat);
+        const messages = await this.messageDao.findAllByChatId(chat.id);
+        return chatTranscript(chat, messages);
+    };
+
+    /**
+     * Get a chat's transcript for download; ChatController renders it in the requested format
+     * @param {String} id - Chat's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    exportChat = async (id, user) => {
+        try {
+            const chat = await this.chatDao.findOneByWhere({ uuid: id });
+
+            if (!chat) {
+                return responseHandler.returnError(
+                    httpStatus.NOT_FOUND,
+                    'Chat not found'
+                );
+            }
+
+            // Check user permissions
+            if (user && user.role !== 'admin' && chat.user_id !== user.id) {
+                return responseHandler.returnError(
+                    httpStatus.FORBIDDEN,
+                    'Access denied'
+                );
+            }
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Chat exported successfully',
+                await this.buildTranscript(chat)
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
     /**
      * Update chat
      * @param {String} id - Chat's UUID
@@ -245,6 +549,9 @@ class ChatService {
             }
 
             await this.chatDao.updateWhere(updateBody, { uuid: id });
+            if (updateBody.status === 'archived' && chat.status !== 'archived') {
+                this.chatSummaryService.queueSummary(chat.id, { force: true });
+            }
 
             return responseHandler.returnSuccess(
                 httpStatus.OK,
@@ -312,6 +619,65 @@ class ChatService {
         }
     };
 
+    /**
+     * Load a chat a message can be sent to: it exists, the user may access it and it is linked to Vapi
+     * @param {String} chatId - Chat's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { chat } or { error } holding a response
+     */
+    findMessageableChat = async (chatId, user) => {
+        const chat = await this.chatDao.findOneByWhere({ uuid: chatId });
+
+        if (!chat) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Chat not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && chat.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        if (!chat.vapi_chat_id) {
+            return { error: responseHandler.returnError(httpStatus.BAD_REQUEST, 'Chat not configured for Vapi') };
+        }
+
+        return { chat };
+    };
+
+    /**
+     * Store a sent message with the replies Vapi gave, push them to the chat room and update the chat's counters
+     * @param {Object} chat
+     * @param {Object} messageData - { content, metadata }
+     * @param {Object} vapiResponse - Vapi chat holding the replies in `output`
+     * @param {String|null} replyId - uuid for the first assistant reply, when clients already know it
+     * @returns {Array} the stored rows
+     */
+    storeExchange = async (chat, messageData, vapiResponse, replyId = null) => {
+        const replies = fromVapiMessages(vapiResponse?.output || []);
+        const reply = replyId && replies.find((message) => message.role === 'assistant');
+        if (reply) {
+            reply.uuid = replyId;
+        }
+
+        const stored = await this.storeMessages(chat, [
+            { role: 'user', content: messageData.content, message_type: 'text', metadata: messageData.metadata || {} },
+            ...replies
+        ]);
+        this.publishMessages(chat, stored);
+
+        // Update chat metadata
+        await this.chatDao.updateWhere(
+            {
+                message_count: chat.message_count + stored.length,
+                last_message_at: new Date()
+            },
+            { uuid: chat.uuid }
+        );
+        this.chatSummaryService.queueSummary(chat.id);
+
+        return stored;
+    };
+
     /**
      * Send message to chat
      * @param {String} chatId - Chat's UUID
@@ -321,29 +687,13 @@ class ChatService {
      */
     sendMessage = async (chatId, messageData, user) => {
         try {
-            const chat = await this.chatDao.findOneByWhere({ uuid: chatId });
-
-            if (!chat) {
-                return responseHandler.returnError(
-                    httpStatus.NOT_FOUND,
-                    'Chat not found'
-                );
+            const { chat, error: chatError } = await this.findMessageableChat(chatId, user);
+            if (chatError) {
+                return chatError;
             }
 
-            // Check user permissions
-            if (user && user.role !== 'admin' && chat.user_id !== user.id) {
-                return responseHandler.returnError(
-                    httpStatus.FORBIDDEN,
-                    'Access denied'
-                );
-            }
-
-            if (!chat.vapi_chat_id) {
-                return responseHandler.returnError(
-                    httpStatus.BAD_REQUEST,
-                    'Chat not configured for Vapi'
-                );
-            }
+            // Copy older history first, so the Vapi copy does not already hold this message
+            await this.backfillHistory(chat);
 
             try {
                 // Send message to Vapi
@@ -353,14 +703,7 @@ class ChatService {
                 };
                 const vapiResponse = await this.vapiService.sendMessage(chat.vapi_chat_id, messagePayload);
 
-                // Update chat metadata
-                await this.chatDao.updateWhere(
-                    {
-                        message_count: chat.message_count + 1,
-                        last_message_at: new Date()
-                    },
-                    { uuid: chatId }
-                );
+                await this.storeExchange(chat, messageData, vapiResponse);
 
                 return responseHandler.returnSuccess(
                     httpStatus.OK,
@@ -372,6 +715,64 @@ class ChatService {
                 );
             } catch (error) {
                 logger.error('Message sending failed:', error);
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Failed to send message: ${error.message || 'Unknown error'}`
+                );
+            }
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Send message to chat and relay the reply while it is written. Every piece goes to the chat room as a
+     * `message_delta` event and to onDelta; the reply is stored once it is complete.
+     * @param {String} chatId - Chat's UUID
+     * @param {Object} messageData - Message data
+     * @param {Object} user - Current user
+     * @param {Function} onDelta - called with each { chat_id, message_id, delta }
+     * @returns {Object}
+     */
+    streamMessage = async (chatId, messageData, user, onDelta = () => {}) => {
+        try {
+            const { chat, error: chatError } = await this.findMessageableChat(chatId, user);
+            if (chatError) {
+                return chatError;
+            }
+
+            // Copy older history first, so the Vapi copy does not already hold this message
+            await this.backfillHistory(chat);
+
+            // Deltas carry the id the stored reply will have, so clients can swap the draft for the final message
+            const replyId = uuidv4();
+
+            try {
+                const messagePayload = {
+                    role: 'user',
+                    content: messageData.content
+                };
+                const vapiResponse = await this.vapiService.streamMessage(chat.vapi_chat_id, messagePayload, (delta) => {
+                    const event = { chat_id: chatId, message_id: replyId, delta };
+                    SocketService.emitToChat(chat.uuid, 'message_delta', event);
+                    onDelta(event);
+                });
+
+                const stored = await this.storeExchange(chat, messageData, vapiResponse, replyId);
+
+                return responseHandler.returnSuccess(
+                    httpStatus.OK,
+                    'Message sent successfully',
+                    {
+                        chat_id: chatId,
+                        message_id: replyId,
+                        messages: stored.map(formatMessage)
+                    }
+                );
+            } catch (error) {
+                logger.error('Message streaming failed:', error);
+                SocketService.emitToChat(chat.uuid, 'message_error', { chat_id: chatId, message_id: replyId, message: error.message });
                 return responseHandler.returnError(
                     httpStatus.BAD_REQUEST,
                     'Failed to send message: ' + (error.message || 'Unknown error')
@@ -388,6 +789,7 @@ class ChatService {
      * @param {String} chatId - Chat's UUID
      * @param {Object} messageData - Message data
      * @param {Object} user - Current user
+     * @param {Object} file - Uploaded recording from multer; removed from the temp folder once sent
      * @returns {Object}
      */
     sendVoiceMessage = async (chatId, messageData, user, file) => {
@@ -401,6 +803,14 @@ class ChatService {
                 );
             }
 
+            // Check user permissions
+            if (user && user.role !== 'admin' && chat.user_id !== user.id) {
+                return responseHandler.returnError(
+                    httpStatus.FORBIDDEN,
+                    'Access denied'
+                );
+            }
+
             if (!chat.vapi_chat_id) {
                 return responseHandler.returnError(
                     httpStatus.BAD_REQUEST,
@@ -408,6 +818,8 @@ class ChatService {
                 );
             }
 
+            await this.backfillHistory(chat);
+
             // Upload audio to Cloudinary
             const audioUrl = await this.cloudinaryService.uploadFile(file.path);
 
@@ -420,13 +832,37 @@ class ChatService {
 
             const vapiResponse = await this.vapiService.sendMessage(chat.vapi_chat_id, messagePayload);
 
+            // The recording hangs off a voice message in the history, with the transcript as its text
+            const [voiceMessage] = await this.storeMessages(chat, [
+                { role: 'user', content: messageData.content || '', message_type: 'voice', metadata: messageData.metadata || {} }
+            ]);
+            const voice = await this.voiceMessageDao.create({
+                uuid: uuidv4(),
+                message_id: voiceMessage.id,
+                chat_id: chat.id,
+                user_id: chat.user_id,
+                audio_url: audioUrl.url,
+                cloudinary_public_id: audioUrl.publicId,
+                file_size: audioUrl.size || file.size,
+                duration: audioUrl.duration || messageData.duration || null,
+                format: audioUrl.format || path.extname(file.originalname).slice(1) || 'webm',
+                transcript: messageData.content || null,
+                processing_status: 'completed',
+                language: chat.language || 'en',
+                metadata: messageData.metadata || {}
+            });
+            const replies = await this.storeMessages(chat, fromVapiMessages(vapiResponse?.output || []));
+            this.publishMessages(chat, [{ ...voiceMessage.get({ plain: true }), voice_message: voice }, ...replies]);
+
             await this.chatDao.updateWhere(
                 {
-                    message_count: chat.message_count + 1,
+                    message_count: chat.message_count + 1 + replies.length,
+                    voice_message_count: (chat.voice_message_count || 0) + 1,
                     last_message_at: new Date()
                 },
                 { uuid: chatId }
             );
+            this.chatSummaryService.queueSummary(chat.id);
 
             return responseHandler.returnSuccess(
                 httpStatus.OK,
@@ -443,6 +879,10 @@ class ChatService {
                 httpStatus.BAD_REQUEST,
                 'Failed to send voice message: ' + (error.message || 'Unknown error')
             );
+        } finally {
+            if (file) {
+                await fs.unlink(file.path).catch(() => {});
+            }
         }
     };
 
@@ -512,6 +952,10 @@ class ChatService {
 
             const status = archived ? 'archived' : 'active';
             await this.chatDao.updateWhere({ status }, { uuid: id });
+            if (archived) {
+                // Archived chats are read from the list, so their summary should cover the whole conversation
+                this.chatSummaryService.queueSummary(chat.id, { force: true });
+            }
 
             return responseHandler.returnSuccess(
                 httpStatus.OK,
@@ -524,6 +968,154 @@ class ChatService {
         }
     };
 
+    /**
+     * Start a new chat from the history of another one up to one of its messages. The Vapi chat is seeded with
+     * that history and answers its last turn, which is `content` when given; the original chat is left untouched.
+     * @param {String} id - Chat's UUID
+     * @param {Object} forkBody - { message_id, content, name }
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    forkChat = async (id, forkBody, user) => {
+        try {
+            const parent = await this.chatDao.findOneByWhere({ uuid: id });
+
+            if (!parent) {
+                return responseHandler.returnError(
+                    httpStatus.NOT_FOUND,
+                    'Chat not found'
+                );
+            }
+
+            // Check user permissions
+            if (!user || (user.role !== 'admin' && parent.user_id !== user.id)) {
+                return responseHandler.returnError(
+                    httpStatus.FORBIDDEN,
+                    'Access denied'
+                );
+            }
+
+            // A fork is seeded into one assistant, which cannot carry on a conversation squad members handed around
+            if (parent.squad_id) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Squad chats cannot be forked');
+            }
+
+            await this.backfillHistory(parent);
+
+            const messages = await this.messageDao.findAllByChatId(parent.id);
+            const forkIndex = messages.findIndex((message) => message.uuid === forkBody.message_id);
+            if (forkIndex === -1) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Message not found in this chat');
+            }
+            const history = messages.slice(0, forkIndex + 1);
+
+            // Vapi answers the last seeded turn, so a fork at a reply needs the user turn to go on with
+            if (history[forkIndex].role !== 'user' && !forkBody.content) {
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    'Forking at an assistant or tool message needs `content`, the user turn the fork continues with'
+                );
+            }
+
+            const parentAssistant = await this.assistantDao.findById(parent.assistant_id);
+            if (!parentAssistant) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'The chat\'s assistant no longer exists');
+            }
+            const { assistant, error } = await this.assistantService.findUsableAssistant(parentAssistant.vapi_assistant_id, user);
+            if (error) {
+                return error;
+            }
+
+            // Customer details are not kept with the chat, placeholders only they could fill are left blank
+            const { overrides } = resolveAssistantOverrides(
+                assistant.config,
+                buildConversationVariables({ metadata: parent.metadata || {} }),
+                { language: parent.language, allowMissing: true }
+            );
+
+            const seed = history
+                .filter((message) => ['user', 'assistant'].includes(message.role) && message.content)
+                .map((message) => ({ role: message.role, content: message.content }));
+            if (forkBody.content) {
+                seed.push({ role: 'user', content: forkBody.content });
+            }
+
+            try {
+                const vapiChat = await this.vapiService.createChat({
+                    assistantId: assistant.vapi_assistant_id,
+                    ...(overrides && { assistantOverrides: overrides }),
+                    message: seed,
+                });
+
+                const chatBody = {
+                    uuid: uuidv4(),
+                    vapi_chat_id: vapiChat.id,
+                    user_id: user?.id || null,
+                    assistant_id: assistant.id,
+                    parent_chat_id: parent.id,
+                    fork_message_id: history[forkIndex].id,
+                    name: forkBody.name || (parent.name ? `${parent.name} (fork)`.slice(0, 255) : null),
+                    status: 'active',
+                    language: parent.language,
+                    tags: parent.tags || [],
+                    metadata: parent.metadata || {},
+                    message_count: 0
+                };
+
+                const result = await models.sequelize.transaction(async (transaction) => {
+                    const chatData = await this.chatDao.createWithTransaction(chatBody, transaction);
+                    return chatData;
+                });
+
+                if (!result) {
+                    return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Chat fork failed! Please try again.');
+                }
+
+                // Copies keep their time so the fork reads like the original up to the fork point
+                const copied = await this.storeMessages(result, history.map((message) => ({
+                    role: message.role,
+                    content: message.content,
+                    message_type: message.message_type,
+                    timestamp: message.timestamp,
+                    metadata: message.metadata || {}
+                })));
+                const added = await this.storeMessages(result, [
+                    ...(forkBody.content ? [{ role: 'user', content: forkBody.content, message_type: 'text' }] : []),
+                    ...fromVapiMessages(vapiChat.output || [])
+                ]);
+
+                await this.chatDao.updateWhere(
+                    {
+                        message_count: copied.length + added.length,
+                        last_message_at: new Date()
+                    },
+                    { id: result.id }
+                );
+                this.chatSummaryService.queueSummary(result.id);
+
+                const chatData = {
+                    ...result.toJSON(),
+                    message_count: copied.length + added.length,
+                    parent_chat: { uuid: parent.uuid, name: parent.name },
+                    fork_message: { uuid: history[forkIndex].uuid },
+                    messages: [...copied, ...added].map(formatMessage)
+                };
+                chatData.assistant = this.assistantService.formatAssistant(assistant);
+
+                return responseHandler.returnSuccess(httpStatus.CREATED, 'Chat forked successfully!', chatData);
+            } catch (vapiError) {
+                logger.error('Vapi chat fork failed:', vapiError);
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Failed to fork chat: ${vapiError.message || 'Unknown error'}`
+                );
+            }
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
     /**
      * Handle webhook chat updates
      * @param {String} vapiChatId - Vapi chat ID
@@ -542,12 +1134,15 @@ class ChatService {
             const { message } = webhookData;
 
             // Create a new message in the database
-            await this.messageDao.create({
+            const stored = await this.messageDao.create({
                 chat_id: chat.id,
                 content: message.content,
                 role: message.role,
                 message_type: message.type || 'text',
             });
+            if (stored) {
+                this.publishMessages(chat, [stored]);
+            }
 
             // Update chat metadata
             await this.chatDao.updateWhere(
@@ -557,6 +1152,7 @@ class ChatService {
                 },
                 { id: chat.id }
             );
+            this.chatSummaryService.queueSummary(chat.id);
 
             return { success: true, chat };
         } catch (error) {
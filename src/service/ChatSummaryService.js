@@ -0,0 +1,103 @@
+const ChatDao = require('../dao/ChatDao');
+const MessageDao = require('../dao/MessageDao');
+const SocketService = require('./SocketService');
+
+const { titleChat, summarizeChat } = require('../helper/chatSummarizer');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+// Newest messages handed to the summarizer; older ones reach it through the previous summary
+const SUMMARY_WINDOW = 50;
+
+// Chats being summarized, with the run requested meanwhile ({ force }) or null
+const running = new Map();
+
+class ChatSummaryService {
+    constructor() {
+        this.chatDao = new ChatDao();
+        this.messageDao = new MessageDao();
+    }
+
+    /**
+     * Title and summarize a chat in the background. Requests for a chat that is being summarized
+     * are run once it is done, so no update is lost.
+     * @param {Number} chatId - vapi_chat row id
+     * @param {Object} options - { force: refresh the summary even when fewer than SUMMARY_EVERY_MESSAGES are new }
+     * @returns {void}
+     */
+    queueSummary = (chatId, { force = false } = {}) => {
+        if (running.has(chatId)) {
+            running.set(chatId, { force: force || !!running.get(chatId)?.force });
+            return;
+        }
+
+        running.set(chatId, null);
+        this.refreshSummary(chatId, { force }).finally(() => {
+            const queued = running.get(chatId);
+            running.delete(chatId);
+            if (queued) {
+                this.queueSummary(chatId, queued);
+            }
+        });
+    };
+
+    /**
+     * Give a chat without a name a title once it has a first exchange, and rewrite its summary every
+     * SUMMARY_EVERY_MESSAGES messages. Clients in the chat room get the result as `chat_summary_update`.
+     * @param {Number} chatId - vapi_chat row id
+     * @param {Object} options - { force: refresh the summary when any message is new, e.g. on archive }
+     * @returns {Object|null} the fields written, null when nothing changed or it failed
+     */
+    refreshSummary = async (chatId, { force = false } = {}) => {
+        try {
+            const chat = await this.chatDao.findOneByWhere({ id: chatId });
+            if (!chat) {
+                return null;
+            }
+
+            const messages = (await this.messageDao.findAllByChatId(chat.id))
+                .map((message) => ({
+                    role: message.role,
+                    content: message.content || message.voice_message?.transcript || ''
+                }))
+                .filter((message) => ['user', 'assistant'].includes(message.role) && message.content.trim() !== '');
+
+            const fields = {};
+
+            // Names someone gave the chat are kept
+            const exchanged = messages.some((message) => message.role === 'user')
+                && messages.some((message) => message.role === 'assistant');
+            if (!chat.name && exchanged) {
+                const title = await titleChat(messages);
+                if (title) {
+                    fields.name = title;
+                }
+            }
+
+            const unsummarized = chat.message_count - (chat.summary_message_count || 0);
+            if (messages.length > 0 && (force ? unsummarized !== 0 || !chat.summary : unsummarized >= config.summary.everyMessages)) {
+                const recent = messages.slice(-SUMMARY_WINDOW);
+                fields.summary = await summarizeChat(recent, recent.length < messages.length ? chat.summary : null);
+                fields.summary_message_count = chat.message_count;
+            }
+
+            if (Object.keys(fields).length === 0) {
+                return null;
+            }
+
+            await this.chatDao.updateWhere(fields, { id: chat.id });
+            SocketService.emitToChat(chat.uuid, 'chat_summary_update', {
+                chat_id: chat.uuid,
+                name: fields.name ?? chat.name,
+                summary: fields.summary ?? chat.summary
+            });
+
+            return fields;
+        } catch (e) {
+            logger.error(`Summary of chat ${chatId} failed: ${e.message}`);
+            return null;
+        }
+    };
+}
+
+module.exports = ChatSummaryService;
@@ -0,0 +1,191 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const ContactDao = require('../dao/ContactDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const { normalizePhoneNumber } = require('../helper/phoneNumber');
+
+class ContactService {
+    constructor() {
+        this.contactDao = new ContactDao();
+    }
+
+    /**
+     * Load a contact and check that the user may access it
+     * @param {String} id - Contact's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { contact } or { error } holding a response
+     */
+    findAccessibleContact = async (id, user) => {
+        const contact = await this.contactDao.findOneByWhere({ uuid: id });
+
+        if (!contact) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Contact not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && contact.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { contact };
+    };
+
+    /**
+     * Create a contact
+     * @param {Object} contactBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createContact = async (contactBody, user) => {
+        try {
+            const phoneNumber = normalizePhoneNumber(contactBody.phone_number);
+
+            if (phoneNumber) {
+                const existing = await this.contactDao.findByPhoneNumber(phoneNumber, user?.id || null);
+                if (existing) {
+                    return responseHandler.returnError(httpStatus.BAD_REQUEST, `A contact with phone number ${phoneNumber} already exists`);
+                }
+            }
+
+            const contact = await this.contactDao.create({
+                ...contactBody,
+                uuid: uuidv4(),
+                phone_number: phoneNumber,
+                user_id: user?.id || null
+            });
+
+            if (!contact) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Contact creation failed! Please try again.');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Contact created successfully!', contact);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get contacts with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getContacts = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const contacts = await this.contactDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(contacts.count / limit);
+            const pagination = {
+                total: contacts.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Contacts retrieved successfully',
+                {
+                    content: contacts.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get contact by id
+     * @param {String} id - Contact's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getContactById = async (id, user) => {
+        try {
+            const { contact, error } = await this.findAccessibleContact(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Contact retrieved successfully', contact);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Update a contact
+     * @param {String} id - Contact's UUID
+     * @param {Object} updateBody
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateContact = async (id, updateBody, user) => {
+        try {
+            const { contact, error } = await this.findAccessibleContact(id, user);
+            if (error) {
+                return error;
+            }
+
+            const changes = { ...updateBody };
+            if (updateBody.phone_number !== undefined) {
+                changes.phone_number = normalizePhoneNumber(updateBody.phone_number);
+
+                if (changes.phone_number && changes.phone_number !== contact.phone_number) {
+                    const existing = await this.contactDao.findByPhoneNumber(changes.phone_number, contact.user_id);
+                    if (existing) {
+                        return responseHandler.returnError(httpStatus.BAD_REQUEST, `A contact with phone number ${changes.phone_number} already exists`);
+                    }
+                }
+            }
+
+            await this.contactDao.updateWhere(changes, { uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Contact updated successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete a contact
+     * @param {String} id - Contact's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteContact = async (id, user) => {
+        try {
+            const { error } = await this.findAccessibleContact(id, user);
+            if (error) {
+                return error;
+            }
+
+            await this.contactDao.deleteWhere({ uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Contact deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+}
+
+module.exports = ContactService;
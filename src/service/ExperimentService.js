@@ -0,0 +1,373 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const ExperimentDao = require('../dao/ExperimentDao');
+const ExperimentAssignmentDao = require('../dao/ExperimentAssignmentDao');
+const ChatDao = require('../dao/ChatDao');
+const CallDao = require('../dao/CallDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const AssistantService = require('./AssistantService');
+const { pickVariant } = require('../helper/experimentAssignment');
+
+class ExperimentService {
+    constructor() {
+        this.experimentDao = new ExperimentDao();
+        this.experimentAssignmentDao = new ExperimentAssignmentDao();
+        this.chatDao = new ChatDao();
+        this.callDao = new CallDao();
+        this.assistantService = new AssistantService();
+    }
+
+    /**
+     * Load an experiment and check that the user may access it
+     * @param {String} id - Experiment's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { experiment } or { error } holding a response
+     */
+    findAccessibleExperiment = async (id, user) => {
+        const experiment = await this.experimentDao.findOneByWhere({ uuid: id });
+
+        if (!experiment) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Experiment not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && experiment.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { experiment };
+    };
+
+    /**
+     * Check that the user may use every variant assistant
+     * @param {Array} variants - [{ key, assistant_id, weight }]
+     * @param {Object} user - Current user
+     * @returns {Object|null} error response, or null when all variants are usable
+     */
+    checkVariantAssistants = async (variants, user) => {
+        const checks = await Promise.all(variants.map((variant) => this.assistantService.findAccessibleAssistant(variant.assistant_id, user)));
+        const index = checks.findIndex((check) => check.error);
+        if (index === -1) {
+            return null;
+        }
+
+        const { error } = checks[index];
+        return responseHandler.returnError(
+            error.statusCode,
+            `Variant "${variants[index].key}": ${error.response.message}`
+        );
+    };
+
+    /**
+     * Create an experiment
+     * @param {Object} experimentBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createExperiment = async (experimentBody, user) => {
+        try {
+            const { assistant, error } = await this.assistantService.findAccessibleAssistant(experimentBody.assistant_id, user, 'manage');
+            if (error) {
+                return error;
+            }
+
+            const variantError = await this.checkVariantAssistants(experimentBody.variants, user);
+            if (variantError) {
+                return variantError;
+            }
+
+            const experiment = await this.experimentDao.create({
+                ...experimentBody,
+                uuid: uuidv4(),
+                assistant_id: assistant.id,
+                status: 'draft',
+                user_id: user?.id || null
+            });
+
+            if (!experiment) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Experiment creation failed! Please try again.');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Experiment created successfully!', experiment);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get experiments with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getExperiments = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const experiments = await this.experimentDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(experiments.count / limit);
+            const pagination = {
+                total: experiments.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Experiments retrieved successfully',
+                {
+                    content: experiments.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get experiment by id
+     * @param {String} id - Experiment's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getExperimentById = async (id, user) => {
+        try {
+            const { experiment, error } = await this.findAccessibleExperiment(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Experiment retrieved successfully', experiment);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Update an experiment. Variants can only change before the experiment starts.
+     * @param {String} id - Experiment's UUID
+     * @param {Object} updateBody
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateExperiment = async (id, updateBody, user) => {
+        try {
+            const { experiment, error } = await this.findAccessibleExperiment(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (updateBody.variants) {
+                if (experiment.status !== 'draft') {
+                    return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Variants cannot be changed once the experiment has started');
+                }
+
+                const variantError = await this.checkVariantAssistants(updateBody.variants, user);
+                if (variantError) {
+                    return variantError;
+                }
+            }
+
+            await this.experimentDao.updateWhere(updateBody, { uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Experiment updated successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Start splitting new chats and calls between the variants
+     * @param {String} id - Experiment's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    startExperiment = async (id, user) => {
+        try {
+            const { experiment, error } = await this.findAccessibleExperiment(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (experiment.status !== 'draft') {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, `Experiment is already ${experiment.status}`);
+            }
+
+            // One running experiment per assistant, otherwise a chat could be split twice
+            const running = await this.experimentDao.findRunningByAssistantId(experiment.assistant_id);
+            if (running) {
+                return responseHandler.returnError(
+                    httpStatus.CONFLICT,
+                    `Experiment "${running.name}" is already running for this assistant`
+                );
+            }
+
+            await this.experimentDao.updateWhere({ status: 'running', started_at: new Date() }, { uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Experiment started successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Stop an experiment; new chats and calls go to the assistant itself again
+     * @param {String} id - Experiment's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    stopExperiment = async (id, user) => {
+        try {
+            const { experiment, error } = await this.findAccessibleExperiment(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (experiment.status !== 'running') {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Experiment is not running');
+            }
+
+            await this.experimentDao.updateWhere({ status: 'stopped', ended_at: new Date() }, { uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Experiment stopped successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete an experiment
+     * @param {String} id - Experiment's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteExperiment = async (id, user) => {
+        try {
+            const { error } = await this.findAccessibleExperiment(id, user);
+            if (error) {
+                return error;
+            }
+
+            await this.experimentDao.deleteWhere({ uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Experiment deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Pick the variant a new chat or call runs on. Returning subjects keep their earlier variant.
+     * @param {Object} assistant - registry row the chat/call was requested for
+     * @param {String|null} subject - from experimentSubject
+     * @returns {Object|null} { experiment, variant, assistant }, null when no experiment is running
+     */
+    assignVariant = async (assistant, subject) => {
+        const experiment = await this.experimentDao.findRunningByAssistantId(assistant.id);
+        if (!experiment) {
+            return null;
+        }
+
+        let variant = null;
+        const assignment = subject
+            ? await this.experimentAssignmentDao.findBySubject(experiment.id, subject)
+            : null;
+        if (assignment) {
+            variant = experiment.variants.find((candidate) => candidate.key === assignment.variant_key);
+        }
+
+        if (!variant) {
+            variant = pickVariant(experiment.variants, subject && `${experiment.uuid}:${subject}`);
+            if (!variant) {
+                return null;
+            }
+
+            if (subject && !assignment) {
+                await this.experimentAssignmentDao.create({
+                    uuid: uuidv4(),
+                    experiment_id: experiment.id,
+                    subject,
+                    variant_key: variant.key
+                });
+            }
+        }
+
+        const variantAssistant = await this.assistantService.resolveAssistant(variant.assistant_id);
+        if (!variantAssistant) {
+            logger.error(`Experiment ${experiment.uuid}: variant "${variant.key}" assistant could not be resolved`);
+            return null;
+        }
+        // An inactive variant leaves the conversation on the requested assistant
+        if (variantAssistant.status === 0) {
+            logger.warn(`Experiment ${experiment.uuid}: variant "${variant.key}" assistant is inactive`);
+            return null;
+        }
+
+        return { experiment, variant, assistant: variantAssistant };
+    };
+
+    /**
+     * Call and chat metrics for each variant
+     * @param {String} id - Experiment's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getExperimentResults = async (id, user) => {
+        try {
+            const { experiment, error } = await this.findAccessibleExperiment(id, user);
+            if (error) {
+                return error;
+            }
+
+            const assignments = await this.experimentAssignmentDao.countByVariant(experiment.id);
+
+            const variants = await Promise.all(experiment.variants.map(async (variant) => {
+                // Chats and calls record their variant in metadata.experiment
+                const where = { metadata: { experiment: { id: experiment.uuid, variant: variant.key } } };
+
+                const [calls, chats] = await Promise.all([
+                    this.callDao.getCallStats(null, where),
+                    this.chatDao.getChatAnalyticsByWhere(where)
+                ]);
+
+                return {
+                    ...variant,
+                    assignments: assignments[variant.key] || 0,
+                    calls,
+                    chats
+                };
+            }));
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Experiment results retrieved successfully', {
+                experiment,
+                variants
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+}
+
+module.exports = ExperimentService;
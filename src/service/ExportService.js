@@ -0,0 +1,349 @@
+const httpStatus = require('http-status');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const ExportJobDao = require('../dao/ExportJobDao');
+const ChatDao = require('../dao/ChatDao');
+const CallDao = require('../dao/CallDao');
+const AssistantDao = require('../dao/AssistantDao');
+
+const responseHandler = require('../helper/responseHandler');
+const { renderTranscript, exportFileName } = require('../helper/conversationExport');
+const { openZipFile } = require('../helper/zipArchive');
+const logger = require('../config/logger');
+const config = require('../config/config');
+const ChatService = require('./ChatService');
+const CallService = require('./CallService');
+
+const exportFolder = () => path.resolve(process.cwd(), config.exports.localPath);
+
+class ExportService {
+    constructor() {
+        this.exportJobDao = new ExportJobDao();
+        this.chatDao = new ChatDao();
+        this.callDao = new CallDao();
+        this.assistantDao = new AssistantDao();
+        this.chatService = new ChatService();
+        this.callService = new CallService();
+    }
+
+    /**
+     * Load an export job and check that the user may access it
+     * @param {String} id - Job's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { job } or { error } holding a response
+     */
+    findAccessibleJob = async (id, user) => {
+        const job = await this.exportJobDao.findOneByWhere({ uuid: id });
+
+        if (!job) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Export job not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && job.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { job };
+    };
+
+    /**
+     * Turn a job's filter into DAO filters; non-admins only ever export their own conversations
+     * @param {Object} filter - { assistant_id, status, user_id, date_from, date_to }
+     * @param {Number|null} userId - owner of the job
+     * @param {Boolean} isAdmin
+     * @returns {Object} where for ChatDao/CallDao.findForExport
+     */
+    resolveFilter = async (filter, userId, isAdmin) => {
+        const { assistant_id: assistantId, ...where } = filter;
+
+        if (!isAdmin) {
+            where.user_id = userId;
+        }
+
+        // Filters use the Vapi assistant id, rows reference the local registry; unknown ids match nothing
+        if (assistantId) {
+            const assistant = await this.assistantDao.findByVapiId(assistantId);
+            where.assistant_id = assistant ? assistant.id : 0;
+        }
+
+        return where;
+    };
+
+    /**
+     * Shape a job for the API, with its download link once the zip is ready
+     * @param {Object} job
+     * @returns {Object}
+     */
+    formatJob = (job) => {
+        const { id: _, storage_key: __, is_deleted: ___, ...fields } = job.get({ plain: true });
+        return {
+            ...fields,
+            download_url: job.status === 'completed' ? `/api/exports/${job.uuid}/download` : null
+        };
+    };
+
+    /**
+     * Start a bulk export of every chat and/or call matching a filter, delivered as a zip
+     * @param {Object} exportBody - { type, format, assistant_id, status, user_id, date_from, date_to }
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    createExportJob = async (exportBody, user) => {
+        try {
+            const { type, format, ...filter } = exportBody;
+            const isAdmin = !user || user.role === 'admin';
+            const where = await this.resolveFilter(filter, user?.id || null, isAdmin);
+
+            const [chatCount, callCount] = await Promise.all([
+                type === 'calls' ? 0 : this.chatDao.countForExport(where),
+                type === 'chats' ? 0 : this.callDao.countForExport(where)
+            ]);
+            const total = chatCount + callCount;
+
+            if (total === 0) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'No conversations match the filter');
+            }
+            if (total > config.exports.maxConversations) {
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `${total} conversations match the filter; narrow it down to at most ${config.exports.maxConversations}`
+                );
+            }
+
+            const job = await this.exportJobDao.create({
+                uuid: uuidv4(),
+                user_id: user?.id || null,
+                type,
+                format,
+                filter,
+                status: 'pending',
+                conversation_count: total
+            });
+
+            if (!job) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Export job creation failed! Please try again.');
+            }
+
+            // The zip is built after the response; clients poll the job until it is completed
+            this.runExportJob(job, where);
+
+            return responseHandler.returnSuccess(httpStatus.ACCEPTED, 'Export job started', this.formatJob(job));
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Build a job's zip: one file per conversation in the job's format, plus a manifest.json listing them.
+     * Failures are kept on the job.
+     * @param {Object} job
+     * @param {Object} where - resolved filter, see resolveFilter
+     * @returns {Object} the job's fields after the run
+     */
+    runExportJob = async (job, where) => {
+        let fields;
+        let zip = null;
+
+        try {
+            await this.exportJobDao.updateWhere({ status: 'processing' }, { id: job.id });
+
+            const limit = config.exports.maxConversations;
+            const [chats, calls] = await Promise.all([
+                job.type === 'calls' ? [] : this.chatDao.findForExport(where, limit),
+                job.type === 'chats' ? [] : this.callDao.findForExport(where, limit)
+            ]);
+
+            const exportedAt = new Date();
+            const key = `${job.uuid}.zip`;
+            await fs.mkdir(exportFolder(), { recursive: true });
+            zip = await openZipFile(path.join(exportFolder(), key), exportedAt);
+
+            // Each file goes into the zip on disk as soon as it is rendered, so only one is held in memory
+            const conversations = [];
+            const addTranscript = async (folder, transcript) => {
+                const name = `${folder}/${exportFileName(transcript, job.format)}`;
+                await zip.add(name, await renderTranscript(transcript, job.format, exportedAt));
+                conversations.push({ kind: transcript.kind, id: transcript.id, title: transcript.title, file: name });
+            };
+
+            // Sequential on purpose: the zip is written one entry at a time
+            // eslint-disable-next-line no-restricted-syntax
+            for (const chat of chats) {
+                // eslint-disable-next-line no-await-in-loop
+                await addTranscript('chats', await this.chatService.buildTranscript(chat));
+            }
+            // eslint-disable-next-line no-restricted-syntax
+            for (const call of calls) {
+                // eslint-disable-next-line no-await-in-loop
+                await addTranscript('calls', await this.callService.buildTranscript(call));
+            }
+
+            await zip.add('manifest.json', JSON.stringify({
+                exported_at: exportedAt.toISOString(),
+                type: job.type,
+                format: job.format,
+                filter: job.filter,
+                conversations
+            }, null, 2));
+            const size = await zip.close();
+
+            fields = {
+                status: 'completed',
+                conversation_count: conversations.length,
+                file_name: `conversations-${exportedAt.toISOString().slice(0, 10)}-${job.uuid.slice(0, 8)}.zip`,
+                storage_key: key,
+                size,
+                error: null,
+                completed_at: new Date()
+            };
+        } catch (error) {
+            logger.error(`Export job ${job.uuid} failed: ${error.message}`);
+            if (zip) {
+                await zip.discard();
+            }
+            fields = { status: 'failed', error: error.message, completed_at: new Date() };
+        }
+
+        await this.exportJobDao.updateWhere(fields, { id: job.id });
+        return fields;
+    };
+
+    /**
+     * Get export jobs with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getExportJobs = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const jobs = await this.exportJobDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(jobs.count / limit);
+            const pagination = {
+                total: jobs.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Export jobs retrieved successfully',
+                {
+                    content: jobs.rows.map(this.formatJob),
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get export job by id
+     * @param {String} id - Job's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getExportJobById = async (id, user) => {
+        try {
+            const { job, error } = await this.findAccessibleJob(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Export job retrieved successfully', this.formatJob(job));
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Locate a completed job's zip for download
+     * @param {String} id - Job's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} data holds { file_name, file_path }
+     */
+    getExportFile = async (id, user) => {
+        try {
+            const { job, error } = await this.findAccessibleJob(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (job.status !== 'completed') {
+                return responseHandler.returnError(httpStatus.CONFLICT, `Export job is ${job.status}`);
+            }
+
+            const filePath = path.join(exportFolder(), job.storage_key);
+            try {
+                await fs.access(filePath);
+            } catch (missing) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Export file is no longer available');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Export file found', { file_name: job.file_name, file_path: filePath });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete an export job and its zip
+     * @param {String} id - Job's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteExportJob = async (id, user) => {
+        try {
+            const { job, error } = await this.findAccessibleJob(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (job.storage_key) {
+                await fs.unlink(path.join(exportFolder(), job.storage_key)).catch((unlinkError) => {
+                    logger.error(`Export file ${job.storage_key} could not be removed: ${unlinkError.message}`);
+                });
+            }
+
+            await this.exportJobDao.deleteWhere({ uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Export job deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Mark jobs a restart cut short as failed, so clients stop waiting for them
+     * @returns {void}
+     */
+    failInterruptedJobs = async () => {
+        try {
+            await this.exportJobDao.failInterrupted();
+        } catch (e) {
+            logger.error(e);
+        }
+    };
+}
+
+module.exports = ExportService;
@@ -0,0 +1,433 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const FlowDao = require('../dao/FlowDao');
+
+const responseHandler = require('../helper/responseHandler');
+const { validateFlowGraph, compileFlow } = require('../helper/flowCompiler');
+const { toVapiConfig } = require('../helper/assistantConfigMapper');
+const flowSimulator = require('../helper/flowSimulator');
+const logger = require('../config/logger');
+const VapiService = require('./VapiService');
+const AssistantService = require('./AssistantService');
+const VersionService = require('./VersionService');
+
+class FlowService {
+    constructor() {
+        this.flowDao = new FlowDao();
+        this.vapiService = new VapiService();
+        this.assistantService = new AssistantService();
+        this.versionService = new VersionService();
+    }
+
+    /**
+     * The part of a flow that is versioned
+     * @param {Object} flow
+     * @returns {Object}
+     */
+    toFlowSnapshot = (flow) => {
+        return {
+            name: flow.name,
+            description: flow.description,
+            base_prompt: flow.base_prompt,
+            start_node_id: flow.start_node_id,
+            nodes: flow.nodes,
+            metadata: flow.metadata
+        };
+    };
+
+    /**
+     * Load a flow and check that the user may access it
+     * @param {String} id - Flow's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { flow } or { error } holding a response
+     */
+    findAccessibleFlow = async (id, user) => {
+        const flow = await this.flowDao.findOneByWhere({ uuid: id });
+
+        if (!flow) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Flow not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && flow.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { flow };
+    };
+
+    /**
+     * Create a conversation flow
+     * @param {Object} flowBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createFlow = async (flowBody, user) => {
+        try {
+            const errors = validateFlowGraph(flowBody);
+            if (errors.length > 0) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Invalid flow graph', { errors });
+            }
+
+            const flow = await this.flowDao.create({
+                ...flowBody,
+                uuid: uuidv4(),
+                user_id: user?.id || null,
+                status: 'draft',
+                compiled_config: compileFlow(flowBody)
+            });
+            if (!flow) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Flow creation failed! Please try again.');
+            }
+
+            await this.versionService.recordVersion('flow', flow.uuid, this.toFlowSnapshot(flow), user, {
+                changeNote: 'Initial version'
+            });
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Flow created successfully!', flow);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get all flows with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getFlows = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const flows = await this.flowDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(flows.count / limit);
+            const pagination = {
+                total: flows.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Flows retrieved successfully',
+                {
+                    content: flows.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get flow by ID
+     * @param {String} id - Flow's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getFlowById = async (id, user) => {
+        try {
+            const { flow, error } = await this.findAccessibleFlow(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Flow retrieved successfully', flow);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Update flow
+     * @param {String} id - Flow's UUID
+     * @param {Object} updateBody - Data to update
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateFlow = async (id, updateBody, user) => {
+        try {
+            const { flow, error } = await this.findAccessibleFlow(id, user);
+            if (error) {
+                return error;
+            }
+
+            const { change_note: changeNote, ...changes } = updateBody;
+            const merged = { ...flow.toJSON(), ...changes };
+            const errors = validateFlowGraph(merged);
+            if (errors.length > 0) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Invalid flow graph', { errors });
+            }
+
+            changes.compiled_config = compileFlow(merged);
+            await this.flowDao.updateWhere(changes, { uuid: id });
+
+            // Every edit becomes a draft version; it goes live on deploy/publish
+            const draft = await this.versionService.recordVersion('flow', id, this.toFlowSnapshot(merged), user, {
+                changeNote
+            });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Flow updated successfully', {
+                version: draft ? draft.version : null
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete flow
+     * @param {String} id - Flow's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteFlow = async (id, user) => {
+        try {
+            const { error } = await this.findAccessibleFlow(id, user);
+            if (error) {
+                return error;
+            }
+
+            // Soft delete from local database, the deployed assistant is left untouched
+            const deleted = await this.flowDao.deleteWhere({ uuid: id });
+
+            if (!deleted) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Failed to delete flow');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Flow deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Preview the Vapi config a flow compiles to
+     * @param {String} id - Flow's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getCompiledFlow = async (id, user) => {
+        try {
+            const { flow, error } = await this.findAccessibleFlow(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Flow compiled successfully', compileFlow(flow));
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Walk a flow with scripted user utterances without calling Vapi
+     * @param {String} id - Flow's UUID
+     * @param {Object} simulationBody - { utterances, variables, tool_results, max_steps }
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    simulateFlow = async (id, simulationBody, user) => {
+        try {
+            const { flow, error } = await this.findAccessibleFlow(id, user);
+            if (error) {
+                return error;
+            }
+
+            const result = flowSimulator.simulateFlow(flow, simulationBody);
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Flow simulated successfully', {
+                flow_id: id,
+                ...result
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Compile a flow and push it to its Vapi assistant, creating the assistant on first deploy
+     * @param {Object} flow
+     * @returns {Object} the Vapi assistant
+     */
+    pushFlowToVapi = async (flow) => {
+        const compiled = compileFlow(flow);
+
+        let vapiAssistant;
+        if (flow.assistant_id) {
+            // Keep the assistant's provider settings and only replace what the flow owns
+            const current = await this.vapiService.getAssistant(flow.assistant_id);
+            const updateConfig = {
+                model: {
+                    ...current.model,
+                    ...compiled.model,
+                },
+            };
+            if (compiled.firstMessage) {
+                updateConfig.firstMessage = compiled.firstMessage;
+            }
+            vapiAssistant = await this.vapiService.updateAssistant(flow.assistant_id, updateConfig);
+        } else {
+            // Provider, voice and transcriber come from the env defaults; the flow owns the prompt and tools
+            const baseConfig = toVapiConfig({ name: flow.name, first_message: null });
+            const vapiConfig = {
+                ...baseConfig,
+                ...compiled,
+                model: {
+                    ...baseConfig.model,
+                    ...compiled.model,
+                },
+            };
+
+            vapiAssistant = await this.vapiService.createAssistant(vapiConfig);
+        }
+
+        await this.assistantService.registerAssistant(vapiAssistant, flow.user_id);
+
+        await this.flowDao.updateWhere(
+            {
+                assistant_id: vapiAssistant.id,
+                status: 'deployed',
+                compiled_config: compiled,
+                deployed_at: new Date()
+            },
+            { uuid: flow.uuid }
+        );
+
+        return vapiAssistant;
+    };
+
+    /**
+     * Deploy the current flow and mark its latest version as published
+     * @param {String} id - Flow's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deployFlow = async (id, user) => {
+        try {
+            const { flow, error } = await this.findAccessibleFlow(id, user);
+            if (error) {
+                return error;
+            }
+
+            try {
+                const vapiAssistant = await this.pushFlowToVapi(flow);
+
+                const latest = await this.versionService.getLatestVersion('flow', id);
+                if (latest) {
+                    await this.versionService.markPublished(latest, user);
+                }
+
+                return responseHandler.returnSuccess(httpStatus.OK, 'Flow deployed successfully', {
+                    flow_id: id,
+                    version: latest ? latest.version : null,
+                    assistant: vapiAssistant
+                });
+            } catch (err) {
+                logger.error('Flow deployment failed:', err);
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Failed to deploy flow: ${err.message || 'Unknown error'}`
+                );
+            }
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Restore a flow version onto the flow and deploy it
+     * @param {String} id - Flow's UUID
+     * @returns {Function} publisher used by VersionService
+     */
+    flowVersionPublisher = (id) => {
+        return async (snapshot) => {
+            await this.flowDao.updateWhere({ ...snapshot, compiled_config: compileFlow(snapshot) }, { uuid: id });
+            const flow = await this.flowDao.findOneByWhere({ uuid: id });
+            return this.pushFlowToVapi(flow);
+        };
+    };
+
+    /**
+     * List versions of a flow
+     * @param {String} id - Flow's UUID
+     * @param {Object} query
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getFlowVersions = async (id, query, user) => {
+        const { error } = await this.findAccessibleFlow(id, user);
+        if (error) {
+            return error;
+        }
+        return this.versionService.getVersions('flow', id, query);
+    };
+
+    /**
+     * Get a single flow version
+     * @param {String} id - Flow's UUID
+     * @param {Number} version
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getFlowVersion = async (id, version, user) => {
+        const { error } = await this.findAccessibleFlow(id, user);
+        if (error) {
+            return error;
+        }
+        return this.versionService.getVersion('flow', id, version);
+    };
+
+    /**
+     * Deploy a stored flow version
+     * @param {String} id - Flow's UUID
+     * @param {Number} version
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    publishFlowVersion = async (id, version, user) => {
+        const { error } = await this.findAccessibleFlow(id, user);
+        if (error) {
+            return error;
+        }
+        return this.versionService.publishVersion('flow', id, version, user, this.flowVersionPublisher(id));
+    };
+
+    /**
+     * Re-deploy an earlier flow version
+     * @param {String} id - Flow's UUID
+     * @param {Number} version
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    rollbackFlow = async (id, version, user) => {
+        const { error } = await this.findAccessibleFlow(id, user);
+        if (error) {
+            return error;
+        }
+        return this.versionService.rollbackToVersion('flow', id, version, user, this.flowVersionPublisher(id));
+    };
+}
+
+module.exports = FlowService;
@@ -0,0 +1,539 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const axios = require('axios');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KnowledgeDocumentDao = require('../dao/KnowledgeDocumentDao');
+const KnowledgeChunkDao = require('../dao/KnowledgeChunkDao');
+const ToolDao = require('../dao/ToolDao');
+const AssistantDao = require('../dao/AssistantDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const config = require('../config/config');
+const AssistantService = require('./AssistantService');
+const CloudinaryService = require('./CloudinaryService');
+const { extractText } = require('../helper/documentText');
+const { chunkText, tokenize, countTerms, rankChunks } = require('../helper/knowledgeIndex');
+const { registerToolHandler } = require('../helper/toolHandlers');
+
+// Registered tool that assistants with documents get; it runs the knowledge_search handler below
+const SEARCH_TOOL = {
+    name: 'search_knowledge_base',
+    description: 'Search the knowledge base for passages that answer a question. Use it before answering questions about products, policies or anything you are not sure of.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: {
+                type: 'string',
+                description: 'What to look up, as a short question or keywords'
+            }
+        },
+        required: ['query']
+    },
+    handler: 'knowledge_search',
+    handler_config: { limit: 4 }
+};
+
+class KnowledgeService {
+    constructor() {
+        this.knowledgeDocumentDao = new KnowledgeDocumentDao();
+        this.knowledgeChunkDao = new KnowledgeChunkDao();
+        this.toolDao = new ToolDao();
+        this.assistantDao = new AssistantDao();
+        this.assistantService = new AssistantService();
+        this.cloudinaryService = new CloudinaryService();
+    }
+
+    /**
+     * Load a document and check that the user may access it
+     * @param {String} id - Document's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { document } or { error } holding a response
+     */
+    findAccessibleDocument = async (id, user) => {
+        const document = await this.knowledgeDocumentDao.findOneByWhere({ uuid: id });
+
+        if (!document) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Document not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && document.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { document };
+    };
+
+    /**
+     * Keep an uploaded file in the configured storage
+     * @param {String} filePath - temporary upload
+     * @param {String} fileName - original name, its extension is kept
+     * @returns {Object} { storage, storage_key, url }
+     */
+    storeFile = async (filePath, fileName) => {
+        const key = `${uuidv4()}${path.extname(fileName).toLowerCase()}`;
+
+        if (config.knowledge.storage === 'cloudinary') {
+            // Documents are raw files, the image defaults of uploadFile do not apply
+            const uploaded = await this.cloudinaryService.uploadFile(filePath, {
+                resource_type: 'raw',
+                folder: 'vapi-knowledge',
+                public_id: key,
+                quality: undefined,
+                format: undefined
+            });
+            return { storage: 'cloudinary', storage_key: uploaded.publicId, url: uploaded.url };
+        }
+
+        const folder = path.resolve(process.cwd(), config.knowledge.localPath);
+        await fs.mkdir(folder, { recursive: true });
+        await fs.copyFile(filePath, path.join(folder, key));
+        return { storage: 'local', storage_key: key, url: null };
+    };
+
+    /**
+     * Read a document's original file back from storage
+     * @param {Object} document
+     * @returns {Buffer}
+     */
+    readStoredFile = async (document) => {
+        if (document.storage === 'cloudinary') {
+            const response = await axios.get(document.url, { responseType: 'arraybuffer' });
+            return Buffer.from(response.data);
+        }
+
+        return fs.readFile(path.join(path.resolve(process.cwd(), config.knowledge.localPath), document.storage_key));
+    };
+
+    /**
+     * Remove a document's original file; failures are logged, the document is gone either way
+     * @param {Object} document - { storage, storage_key }
+     */
+    removeStoredFile = async (document) => {
+        try {
+            if (document.storage === 'cloudinary') {
+                await this.cloudinaryService.deleteFile(document.storage_key, 'raw');
+            } else {
+                await fs.unlink(path.join(path.resolve(process.cwd(), config.knowledge.localPath), document.storage_key));
+            }
+        } catch (error) {
+            logger.error(`Stored file ${document.storage_key} could not be removed: ${error.message}`);
+        }
+    };
+
+    /**
+     * Chunk a document's text and replace its passages in the index
+     * @param {Object} document
+     * @returns {Object} the document's index fields after the run
+     */
+    indexDocument = async (document) => {
+        let fields;
+
+        try {
+            const text = await extractText(await this.readStoredFile(document), document.file_name);
+            const passages = chunkText(text);
+            if (passages.length === 0) {
+                throw new Error('No text found in the document');
+            }
+
+            await this.knowledgeChunkDao.deleteByDocumentId(document.id);
+            await this.knowledgeChunkDao.bulkCreate(passages.map((content, position) => {
+                const terms = tokenize(content);
+                return {
+                    uuid: uuidv4(),
+                    document_id: document.id,
+                    assistant_id: document.assistant_id,
+                    position,
+                    content,
+                    token_count: terms.length,
+                    terms: countTerms(terms)
+                };
+            }));
+
+            fields = { status: 'indexed', error: null, chunk_count: passages.length, indexed_at: new Date() };
+        } catch (error) {
+            logger.error(`Document ${document.uuid} could not be indexed: ${error.message}`);
+            await this.knowledgeChunkDao.deleteByDocumentId(document.id);
+            fields = { status: 'failed', error: error.message, chunk_count: 0, indexed_at: null };
+        }
+
+        await this.knowledgeDocumentDao.updateWhere(fields, { id: document.id });
+        return fields;
+    };
+
+    /**
+     * Give the assistant the search tool once it has something to search, and take it away when it has nothing left.
+     * Failures are logged, the documents themselves are fine either way.
+     * @param {Object} assistant - registry row
+     * @param {Object} user
+     */
+    syncSearchTool = async (assistant, user) => {
+        try {
+            const hasTool = (assistant.config?.model?.tools || [])
+                .some((vapiTool) => vapiTool.type === 'function' && vapiTool.function?.name === SEARCH_TOOL.name);
+            const hasDocuments = (await this.knowledgeDocumentDao.countIndexedByAssistantId(assistant.id)) > 0;
+
+            if (hasTool === hasDocuments) {
+                return;
+            }
+
+            if (!hasDocuments) {
+                await this.assistantService.applyTools(assistant.vapi_assistant_id, [], [SEARCH_TOOL.name], user, 'Knowledge base search removed');
+                return;
+            }
+
+            let tool = await this.toolDao.findByName(SEARCH_TOOL.name);
+            if (!tool) {
+                tool = await this.toolDao.create({ ...SEARCH_TOOL, uuid: uuidv4(), user_id: null });
+            } else if (tool.handler !== SEARCH_TOOL.handler) {
+                throw new Error(`Tool name "${SEARCH_TOOL.name}" is taken by another tool`);
+            }
+
+            await this.assistantService.applyTools(assistant.vapi_assistant_id, [tool], [], user, 'Knowledge base search added');
+        } catch (error) {
+            logger.error(`Knowledge search tool sync to assistant ${assistant.vapi_assistant_id} failed: ${error.message}`);
+        }
+    };
+
+    /**
+     * Upload a document to an assistant's knowledge base and index it
+     * @param {Object} documentBody - { assistant_id, name, content }
+     * @param {Object|undefined} file - multer upload, takes the place of content
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createDocument = async (documentBody, file, user) => {
+        let inlinePath = null;
+
+        try {
+            const { assistant, error } = await this.assistantService.findAccessibleAssistant(documentBody.assistant_id, user, 'manage');
+            if (error) {
+                return error;
+            }
+
+            // Text sent in the body is kept as a markdown file, like an upload
+            let fileName = file?.originalname;
+            if (!file) {
+                fileName = `${documentBody.name}.md`;
+                inlinePath = path.join(os.tmpdir(), `knowledge-${uuidv4()}.md`);
+                await fs.writeFile(inlinePath, documentBody.content);
+            }
+
+            const stored = await this.storeFile(file ? file.path : inlinePath, fileName);
+
+            const document = await this.knowledgeDocumentDao.create({
+                uuid: uuidv4(),
+                assistant_id: assistant.id,
+                user_id: user?.id || null,
+                name: documentBody.name || fileName,
+                file_name: fileName,
+                mime_type: file ? file.mimetype : 'text/markdown',
+                size: file ? file.size : Buffer.byteLength(documentBody.content),
+                ...stored,
+                status: 'pending'
+            });
+
+            if (!document) {
+                await this.removeStoredFile(stored);
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Document creation failed! Please try again.');
+            }
+
+            await this.indexDocument(document);
+            await this.syncSearchTool(assistant, user);
+
+            return responseHandler.returnSuccess(
+                httpStatus.CREATED,
+                'Document uploaded successfully!',
+                await this.knowledgeDocumentDao.findOneByWhere({ id: document.id })
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        } finally {
+            await Promise.all([file?.path, inlinePath].filter(Boolean).map((tempPath) => fs.unlink(tempPath).catch(() => {})));
+        }
+    };
+
+    /**
+     * Get knowledge base documents with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getDocuments = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            if (filter.assistant_id) {
+                const { assistant, error } = await this.assistantService.findAccessibleAssistant(filter.assistant_id, user);
+                if (error) {
+                    return error;
+                }
+                filter.assistant_id = assistant.id;
+            }
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const documents = await this.knowledgeDocumentDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(documents.count / limit);
+            const pagination = {
+                total: documents.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Documents retrieved successfully',
+                {
+                    content: documents.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get document by id
+     * @param {String} id - Document's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getDocumentById = async (id, user) => {
+        try {
+            const { document, error } = await this.findAccessibleDocument(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Document retrieved successfully', document);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Rename a document, or replace its file and index the new one
+     * @param {String} id - Document's UUID
+     * @param {Object} updateBody - { name }
+     * @param {Object|undefined} file - multer upload replacing the document's file
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateDocument = async (id, updateBody, file, user) => {
+        try {
+            const { document, error } = await this.findAccessibleDocument(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (file) {
+                const stored = await this.storeFile(file.path, file.originalname);
+                await this.knowledgeDocumentDao.updateWhere({
+                    ...updateBody,
+                    ...stored,
+                    file_name: file.originalname,
+                    mime_type: file.mimetype,
+                    size: file.size,
+                    status: 'pending'
+                }, { uuid: id });
+                await this.removeStoredFile(document);
+
+                const updated = await this.knowledgeDocumentDao.findOneByWhere({ uuid: id });
+                const assistant = await this.assistantDao.findOneByWhere({ id: updated.assistant_id });
+                await this.indexDocument(updated);
+                if (assistant) {
+                    await this.syncSearchTool(assistant, user);
+                }
+            } else {
+                await this.knowledgeDocumentDao.updateWhere(updateBody, { uuid: id });
+            }
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Document updated successfully',
+                await this.knowledgeDocumentDao.findOneByWhere({ uuid: id })
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        } finally {
+            if (file) {
+                await fs.unlink(file.path).catch(() => {});
+            }
+        }
+    };
+
+    /**
+     * Delete a document, its passages and its file
+     * @param {String} id - Document's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteDocument = async (id, user) => {
+        try {
+            const { document, error } = await this.findAccessibleDocument(id, user);
+            if (error) {
+                return error;
+            }
+
+            await this.knowledgeDocumentDao.deleteWhere({ uuid: id });
+            await this.knowledgeChunkDao.deleteByDocumentId(document.id);
+            await this.removeStoredFile(document);
+
+            const assistant = await this.assistantDao.findOneByWhere({ id: document.assistant_id });
+            if (assistant) {
+                await this.syncSearchTool(assistant, user);
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Document deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Index a document again from its stored file
+     * @param {String} id - Document's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    reindexDocument = async (id, user) => {
+        try {
+            const { document, error } = await this.findAccessibleDocument(id, user);
+            if (error) {
+                return error;
+            }
+
+            const assistant = await this.assistantDao.findOneByWhere({ id: document.assistant_id });
+            await this.indexDocument(document);
+            if (assistant) {
+                await this.syncSearchTool(assistant, user);
+            }
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Document reindexed successfully',
+                await this.knowledgeDocumentDao.findOneByWhere({ uuid: id })
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Index every document of an assistant again
+     * @param {String} assistantId - Vapi assistant id
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    reindexAssistant = async (assistantId, user) => {
+        try {
+            const { assistant, error } = await this.assistantService.findAccessibleAssistant(assistantId, user, 'manage');
+            if (error) {
+                return error;
+            }
+
+            const documents = await this.knowledgeDocumentDao.findByAssistantId(assistant.id);
+            const results = [];
+            // One document at a time, each one is read into memory to be indexed
+            // eslint-disable-next-line no-restricted-syntax
+            for (const document of documents) {
+                // eslint-disable-next-line no-await-in-loop
+                const fields = await this.indexDocument(document);
+                results.push({ id: document.uuid, name: document.name, ...fields });
+            }
+            await this.syncSearchTool(assistant, user);
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Knowledge base reindexed successfully', {
+                documents: results
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Best matching passages from an assistant's knowledge base
+     * @param {Number} assistantId - registry id
+     * @param {String} query
+     * @param {Number} limit
+     * @returns {Array} [{ document, position, score, content }]
+     */
+    findPassages = async (assistantId, query, limit) => {
+        const chunks = await this.knowledgeChunkDao.findSearchableByAssistantId(assistantId);
+
+        return rankChunks(query, chunks, limit).map(({ chunk, score }) => ({
+            document: { id: chunk.document?.uuid, name: chunk.document?.name },
+            position: chunk.position,
+            score: Math.round(score * 1000) / 1000,
+            content: chunk.content
+        }));
+    };
+
+    /**
+     * Show what the search tool would hand the model for a query
+     * @param {Object} query - { assistant_id, q, limit }
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    searchKnowledge = async (query, user) => {
+        try {
+            const { assistant, error } = await this.assistantService.findAccessibleAssistant(query.assistant_id, user);
+            if (error) {
+                return error;
+            }
+
+            const passages = await this.findPassages(assistant.id, query.q, query.limit);
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Knowledge base searched successfully', {
+                query: query.q,
+                passages
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+}
+
+// Runs the search tool for the assistant on the call or chat
+registerToolHandler('knowledge_search', async (args, tool, context) => {
+    if (!context.assistant || !args.query) {
+        return 'The knowledge base has nothing on this.';
+    }
+
+    const passages = await new KnowledgeService().findPassages(
+        context.assistant.id,
+        String(args.query),
+        tool.handler_config?.limit || SEARCH_TOOL.handler_config.limit
+    );
+    if (passages.length === 0) {
+        return 'The knowledge base has nothing on this.';
+    }
+
+    return passages
+        .map((passage, index) => `[${index + 1}] From "${passage.document.name}":\n${passage.content}`)
+        .join('\n\n');
+});
+
+module.exports = KnowledgeService;
@@ -0,0 +1,477 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const RoutingRuleDao = require('../dao/RoutingRuleDao');
+const ContactDao = require('../dao/ContactDao');
+const PhoneNumberDao = require('../dao/PhoneNumberDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const AssistantService = require('./AssistantService');
+const AssistantValidator = require('../validator/AssistantValidator');
+const { matchesConditions } = require('../helper/routingRules');
+const { normalizePhoneNumber } = require('../helper/phoneNumber');
+const { pickLanguage, localizeConfig } = require('../helper/assistantLocale');
+const { renderPlaceholders } = require('../helper/placeholder');
+const { buildConversationVariables, resolveAssistantOverrides } = require('../helper/conversationVariables');
+const { toVapiConfig, toVapiUpdate } = require('../helper/assistantConfigMapper');
+
+class RoutingService {
+    constructor() {
+        this.routingRuleDao = new RoutingRuleDao();
+        this.contactDao = new ContactDao();
+        this.phoneNumberDao = new PhoneNumberDao();
+        this.assistantService = new AssistantService();
+        this.assistantValidator = new AssistantValidator();
+    }
+
+    /**
+     * Load a routing rule and check that the user may access it
+     * @param {String} id - Rule's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { rule } or { error } holding a response
+     */
+    findAccessibleRule = async (id, user) => {
+        const rule = await this.routingRuleDao.findOneByWhere({ uuid: id });
+
+        if (!rule) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Routing rule not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && rule.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { rule };
+    };
+
+    /**
+     * Check a rule action: the assistant must be usable by the user, an inline assistant must be valid
+     * @param {Object} action - { assistant_id, overrides } or { assistant }
+     * @param {Object} user
+     * @returns {Object} { action } with an inline assistant in its validated form, or { error }
+     */
+    checkAction = async (action, user) => {
+        if (action.assistant) {
+            const { error, value } = this.assistantValidator.validateAssistantBody(action.assistant);
+            if (error) {
+                const errorMessage = error.details
+                    .map((details) => details.message)
+                    .join(', ');
+                return { error: responseHandler.returnError(httpStatus.BAD_REQUEST, `action.assistant: ${errorMessage}`) };
+            }
+            return { action: { ...action, assistant: value } };
+        }
+
+        const { error } = await this.assistantService.findAccessibleAssistant(action.assistant_id, user);
+        return error ? { error } : { action };
+    };
+
+    /**
+     * Rules are evaluated for every inbound call, so users may only write rules for phone numbers assigned to them.
+     * Rules that are not tied to phone numbers are for admins.
+     * @param {Object} conditions
+     * @param {Object} user
+     * @returns {Object|null} error response, or null when the conditions are allowed
+     */
+    checkScope = async (conditions, user) => {
+        if (!user) {
+            return responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied');
+        }
+        if (user.role === 'admin') {
+            return null;
+        }
+
+        const phoneNumberIds = conditions?.phone_number_ids || [];
+        if (phoneNumberIds.length === 0) {
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'conditions.phone_number_ids is required');
+        }
+
+        const assigned = (await this.phoneNumberDao.findByVapiIds(phoneNumberIds))
+            .filter((phoneNumber) => phoneNumber.user_id === user.id)
+            .map((phoneNumber) => phoneNumber.vapi_phone_number_id);
+        const unassigned = phoneNumberIds.filter((phoneNumberId) => !assigned.includes(phoneNumberId));
+        if (unassigned.length > 0) {
+            return responseHandler.returnError(
+                httpStatus.FORBIDDEN,
+                `Phone numbers not assigned to you: ${unassigned.join(', ')}`
+            );
+        }
+        return null;
+    };
+
+    /**
+     * Create a routing rule
+     * @param {Object} ruleBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createRule = async (ruleBody, user) => {
+        try {
+            const scopeError = await this.checkScope(ruleBody.conditions, user);
+            if (scopeError) {
+                return scopeError;
+            }
+
+            const { action, error } = await this.checkAction(ruleBody.action, user);
+            if (error) {
+                return error;
+            }
+
+            const rule = await this.routingRuleDao.create({
+                ...ruleBody,
+                action,
+                uuid: uuidv4(),
+                user_id: user?.id || null
+            });
+
+            if (!rule) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Routing rule creation failed! Please try again.');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Routing rule created successfully!', rule);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get routing rules in evaluation order
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getRules = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const rules = await this.routingRuleDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(rules.count / limit);
+            const pagination = {
+                total: rules.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Routing rules retrieved successfully',
+                {
+                    content: rules.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get routing rule by id
+     * @param {String} id - Rule's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getRuleById = async (id, user) => {
+        try {
+            const { rule, error } = await this.findAccessibleRule(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Routing rule retrieved successfully', rule);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Update a routing rule
+     * @param {String} id - Rule's UUID
+     * @param {Object} updateBody
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateRule = async (id, updateBody, user) => {
+        try {
+            const { error } = await this.findAccessibleRule(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (updateBody.conditions) {
+                const scopeError = await this.checkScope(updateBody.conditions, user);
+                if (scopeError) {
+                    return scopeError;
+                }
+            }
+
+            const changes = { ...updateBody };
+            if (updateBody.action) {
+                const { action, error: actionError } = await this.checkAction(updateBody.action, user);
+                if (actionError) {
+                    return actionError;
+                }
+                changes.action = action;
+            }
+
+            await this.routingRuleDao.updateWhere(changes, { uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Routing rule updated successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete a routing rule
+     * @param {String} id - Rule's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteRule = async (id, user) => {
+        try {
+            const { error } = await this.findAccessibleRule(id, user);
+            if (error) {
+                return error;
+            }
+
+            await this.routingRuleDao.deleteWhere({ uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Routing rule deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * List phone numbers assigned to users; non-admins see their own
+     * @param {Object} query - { page, limit }
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getPhoneNumbers = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const filter = {};
+
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const phoneNumbers = await this.phoneNumberDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(phoneNumbers.count / limit);
+            const pagination = {
+                total: phoneNumbers.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Phone numbers retrieved successfully',
+                {
+                    content: phoneNumbers.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Assign a Vapi phone number to a user, who may then write routing rules for it. Rules the previous
+     * owner wrote for the number are deactivated.
+     * @param {String} phoneNumberId - Vapi phone number id
+     * @param {Number} ownerId - id of the user the number is assigned to
+     * @param {Object} user - Current user, must be an admin
+     * @returns {Object}
+     */
+    assignPhoneNumber = async (phoneNumberId, ownerId, user) => {
+        try {
+            if (!user || user.role !== 'admin') {
+                return responseHandler.returnError(httpStatus.FORBIDDEN, 'Only admins can assign phone numbers');
+            }
+
+            const [current] = await this.phoneNumberDao.findByVapiIds([phoneNumberId]);
+            if (current && current.user_id !== ownerId) {
+                await this.deactivateRulesFor(phoneNumberId, current.user_id);
+            }
+
+            await this.phoneNumberDao.updateOrCreate(
+                { vapi_phone_number_id: phoneNumberId, user_id: ownerId },
+                { vapi_phone_number_id: phoneNumberId }
+            );
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Phone number assigned successfully', {
+                phone_number_id: phoneNumberId,
+                user_id: ownerId
+            });
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Take a Vapi phone number away from its owner and deactivate the rules they wrote for it
+     * @param {String} phoneNumberId - Vapi phone number id
+     * @param {Object} user - Current user, must be an admin
+     * @returns {Object}
+     */
+    unassignPhoneNumber = async (phoneNumberId, user) => {
+        try {
+            if (!user || user.role !== 'admin') {
+                return responseHandler.returnError(httpStatus.FORBIDDEN, 'Only admins can assign phone numbers');
+            }
+
+            const [current] = await this.phoneNumberDao.findByVapiIds([phoneNumberId]);
+            if (!current) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Phone number is not assigned');
+            }
+
+            await this.deactivateRulesFor(phoneNumberId, current.user_id);
+            await this.phoneNumberDao.permanentDeleteByWhere({ vapi_phone_number_id: phoneNumberId });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Phone number unassigned successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Deactivate the rules a user wrote for a phone number they no longer own
+     * @param {String} phoneNumberId - Vapi phone number id
+     * @param {Number} userId
+     */
+    deactivateRulesFor = async (phoneNumberId, userId) => {
+        const ruleIds = (await this.routingRuleDao.findByWhere({ user_id: userId }))
+            .filter((rule) => (rule.conditions?.phone_number_ids || []).includes(phoneNumberId))
+            .map((rule) => rule.id);
+        if (ruleIds.length > 0) {
+            await this.routingRuleDao.updateWhere({ status: 0 }, { id: ruleIds });
+        }
+    };
+
+    /**
+     * Build the assistant-request answer for a matched rule
+     * @param {Object} rule
+     * @param {Object|null} contact - the caller's contact, when known
+     * @param {String|null} callerNumber
+     * @returns {Object|null} { assistantId, assistantOverrides } or { assistant }; null when the assistant is gone
+     */
+    buildAssistantReply = async (rule, contact, callerNumber) => {
+        const variables = buildConversationVariables({
+            customer: {
+                number: callerNumber,
+                ...(contact && { name: contact.name, email: contact.email })
+            },
+            metadata: contact?.metadata || {}
+        });
+
+        // An assistant built on the fly for this caller, in the contact's language when it has that locale
+        if (rule.action.assistant) {
+            const built = toVapiConfig(rule.action.assistant);
+            const { config: localized } = localizeConfig(built, pickLanguage(built, [contact?.preferred_language]));
+            const { result } = renderPlaceholders(localized, variables);
+            return { assistant: result };
+        }
+
+        const assistant = await this.assistantService.resolveAssistant(rule.action.assistant_id);
+        if (!assistant) {
+            logger.warn(`Routing rule ${rule.uuid}: assistant ${rule.action.assistant_id} not found`);
+            return null;
+        }
+        if (assistant.status === 0) {
+            logger.warn(`Routing rule ${rule.uuid}: assistant ${rule.action.assistant_id} is inactive`);
+            return null;
+        }
+
+        const liveConfig = assistant.config || {};
+        const configured = rule.action.overrides ? toVapiUpdate(rule.action.overrides, liveConfig) : liveConfig;
+
+        // Only send what differs from the live assistant, plus the prompt filled in for this caller
+        const overrides = Object.keys(configured)
+            .filter((key) => JSON.stringify(configured[key]) !== JSON.stringify(liveConfig[key]))
+            .reduce((changed, key) => ({ ...changed, [key]: configured[key] }), {});
+        const { overrides: rendered } = resolveAssistantOverrides(configured, variables, {
+            allowMissing: true,
+            language: pickLanguage(configured, [contact?.preferred_language])
+        });
+        Object.assign(overrides, rendered);
+
+        return {
+            assistantId: assistant.vapi_assistant_id,
+            ...(Object.keys(overrides).length > 0 && { assistantOverrides: overrides })
+        };
+    };
+
+    /**
+     * Pick the assistant for an inbound call by walking the active routing rules in priority order
+     * @param {Object} message - Vapi `assistant-request` server message
+     * @returns {Object|null} the answer Vapi expects, null when no rule matched
+     */
+    answerAssistantRequest = async (message) => {
+        const callerNumber = normalizePhoneNumber(message.customer?.number || message.call?.customer?.number);
+        const phoneNumberId = message.phoneNumber?.id || message.call?.phoneNumberId || null;
+        const date = new Date();
+
+        const rules = await this.routingRuleDao.findActiveRules();
+
+        // Contacts belong to the rule owner, look each owner up once
+        const contacts = new Map();
+        const findContact = async (userId) => {
+            if (!callerNumber) {
+                return null;
+            }
+            if (!contacts.has(userId)) {
+                contacts.set(userId, await this.contactDao.findByPhoneNumber(callerNumber, userId));
+            }
+            return contacts.get(userId);
+        };
+
+        // Rules are tried one at a time so contacts are only looked up until a rule matches
+        // eslint-disable-next-line no-restricted-syntax
+        for (const rule of rules) {
+            // eslint-disable-next-line no-await-in-loop
+            const contact = await findContact(rule.user_id);
+
+            if (matchesConditions(rule.conditions, { callerNumber, phoneNumberId, isKnownContact: !!contact, date })) {
+                // eslint-disable-next-line no-await-in-loop
+                const reply = await this.buildAssistantReply(rule, contact, callerNumber);
+                if (reply) {
+                    logger.info(`Inbound call from ${callerNumber || 'unknown'} routed by rule "${rule.name}"`);
+                    return reply;
+                }
+            }
+        }
+
+        return null;
+    };
+}
+
+module.exports = RoutingService;
@@ -0,0 +1,134 @@
+const httpStatus = require('http-status');
+const MessageDao = require('../dao/MessageDao');
+const VoiceMessageDao = require('../dao/VoiceMessageDao');
+const CallDao = require('../dao/CallDao');
+const AssistantDao = require('../dao/AssistantDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const { toBooleanQuery, highlightSnippet } = require('../helper/searchText');
+
+const SEARCH_TYPES = ['message', 'voice', 'call'];
+const NO_MATCHES = { count: 0, rows: [] };
+
+const assistantLink = (assistant) => (assistant ? { id: assistant.vapi_assistant_id, name: assistant.name } : null);
+
+const chatLink = (chat) => (chat ? { id: chat.uuid, name: chat.name, link: `/api/chats/${chat.uuid}/timeline` } : null);
+
+class SearchService {
+    constructor() {
+        this.messageDao = new MessageDao();
+        this.voiceMessageDao = new VoiceMessageDao();
+        this.callDao = new CallDao();
+        this.assistantDao = new AssistantDao();
+    }
+
+    /**
+     * Search the user's chat messages, voice message transcripts and call transcripts at once, best match first
+     * @param {Object} query - q, type, assistant_id, role, date_from, date_to, page, limit
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    search = async (query, user) => {
+        try {
+            const booleanQuery = toBooleanQuery(query.q);
+            if (!booleanQuery) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, '"q" has no words to search for');
+            }
+
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 20;
+
+            const filter = {
+                role: query.role,
+                dateFrom: query.date_from,
+                dateTo: query.date_to
+            };
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.userId = user.id;
+            }
+
+            // Filters use the Vapi assistant id, rows reference the local registry; unknown ids match nothing
+            if (query.assistant_id) {
+                const assistant = await this.assistantDao.findByVapiId(query.assistant_id);
+                filter.assistantId = assistant ? assistant.id : 0;
+            }
+
+            // Call transcripts mix both speakers, so a role filter leaves them out
+            const types = (query.type ? [query.type] : SEARCH_TYPES)
+                .filter((type) => !(type === 'call' && query.role));
+
+            // Every source returns its best matches up to this page, then the merge ranks them together
+            const wanted = page * limit;
+            const [messages, voiceMessages, calls] = await Promise.all([
+                types.includes('message') ? this.messageDao.searchMessages(booleanQuery, filter, wanted) : NO_MATCHES,
+                types.includes('voice') ? this.voiceMessageDao.searchByTranscription(booleanQuery, filter, wanted) : NO_MATCHES,
+                types.includes('call') ? this.callDao.searchCalls(booleanQuery, filter, wanted) : NO_MATCHES
+            ]);
+
+            const results = [
+                ...messages.rows.map((message) => ({
+                    type: 'message',
+                    id: message.uuid,
+                    score: Number(message.get('score')),
+                    at: message.timestamp,
+                    role: message.role,
+                    snippet: highlightSnippet(message.content, query.q),
+                    chat: chatLink(message.chat),
+                    assistant: assistantLink(message.chat.assistant)
+                })),
+                ...voiceMessages.rows.map((voiceMessage) => ({
+                    type: 'voice',
+                    id: voiceMessage.message.uuid,
+                    score: Number(voiceMessage.get('score')),
+                    at: voiceMessage.createdAt,
+                    role: voiceMessage.message.role,
+                    snippet: highlightSnippet(voiceMessage.transcript, query.q),
+                    audio_url: voiceMessage.audio_url,
+                    duration: voiceMessage.duration,
+                    chat: chatLink(voiceMessage.chat),
+                    assistant: assistantLink(voiceMessage.chat.assistant)
+                })),
+                ...calls.rows.map((call) => ({
+                    type: 'call',
+                    id: call.uuid,
+                    score: Number(call.get('score')),
+                    at: call.started_at || call.createdAt,
+                    snippet: highlightSnippet(call.transcript || call.summary, query.q),
+                    summary: call.summary || null,
+                    recording_url: call.recording_url || null,
+                    call: { id: call.uuid, status: call.status, link: `/api/calls/${call.uuid}` },
+                    chat: chatLink(call.chat),
+                    assistant: assistantLink(call.assistant)
+                }))
+            ].sort((a, b) => (b.score - a.score) || (new Date(b.at) - new Date(a.at)));
+
+            const total = messages.count + voiceMessages.count + calls.count;
+            const totalPages = Math.ceil(total / limit);
+            const pagination = {
+                total,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Search results retrieved successfully',
+                {
+                    content: results.slice((page - 1) * limit, wanted),
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+}
+
+module.exports = SearchService;
@@ -1,6 +1,12 @@
 
 const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
 const logger = require('../config/logger');
+const { userFromPayload } = require('../config/passport');
+const ChatDao = require('../dao/ChatDao');
+
+const chatDao = new ChatDao();
 
 class SocketService {
   constructor(server) {
@@ -17,18 +23,11 @@ class SocketService {
   }
 
   initialize() {
+    this.io.use(SocketService.authenticate);
     this.io.on('connection', (socket) => {
       logger.info('New client connected');
 
-      socket.on('join_chat', (chatId) => {
-        socket.join(chatId);
-        logger.info(`Client joined chat room: ${chatId}`);
-      });
-
-      socket.on('leave_chat', (chatId) => {
-        socket.leave(chatId);
-        logger.info(`Client left chat room: ${chatId}`);
-      });
+      SocketService.handleConnection(socket);
 
       socket.on('disconnect', () => {
         logger.info('Client disconnected');
@@ -37,7 +36,81 @@ class SocketService {
   }
 
   sendMessage(chatId, message) {
-    this.io.to(chatId).emit('new_message', message);
+    SocketService.emitToChat(chatId, 'new_message', message);
+  }
+
+  /**
+   * Chat room events for a socket on the server started in index.js
+   * @param {Object} socket
+   */
+  static handleConnection(socket) {
+    socket.on('join_chat', (chatId) => SocketService.joinChat(socket, chatId));
+
+    socket.on('leave_chat', (chatId) => {
+      socket.leave(chatId);
+      logger.info(`Client left chat room: ${chatId}`);
+    });
+  }
+
+  /**
+   * Socket.IO middleware: a connection needs an access token, sent as `auth.token` or an `Authorization: Bearer` header.
+   * The token's user is kept on socket.data.user.
+   * @param {Object} socket
+   * @param {Function} next
+   */
+  static async authenticate(socket, next) {
+    try {
+      const header = socket.handshake.headers.authorization || '';
+      const token = socket.handshake.auth?.token || (header.startsWith('Bearer ') ? header.slice(7) : null);
+      const user = token ? await userFromPayload(jwt.verify(token, config.jwt.secret)) : null;
+      if (!user) {
+        return next(new Error('Please authenticate'));
+      }
+      // eslint-disable-next-line no-param-reassign
+      socket.data.user = user;
+      return next();
+    } catch (error) {
+      return next(new Error('Please authenticate'));
+    }
+  }
+
+  /**
+   * Put a socket in a chat room when its user may read the chat; otherwise answer with join_error
+   * @param {Object} socket - authenticated by SocketService.authenticate
+   * @param {String} chatId - Chat's UUID
+   */
+  static async joinChat(socket, chatId) {
+    try {
+      const { user } = socket.data;
+      const chat = typeof chatId === 'string' ? await chatDao.findOneByWhere({ uuid: chatId }) : null;
+      if (!chat) {
+        socket.emit('join_error', { chat_id: chatId, message: 'Chat not found' });
+        return;
+      }
+      if (!user || (user.role !== 'admin' && chat.user_id !== user.id)) {
+        socket.emit('join_error', { chat_id: chatId, message: 'Access denied' });
+        return;
+      }
+
+      socket.join(chatId);
+      logger.info(`Client joined chat room: ${chatId}`);
+    } catch (error) {
+      logger.error(error);
+      socket.emit('join_error', { chat_id: chatId, message: 'Something went wrong!' });
+    }
+  }
+
+  /**
+   * Emit an event to everyone in a chat room; a no-op when no socket server runs (scripts, jobs)
+   * @param {String} chatId - Chat's UUID, the room clients join with join_chat
+   * @param {String} event
+   * @param {Object} payload
+   */
+  static emitToChat(chatId, event, payload) {
+    const io = global.io || SocketService.instance?.io;
+    if (io) {
+      io.to(chatId).emit(event, payload);
+    }
   }
 
   static getInstance(server) {
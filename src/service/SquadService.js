@@ -0,0 +1,295 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const SquadDao = require('../dao/SquadDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const AssistantService = require('./AssistantService');
+const VapiService = require('./VapiService');
+const { memberName, toVapiSquad } = require('../helper/squadConfig');
+const { resolveAssistantOverrides } = require('../helper/conversationVariables');
+const { pickLanguage } = require('../helper/assistantLocale');
+
+class SquadService {
+    constructor() {
+        this.squadDao = new SquadDao();
+        this.assistantService = new AssistantService();
+        this.vapiService = new VapiService();
+    }
+
+    /**
+     * Load a squad and check that the user may access it
+     * @param {String} id - Squad's UUID
+     * @param {Object} user - Current user
+     * @returns {Object} { squad } or { error } holding a response
+     */
+    findAccessibleSquad = async (id, user) => {
+        const squad = await this.squadDao.findOneByWhere({ uuid: id });
+
+        if (!squad) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Squad not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && squad.user_id !== user.id)) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { squad };
+    };
+
+    /**
+     * Check that the user may use every member assistant, that each is active and that handoffs stay inside the squad
+     * @param {Array} members - [{ assistant_id, destinations: [{ assistant_id }] }]
+     * @param {Object} user - Current user
+     * @returns {Object} { assistants } registry rows by Vapi id, or { error } holding a response
+     */
+    checkMembers = async (members, user) => {
+        const checks = await Promise.all(members.map((member) => this.assistantService.findUsableAssistant(member.assistant_id, user)));
+        const failed = checks.findIndex((check) => check.error);
+        if (failed !== -1) {
+            const { error } = checks[failed];
+            return {
+                error: responseHandler.returnError(
+                    error.statusCode,
+                    `Member ${members[failed].assistant_id}: ${error.response.message}`
+                )
+            };
+        }
+        const assistants = new Map(members.map((member, index) => [member.assistant_id, checks[index].assistant]));
+
+        // Vapi hands off by assistant name, so names must tell the members apart
+        const names = [...assistants.values()].map(memberName);
+        if (new Set(names).size !== names.length) {
+            return { error: responseHandler.returnError(httpStatus.BAD_REQUEST, 'Squad members must have different assistant names') };
+        }
+
+        const strays = members.map((member) => (member.destinations || []).find((destination) => (
+            !assistants.has(destination.assistant_id) || destination.assistant_id === member.assistant_id
+        )));
+        const strayIndex = strays.findIndex(Boolean);
+        if (strayIndex !== -1) {
+            return {
+                error: responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Member ${members[strayIndex].assistant_id} hands off to ${strays[strayIndex].assistant_id}, which is not another member of the squad`
+                )
+            };
+        }
+
+        return { assistants };
+    };
+
+    /**
+     * Create a squad in Vapi and keep it locally
+     * @param {Object} squadBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createSquad = async (squadBody, user) => {
+        try {
+            const { assistants, error } = await this.checkMembers(squadBody.members, user);
+            if (error) {
+                return error;
+            }
+
+            const vapiSquad = await this.vapiService.createSquad(toVapiSquad(squadBody, assistants));
+
+            const squad = await this.squadDao.create({
+                ...squadBody,
+                uuid: uuidv4(),
+                vapi_squad_id: vapiSquad.id,
+                user_id: user?.id || null
+            });
+
+            if (!squad) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Squad creation failed! Please try again.');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Squad created successfully!', squad);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get squads with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getSquads = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            // Add user filter if not admin
+            if (user && user.role !== 'admin') {
+                filter.user_id = user.id;
+            }
+
+            const squads = await this.squadDao.findWithPagination(page, limit, filter);
+
+            const totalPages = Math.ceil(squads.count / limit);
+            const pagination = {
+                total: squads.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Squads retrieved successfully',
+                {
+                    content: squads.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get squad by id
+     * @param {String} id - Squad's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getSquadById = async (id, user) => {
+        try {
+            const { squad, error } = await this.findAccessibleSquad(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Squad retrieved successfully', squad);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Update a squad locally and in Vapi
+     * @param {String} id - Squad's UUID
+     * @param {Object} updateBody
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateSquad = async (id, updateBody, user) => {
+        try {
+            const { squad, error } = await this.findAccessibleSquad(id, user);
+            if (error) {
+                return error;
+            }
+
+            if (updateBody.name || updateBody.members) {
+                const updated = {
+                    name: updateBody.name || squad.name,
+                    members: updateBody.members || squad.members
+                };
+                const { assistants, error: memberError } = await this.checkMembers(updated.members, user);
+                if (memberError) {
+                    return memberError;
+                }
+
+                await this.vapiService.updateSquad(squad.vapi_squad_id, toVapiSquad(updated, assistants));
+            }
+
+            await this.squadDao.updateWhere(updateBody, { uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Squad updated successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete a squad
+     * @param {String} id - Squad's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteSquad = async (id, user) => {
+        try {
+            const { squad, error } = await this.findAccessibleSquad(id, user);
+            if (error) {
+                return error;
+            }
+
+            try {
+                await this.vapiService.deleteSquad(squad.vapi_squad_id);
+            } catch (vapiError) {
+                logger.warn(`Squad ${squad.vapi_squad_id} could not be deleted in Vapi: ${vapiError.message}`);
+            }
+
+            await this.squadDao.deleteWhere({ uuid: id });
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Squad deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Work out what a call on a squad sends to Vapi. Members with prompt placeholders or a locale variant
+     * need the squad sent inline, with each member's prompt filled in for this call.
+     * @param {String} id - Squad's UUID
+     * @param {Object} variables - from buildConversationVariables
+     * @param {Object} conversation - { language, customer } used to pick the call's language
+     * @param {Object} user - Current user
+     * @returns {Object} { squad, assistant, language, target } where assistant is the first member's registry row
+     *                   and target holds squadId or squad; or { error } holding a response
+     */
+    resolveSquadCall = async (id, variables, conversation, user) => {
+        const { squad, error } = await this.findAccessibleSquad(id, user);
+        if (error) {
+            return { error };
+        }
+
+        const { assistants, error: memberError } = await this.checkMembers(squad.members, user);
+        if (memberError) {
+            return { error: memberError };
+        }
+
+        // The first member answers, so it settles the language; members without that locale keep their own
+        const assistant = assistants.get(squad.members[0].assistant_id);
+        const { language, error: languageError } = await this.assistantService.pickConversationLanguage(assistant, conversation, user);
+        if (languageError) {
+            return { error: languageError };
+        }
+
+        const resolved = squad.members.map((member) => {
+            const memberConfig = assistants.get(member.assistant_id).config;
+            return resolveAssistantOverrides(memberConfig, variables, { language: pickLanguage(memberConfig, [language]) });
+        });
+        const missing = [...new Set(resolved.flatMap((result) => result.missing))];
+        if (missing.length > 0) {
+            return {
+                error: responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Missing prompt variables: ${missing.join(', ')}`,
+                    { missing }
+                )
+            };
+        }
+
+        const memberOverrides = resolved.map((result) => result.overrides);
+        const target = memberOverrides.some(Boolean)
+            ? { squad: toVapiSquad(squad, assistants, memberOverrides) }
+            : { squadId: squad.vapi_squad_id };
+
+        return { squad, assistant, language, target };
+    };
+}
+
+module.exports = SquadService;
@@ -0,0 +1,266 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const ToolDao = require('../dao/ToolDao');
+const AssistantDao = require('../dao/AssistantDao');
+
+const responseHandler = require('../helper/responseHandler');
+const logger = require('../config/logger');
+const AssistantService = require('./AssistantService');
+const { runToolHandler } = require('../helper/toolHandlers');
+
+// Fields that end up in the Vapi tool definition
+const DEFINITION_FIELDS = ['name', 'description', 'parameters', 'is_async'];
+
+/**
+ * Vapi sends function arguments either parsed or as a JSON string
+ * @param {Object|String} args
+ * @returns {Object}
+ */
+const parseArguments = (args) => {
+    if (!args) {
+        return {};
+    }
+    if (typeof args === 'string') {
+        try {
+            return JSON.parse(args);
+        } catch (e) {
+            return {};
+        }
+    }
+    return args;
+};
+
+class ToolService {
+    constructor() {
+        this.toolDao = new ToolDao();
+        this.assistantDao = new AssistantDao();
+        this.assistantService = new AssistantService();
+    }
+
+    /**
+     * Load a tool and check that the user may access it
+     * @param {String} id - Tool's UUID
+     * @param {Object} user - Current user
+     * @param {Boolean} forWrite - shared tools (no owner) can only be changed by admins
+     * @returns {Object} { tool } or { error } holding a response
+     */
+    findAccessibleTool = async (id, user, forWrite = false) => {
+        const tool = await this.toolDao.findOneByWhere({ uuid: id });
+
+        if (!tool) {
+            return { error: responseHandler.returnError(httpStatus.NOT_FOUND, 'Tool not found') };
+        }
+
+        // Check user permissions
+        if (!user || (user.role !== 'admin' && (tool.user_id ? tool.user_id !== user.id : forWrite))) {
+            return { error: responseHandler.returnError(httpStatus.FORBIDDEN, 'Access denied') };
+        }
+
+        return { tool };
+    };
+
+    /**
+     * Push a tool change to every assistant that has the tool
+     * @param {String} previousName - name the assistants know the tool by
+     * @param {Object|null} tool - updated tool, null when the tool was removed
+     * @param {Object} user
+     */
+    syncAssistantsUsingTool = async (previousName, tool, user) => {
+        const assistants = await this.assistantDao.findUsingTool(previousName);
+        const changeNote = tool ? `Tool "${previousName}" updated` : `Tool "${previousName}" removed`;
+
+        await Promise.all(assistants.map(async (assistant) => {
+            try {
+                await this.assistantService.applyTools(assistant.vapi_assistant_id, tool ? [tool] : [], [previousName], user, changeNote);
+            } catch (error) {
+                logger.error(`Tool sync to assistant ${assistant.vapi_assistant_id} failed:`, error.message);
+            }
+        }));
+    };
+
+    /**
+     * Create a tool
+     * @param {Object} toolBody
+     * @param {Object} user
+     * @returns {Object}
+     */
+    createTool = async (toolBody, user) => {
+        try {
+            const existing = await this.toolDao.findByName(toolBody.name);
+            if (existing) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, `Tool name "${toolBody.name}" is already in use`);
+            }
+
+            const tool = await this.toolDao.create({
+                ...toolBody,
+                uuid: uuidv4(),
+                user_id: user?.id || null
+            });
+
+            if (!tool) {
+                return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Tool creation failed! Please try again.');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.CREATED, 'Tool created successfully!', tool);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get tools with pagination
+     * @param {Object} query - Query parameters for filtering and pagination
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getTools = async (query, user) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+            const { page: _, limit: __, ...filter } = query;
+
+            const ownerId = user && user.role !== 'admin' ? user.id : null;
+            const tools = await this.toolDao.findWithPagination(page, limit, filter, ownerId);
+
+            const totalPages = Math.ceil(tools.count / limit);
+            const pagination = {
+                total: tools.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Tools retrieved successfully',
+                {
+                    content: tools.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get tool by id
+     * @param {String} id - Tool's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    getToolById = async (id, user) => {
+        try {
+            const { tool, error } = await this.findAccessibleTool(id, user);
+            if (error) {
+                return error;
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Tool retrieved successfully', tool);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Update a tool and refresh its definition on the assistants that have it
+     * @param {String} id - Tool's UUID
+     * @param {Object} updateBody
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    updateTool = async (id, updateBody, user) => {
+        try {
+            const { tool, error } = await this.findAccessibleTool(id, user, true);
+            if (error) {
+                return error;
+            }
+
+            if (updateBody.name && updateBody.name !== tool.name) {
+                const existing = await this.toolDao.findByName(updateBody.name);
+                if (existing) {
+                    return responseHandler.returnError(httpStatus.BAD_REQUEST, `Tool name "${updateBody.name}" is already in use`);
+                }
+            }
+
+            await this.toolDao.updateWhere(updateBody, { uuid: id });
+
+            if (DEFINITION_FIELDS.some((field) => updateBody[field] !== undefined)) {
+                const updated = await this.toolDao.findOneByWhere({ uuid: id });
+                await this.syncAssistantsUsingTool(tool.name, updated, user);
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Tool updated successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Delete a tool and take it off the assistants that have it
+     * @param {String} id - Tool's UUID
+     * @param {Object} user - Current user
+     * @returns {Object}
+     */
+    deleteTool = async (id, user) => {
+        try {
+            const { tool, error } = await this.findAccessibleTool(id, user, true);
+            if (error) {
+                return error;
+            }
+
+            await this.toolDao.deleteWhere({ uuid: id });
+            await this.syncAssistantsUsingTool(tool.name, null, user);
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Tool deleted successfully', {});
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Run the tool calls of a Vapi `tool-calls` server message
+     * @param {Object} message - Vapi server message
+     * @returns {Array} [{ toolCallId, result }] or [{ toolCallId, error }], in the order of the calls
+     */
+    runToolCalls = async (message) => {
+        const vapiAssistantId = message.call?.assistantId || message.assistant?.id;
+        const assistant = vapiAssistantId ? await this.assistantDao.findByVapiId(vapiAssistantId) : null;
+        const context = {
+            callId: message.call?.id || null,
+            chatId: message.chat?.id || null,
+            assistant
+        };
+
+        return Promise.all((message.toolCallList || []).map(async (toolCall) => {
+            const name = toolCall.function?.name;
+            try {
+                const tool = await this.toolDao.findByName(name);
+                if (!tool || tool.status !== 1) {
+                    return { toolCallId: toolCall.id, error: `Tool "${name}" is not available` };
+                }
+
+                // An owned tool only runs for its owner's assistants
+                if (tool.user_id && (!assistant || assistant.user_id !== tool.user_id)) {
+                    logger.warn(`Tool "${name}" called by assistant ${vapiAssistantId} it does not belong to`);
+                    return { toolCallId: toolCall.id, error: `Tool "${name}" is not available` };
+                }
+
+                const result = await runToolHandler(tool, parseArguments(toolCall.function.arguments), context);
+                return { toolCallId: toolCall.id, result };
+            } catch (error) {
+                logger.error(`Tool "${name}" failed:`, error.message);
+                return { toolCallId: toolCall.id, error: `Tool "${name}" failed: ${error.message}` };
+            }
+        }));
+    };
+}
+
+module.exports = ToolService;
@@ -1,6 +1,7 @@
 const axios = require('axios');
 const logger = require('../config/logger');
 const config = require('../config/config');
+const { readEventStream } = require('../helper/eventStream');
 
 class VapiService {
     constructor() {
@@ -86,6 +87,70 @@ class VapiService {
         }
     }
 
+    /**
+     * Create squad in Vapi
+     * @param {Object} squadConfig
+     * @returns {Object}
+     */
+    async createSquad(squadConfig) {
+        try {
+            const response = await this.client.post('/squad', squadConfig);
+            logger.info(`Vapi squad created: ${response.data.id}`);
+            return response.data;
+        } catch (error) {
+            logger.error('Failed to create Vapi squad:', error.response?.data || error.message);
+            throw new Error(`Vapi squad creation failed: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Get squad from Vapi
+     * @param {String} squadId
+     * @returns {Object}
+     */
+    async getSquad(squadId) {
+        try {
+            const response = await this.client.get(`/squad/${squadId}`);
+            return response.data;
+        } catch (error) {
+            logger.error(`Failed to get Vapi squad ${squadId}:`, error.response?.data || error.message);
+            throw new Error(`Failed to get squad: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Update squad in Vapi
+     * @param {String} squadId
+     * @param {Object} updateConfig
+     * @returns {Object}
+     */
+    async updateSquad(squadId, updateConfig) {
+        try {
+            const response = await this.client.patch(`/squad/${squadId}`, updateConfig);
+            logger.info(`Vapi squad updated: ${squadId}`);
+            return response.data;
+        } catch (error) {
+            logger.error(`Failed to update Vapi squad ${squadId}:`, error.response?.data || error.message);
+            throw new Error(`Vapi squad update failed: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Delete squad from Vapi
+     * @param {String} squadId
+     * @returns {Boolean}
+     */
+    async deleteSquad(squadId) {
+        try {
+            await this.client.delete(`/squad/${squadId}`);
+            logger.info(`Vapi squad deleted: ${squadId}`);
+            return true;
+        } catch (error) {
+            logger.error(`Failed to delete Vapi squad ${squadId}:`, error.response?.data || error.message);
+            throw new Error(`Vapi squad deletion failed: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
     /**
      * Create chat in Vapi
      * @param {Object} chatConfig
@@ -227,6 +292,65 @@ class VapiService {
         }
     }
 
+    /**
+     * Send message to chat and stream the reply. Vapi sends server-sent events whose `delta` holds the next piece
+     * of the reply; an event holding `output` is the finished chat.
+     * @param {String} chatId
+     * @param {Object} message
+     * @param {Function} onDelta - called with each piece of reply text as it arrives
+     * @returns {Object} the finished chat, or { output: [{ role: 'assistant', content }] } built from the deltas
+     */
+    async streamMessage(chatId, message, onDelta) {
+        try {
+            const response = await this.client.post(
+                `/chat/${chatId}/message`,
+                { ...message, stream: true },
+                { responseType: 'stream', headers: { Accept: 'text/event-stream' } }
+            );
+
+            let text = '';
+            let finished = null;
+
+            // Without streaming support the whole chat comes back at once; relay its reply as a single delta
+            if (!String(response.headers['content-type'] || '').includes('text/event-stream')) {
+                const chunks = [];
+                await new Promise((resolve, reject) => {
+                    response.data.on('data', (chunk) => chunks.push(chunk));
+                    response.data.on('end', resolve);
+                    response.data.on('error', reject);
+                });
+                const chat = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                const reply = (chat.output || [])
+                    .filter((output) => output.role === 'assistant' && typeof output.content === 'string')
+                    .map((output) => output.content)
+                    .join('');
+                if (reply) {
+                    onDelta(reply);
+                }
+                return chat;
+            }
+
+            await readEventStream(response.data, (event) => {
+                if (event?.error) {
+                    throw new Error(event.error.message || event.error);
+                }
+                if (typeof event?.delta === 'string' && event.delta !== '') {
+                    text += event.delta;
+                    onDelta(event.delta);
+                }
+                if (Array.isArray(event?.output)) {
+                    finished = event;
+                }
+            });
+
+            logger.info(`Message streamed to Vapi chat: ${chatId}`);
+            return finished || { output: [{ role: 'assistant', content: text }] };
+        } catch (error) {
+            logger.error(`Failed to stream message to Vapi chat ${chatId}:`, error.response?.data || error.message);
+            throw new Error(`Vapi stream message failed: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
     /**
      * Send voice message to chat
      * @param {String} chatId
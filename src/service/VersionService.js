@@ -0,0 +1,254 @@
+const httpStatus = require('http-status');
+const { v4: uuidv4 } = require('uuid');
+const VersionDao = require('../dao/VersionDao');
+
+const responseHandler = require('../helper/responseHandler');
+const { diffConfigs } = require('../helper/configDiff');
+const logger = require('../config/logger');
+
+// Extra tries when another save takes the version number first
+const RECORD_RETRIES = 2;
+
+class VersionService {
+    constructor() {
+        this.versionDao = new VersionDao();
+    }
+
+    /**
+     * Store a new version of an assistant or flow config, diffed against the previous version
+     * @param {String} entityType - 'assistant' or 'flow'
+     * @param {String} entityId - Vapi assistant id or flow uuid
+     * @param {Object} versionConfig - Full config of the new version
+     * @param {Object} user - User making the change
+     * @param {Object} options - { status, changeNote }
+     * @returns {Object} created version
+     * @throws {Error} when the version cannot be saved
+     */
+    recordVersion = async (entityType, entityId, versionConfig, user, options = {}) => {
+        const status = options.status || 'draft';
+
+        // Saves racing for the same version number hit the unique index; the loser retries with the next number
+        const create = async (attemptsLeft) => {
+            const latest = await this.versionDao.findLatest(entityType, entityId);
+            const created = await this.versionDao.create({
+                uuid: uuidv4(),
+                entity_type: entityType,
+                entity_id: entityId,
+                version: latest ? latest.version + 1 : 1,
+                status,
+                config: versionConfig,
+                diff: diffConfigs(latest ? latest.config : {}, versionConfig),
+                change_note: options.changeNote || null,
+                created_by: user?.id || null,
+                published_by: status === 'published' ? user?.id || null : null,
+                published_at: status === 'published' ? new Date() : null
+            });
+            return created || attemptsLeft === 0 ? created : create(attemptsLeft - 1);
+        };
+
+        const version = await create(RECORD_RETRIES);
+        if (!version) {
+            throw new Error(`${entityType} version could not be saved`);
+        }
+
+        if (status === 'published') {
+            await this.versionDao.supersedePublished(entityType, entityId, version.id);
+        }
+
+        return version;
+    };
+
+    /**
+     * Get the newest version of an entity
+     * @param {String} entityType
+     * @param {String} entityId
+     * @returns {Object|null}
+     */
+    getLatestVersion = async (entityType, entityId) => {
+        return this.versionDao.findLatest(entityType, entityId);
+    };
+
+    /**
+     * Get the version that is currently live
+     * @param {String} entityType
+     * @param {String} entityId
+     * @returns {Object|null}
+     */
+    getPublishedVersion = async (entityType, entityId) => {
+        return this.versionDao.findPublished(entityType, entityId);
+    };
+
+    /**
+     * Mark a version as the live one
+     * @param {Object} version
+     * @param {Object} user
+     * @returns {Object}
+     */
+    markPublished = async (version, user) => {
+        await this.versionDao.updateById(
+            {
+                status: 'published',
+                published_by: user?.id || null,
+                published_at: new Date()
+            },
+            version.id
+        );
+        await this.versionDao.supersedePublished(version.entity_type, version.entity_id, version.id);
+    };
+
+    /**
+     * List versions of an entity
+     * @param {String} entityType
+     * @param {String} entityId
+     * @param {Object} query - { page, limit }
+     * @returns {Object}
+     */
+    getVersions = async (entityType, entityId, query = {}) => {
+        try {
+            const page = parseInt(query.page, 10) || 1;
+            const limit = parseInt(query.limit, 10) || 10;
+
+            const versions = await this.versionDao.findWithPagination(entityType, entityId, page, limit);
+
+            const totalPages = Math.ceil(versions.count / limit);
+            const pagination = {
+                total: versions.count,
+                current_page: page,
+                per_page: limit,
+                total_pages: totalPages,
+                has_next_page: page < totalPages,
+                has_prev_page: page > 1
+            };
+
+            return responseHandler.returnSuccess(
+                httpStatus.OK,
+                'Versions retrieved successfully',
+                {
+                    content: versions.rows,
+                    pagination
+                }
+            );
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Get a single version with its full config
+     * @param {String} entityType
+     * @param {String} entityId
+     * @param {Number} versionNumber
+     * @returns {Object}
+     */
+    getVersion = async (entityType, entityId, versionNumber) => {
+        try {
+            const version = await this.versionDao.findByVersion(entityType, entityId, versionNumber);
+
+            if (!version) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Version not found');
+            }
+
+            return responseHandler.returnSuccess(httpStatus.OK, 'Version retrieved successfully', version);
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Push a stored version live
+     * @param {String} entityType
+     * @param {String} entityId
+     * @param {Number} versionNumber
+     * @param {Object} user
+     * @param {Function} publisher - async (config) => pushes the config to Vapi
+     * @param {Function|null} prepare - async (config) => the config to push; when it differs from the stored
+     * config, what was pushed is recorded as a new published version and the stored one is left as it is
+     * @returns {Object}
+     */
+    publishVersion = async (entityType, entityId, versionNumber, user, publisher, prepare = null) => {
+        try {
+            const version = await this.versionDao.findByVersion(entityType, entityId, versionNumber);
+
+            if (!version) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Version not found');
+            }
+
+            try {
+                const config = prepare ? await prepare(version.config) : version.config;
+                const published = await publisher(config);
+
+                let live = version;
+                if (config === version.config) {
+                    await this.markPublished(version, user);
+                } else {
+                    live = await this.recordVersion(entityType, entityId, config, user, {
+                        status: 'published',
+                        changeNote: `Version ${version.version} as published`
+                    });
+                }
+
+                return responseHandler.returnSuccess(httpStatus.OK, `Version ${version.version} published successfully`, {
+                    version: live.version,
+                    published
+                });
+            } catch (error) {
+                logger.error('Version publish failed:', error);
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Failed to publish version: ${error.message || 'Unknown error'}`
+                );
+            }
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+
+    /**
+     * Re-publish an earlier version. Once it is live, the old config is copied into a new version so history
+     * stays linear; a rollback that fails to publish leaves no version behind.
+     * @param {String} entityType
+     * @param {String} entityId
+     * @param {Number} versionNumber - version to roll back to
+     * @param {Object} user
+     * @param {Function} publisher - async (config) => pushes the config to Vapi
+     * @param {Function|null} prepare - async (config) => the config to push, see publishVersion
+     * @returns {Object}
+     */
+    rollbackToVersion = async (entityType, entityId, versionNumber, user, publisher, prepare = null) => {
+        try {
+            const target = await this.versionDao.findByVersion(entityType, entityId, versionNumber);
+
+            if (!target) {
+                return responseHandler.returnError(httpStatus.NOT_FOUND, 'Version not found');
+            }
+
+            try {
+                const config = prepare ? await prepare(target.config) : target.config;
+                const published = await publisher(config);
+                const rollback = await this.recordVersion(entityType, entityId, config, user, {
+                    status: 'published',
+                    changeNote: `Rollback to version ${target.version}`
+                });
+
+                return responseHandler.returnSuccess(httpStatus.OK, `Rolled back to version ${target.version}`, {
+                    version: rollback.version,
+                    published
+                });
+            } catch (error) {
+                logger.error('Version rollback failed:', error);
+                return responseHandler.returnError(
+                    httpStatus.BAD_REQUEST,
+                    `Failed to roll back: ${error.message || 'Unknown error'}`
+                );
+            }
+        } catch (e) {
+            logger.error(e);
+            return responseHandler.returnError(httpStatus.BAD_REQUEST, 'Something went wrong!');
+        }
+    };
+}
+
+module.exports = VersionService;
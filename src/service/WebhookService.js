@@ -2,6 +2,8 @@ const logger = require('../config/logger');
 const CallService = require('./CallService');
 const ChatService = require('./ChatService');
 const AssistantService = require('./AssistantService');
+const ToolService = require('./ToolService');
+const RoutingService = require('./RoutingService');
 const VapiService = require('./VapiService');
 const config = require('../config/config');
 
@@ -10,6 +12,8 @@ class WebhookService {
         this.callService = new CallService();
         this.chatService = new ChatService();
         this.assistantService = new AssistantService();
+        this.toolService = new ToolService();
+        this.routingService = new RoutingService();
         this.vapiService = new VapiService();
     }
 
@@ -21,13 +25,14 @@ class WebhookService {
      */
     async handleVapiWebhook(webhookData, headers = {}) {
         try {
-            // Basic validation
-            if (!webhookData || !webhookData.type) {
+            // Basic validation; Vapi server messages carry their type in message.type
+            if (!webhookData || !(webhookData.type || webhookData.message?.type)) {
                 logger.warn('Invalid webhook data received');
                 return { success: false, error: 'Invalid data' };
             }
 
-            const { type, call, chat, assistant, message } = webhookData;
+            const { call, chat, assistant, message } = webhookData;
+            const type = webhookData.type || message.type;
 
             logger.info(`Processing Vapi webhook: ${type}`, {
                 callId: call?.id,
@@ -52,14 +57,16 @@ class WebhookService {
             }
 
             let result;
-            if (webhookData.call) {
+            if (message?.type === 'tool-calls') {
+                result = await this.handleToolCallsWebhook(webhookData, headers);
+            } else if (message?.type === 'assistant-request' || webhookData.assistant) {
+                result = await this.handleAssistantWebhook(webhookData, headers);
+            } else if (webhookData.call || message?.call) {
                 result = await this.handleCallWebhook(webhookData);
             } else if (webhookData.chat) {
                 result = await this.handleChatWebhook(webhookData);
-            } else if (webhookData.assistant) {
-                result = await this.handleAssistantWebhook(webhookData);
             } else {
-                logger.warn(`Unknown webhook type: ${webhookData.type}`);
+                logger.warn(`Unknown webhook type: ${type}`);
                 return { success: false, error: 'Unknown webhook type' };
             }
 
@@ -78,7 +85,7 @@ class WebhookService {
      */
     async handleCallWebhook(webhookData) {
         try {
-            const vapiCallId = webhookData.call?.id;
+            const vapiCallId = webhookData.call?.id || webhookData.message?.call?.id;
             if (!vapiCallId) {
                 return { success: false, error: 'Missing call ID' };
             }
@@ -128,15 +135,73 @@ class WebhookService {
         }
     }
 
+    /**
+     * Whether a server message carries the configured server secret. Without VAPI_WEBHOOK_SECRET nothing does,
+     * as anyone could then run tools or answer calls.
+     * @param {Object} headers
+     * @returns {Boolean}
+     */
+    hasServerSecret(headers = {}) {
+        if (!config.vapi.webhookSecret) {
+            logger.warn('VAPI_WEBHOOK_SECRET is not set, server messages that need it are refused');
+            return false;
+        }
+        return headers['x-vapi-secret'] === config.vapi.webhookSecret;
+    }
+
+    /**
+     * Run the tool calls of a Vapi `tool-calls` message through the tool registry
+     * @param {Object} webhookData
+     * @param {Object} headers
+     * @returns {Object} { success, reply } where reply holds the results Vapi expects back
+     */
+    async handleToolCallsWebhook(webhookData, headers = {}) {
+        try {
+            // Tools act on real data, so calls must carry the server secret set on the tool
+            if (!this.hasServerSecret(headers)) {
+                logger.warn('Tool calls rejected: missing or wrong x-vapi-secret');
+                return { success: false, error: 'Invalid secret' };
+            }
+
+            const results = await this.toolService.runToolCalls(webhookData.message);
+
+            return { success: true, reply: { results } };
+        } catch (error) {
+            logger.error('Tool calls webhook handler failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Handle assistant-specific webhooks
      * @param {Object} webhookData
      * @param {Object} headers
      * @returns {Object}
      */
-    async handleAssistantWebhook(webhookData) {
+    async handleAssistantWebhook(webhookData, headers = {}) {
         try {
-            // Placeholder for assistant webhook logic
+            const { message } = webhookData;
+
+            // Inbound calls ask which assistant should answer; routing rules decide
+            if (message?.type === 'assistant-request') {
+                if (!this.hasServerSecret(headers)) {
+                    logger.warn('Assistant request rejected: missing or wrong x-vapi-secret');
+                    return { success: false, error: 'Invalid secret' };
+                }
+
+                const reply = await this.routingService.answerAssistantRequest(message);
+                if (!reply) {
+                    logger.warn('Assistant request: no routing rule matched');
+                    return {
+                        success: false,
+                        error: 'No routing rule matched',
+                        reply: { error: 'Sorry, no one is available to take your call right now.' }
+                    };
+                }
+
+                return { success: true, reply };
+            }
+
             logger.info('Assistant webhook handled:', webhookData);
             return { success: true };
         } catch (error) {
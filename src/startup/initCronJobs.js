@@ -0,0 +1,62 @@
+const cron = require('node-cron');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const AssistantService = require('../service/AssistantService');
+
+/**
+ * Periodically mirror Vapi assistants into the local registry so reads do not have to hit Vapi
+ */
+const initializeAssistantSyncCronJob = () => {
+    const assistantService = new AssistantService();
+    let running = false;
+
+    cron.schedule(config.vapi.assistantSyncCron, async () => {
+        // Skip a tick rather than overlap with a slow previous sync
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const { synced, removed } = await assistantService.syncAssistants();
+            logger.info(`Assistant sync finished: ${synced} synced, ${removed} removed`);
+        } catch (e) {
+            logger.error('Assistant sync failed:', e);
+        } finally {
+            running = false;
+        }
+    });
+
+    logger.info(`Assistant sync scheduled (${config.vapi.assistantSyncCron})`);
+};
+
+/**
+ * Periodically compare published assistant versions with Vapi to catch edits made in the Vapi dashboard
+ */
+const initializeAssistantDriftCronJob = () => {
+    const assistantService = new AssistantService();
+    let running = false;
+
+    cron.schedule(config.vapi.driftCheckCron, async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            const { in_sync: inSync, drifted, unknown } = await assistantService.checkDrift();
+            logger.info(`Assistant drift check finished: ${inSync} in sync, ${drifted} drifted, ${unknown} unknown`);
+        } catch (e) {
+            logger.error('Assistant drift check failed:', e);
+        } finally {
+            running = false;
+        }
+    });
+
+    logger.info(`Assistant drift check scheduled (${config.vapi.driftCheckCron})`);
+};
+
+module.exports = {
+    initializeAssistantSyncCronJob,
+    initializeAssistantDriftCronJob,
+};
@@ -0,0 +1,150 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+
+const variableSchema = Joi.object({
+    name: Joi.string().pattern(/^[A-Za-z_][\w.]*$/).max(100).required(),
+    label: Joi.string().allow('', null).max(255),
+    description: Joi.string().allow('', null).max(1000),
+    required: Joi.boolean().default(true),
+    default: Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean()).allow(null)
+});
+
+// Template bodies hold placeholders, so only the shape is checked here; the rendered
+// body is validated against the assistant schema on instantiate
+const templateBodySchema = Joi.object({
+    name: Joi.string().required().max(255),
+    system_prompt: Joi.string().required().max(10000)
+}).unknown(true);
+
+class AssistantTemplateValidator {
+    async templateCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            key: Joi.string().pattern(/^[a-z0-9-]+$/).max(100),
+            name: Joi.string().required().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            category: Joi.string().allow('', null).max(50),
+            body: templateBodySchema.required(),
+            variables: Joi.array().items(variableSchema).max(50).default([]),
+            status: Joi.number().integer().valid(0, 1).default(1)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async templateUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            key: Joi.string().pattern(/^[a-z0-9-]+$/).max(100),
+            name: Joi.string().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            category: Joi.string().allow('', null).max(50),
+            body: templateBodySchema,
+            variables: Joi.array().items(variableSchema).max(50),
+            status: Joi.number().integer().valid(0, 1)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async instantiateValidator(req, res, next) {
+        const schema = Joi.object({
+            variables: Joi.object().pattern(
+                Joi.string(),
+                Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean()).allow(null)
+            ).default({}),
+            // Assistant fields applied on top of the rendered template, e.g. { name, voice_id }
+            overrides: Joi.object().default({})
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().min(1).max(100),
+            category: Joi.string().max(50),
+            status: Joi.number().integer().valid(0, 1),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = AssistantTemplateValidator;
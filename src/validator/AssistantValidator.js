@@ -1,43 +1,105 @@
 const Joi = require('joi');
 const httpStatus = require('http-status');
 const ApiError = require('../helper/ApiError');
+const { BUNDLE_KIND, BUNDLE_VERSION, parseBundle } = require('../helper/assistantBundle');
+
+// Per-language variant of an assistant, applied when a chat or call runs in that language
+const localeSchema = Joi.object({
+    language: Joi.string().max(10).required(),
+    prompt_addendum: Joi.string().allow('', null).max(5000),
+    first_message: Joi.string().allow('', null).max(500),
+    voice_id: Joi.string(),
+    transcriber_model: Joi.string()
+});
+
+const assistantCreateSchema = Joi.object({
+    name: Joi.string().required().min(2).max(255),
+    description: Joi.string().allow('', null).max(1000),
+    system_prompt: Joi.string().required().min(10).max(10000),
+    
+    // Model configuration
+    model_provider: Joi.string().valid('openai', 'anthropic', 'google', 'meta').default('openai'),
+    model_name: Joi.string().when('model_provider', { not: 'openai', then: Joi.required() }),
+    temperature: Joi.number().min(0).max(2),
+    max_tokens: Joi.number().integer().min(1).max(4000).default(500),
+    
+    // Voice configuration
+    voice_provider: Joi.string().valid('elevenlabs', 'openai', 'azure', 'deepgram'),
+    voice_id: Joi.string().when('voice_provider', { is: Joi.exist(), then: Joi.required() }),
+    voice_speed: Joi.number().min(0.25).max(4.0).default(1.0),
+    voice_stability: Joi.number().min(0).max(1).default(0.5),
+    voice_similarity_boost: Joi.number().min(0).max(1).default(0.75),
+    
+    // Transcriber configuration
+    transcriber_provider: Joi.string().valid('deepgram', 'assemblyai', 'openai').default('deepgram'),
+    transcriber_model: Joi.string(),
+    language: Joi.string().default('en'),
+    locales: Joi.array().items(localeSchema).unique('language').max(20),
+    
+    // Assistant behavior
+    first_message: Joi.string().allow('', null).max(500),
+    silence_timeout: Joi.number().integer().min(5).max(300).default(30),
+    max_duration: Joi.number().integer().min(60).max(7200).default(1800), // 30 minutes
+    background_sound: Joi.string().valid('off', 'office').default('off'),
+    
+    // Status and metadata
+    status: Joi.number().integer().valid(0, 1).default(1),
+    tags: Joi.array().items(Joi.string()).default([]),
+    metadata: Joi.object().default({})
+});
+
+const assistantUpdateSchema = Joi.object({
+    name: Joi.string().min(2).max(255),
+    description: Joi.string().allow('', null).max(1000),
+    system_prompt: Joi.string().min(10).max(10000),
+    
+    // Model configuration
+    model_provider: Joi.string().valid('openai', 'anthropic', 'google', 'meta'),
+    model_name: Joi.string().when('model_provider', { is: Joi.exist(), then: Joi.required() }),
+    temperature: Joi.number().min(0).max(2),
+    max_tokens: Joi.number().integer().min(1).max(4000),
+    
+    // Voice configuration
+    voice_provider: Joi.string().valid('elevenlabs', 'openai', 'azure', 'deepgram'),
+    voice_id: Joi.string(),
+    voice_speed: Joi.number().min(0.25).max(4.0),
+    voice_stability: Joi.number().min(0).max(1),
+    voice_similarity_boost: Joi.number().min(0).max(1),
+    
+    // Transcriber configuration
+    transcriber_provider: Joi.string().valid('deepgram', 'assemblyai', 'openai'),
+    transcriber_model: Joi.string(),
+    language: Joi.string(),
+    locales: Joi.array().items(localeSchema).unique('language').max(20),
+    
+    // Assistant behavior
+    first_message: Joi.string().allow('', null).max(500),
+    silence_timeout: Joi.number().integer().min(5).max(300),
+    max_duration: Joi.number().integer().min(60).max(7200),
+    background_sound: Joi.string().valid('off', 'office'),
+    
+    // Status and metadata
+    status: Joi.number().integer().valid(0, 1),
+    tags: Joi.array().items(Joi.string()),
+    metadata: Joi.object()
+});
 
 class AssistantValidator {
-    async assistantCreateValidator(req, res, next) {
-        const schema = Joi.object({
-            name: Joi.string().required().min(2).max(255),
-            description: Joi.string().allow('', null).max(1000),
-            system_prompt: Joi.string().required().min(10).max(10000),
-            
-            // Model configuration
-            model_provider: Joi.string().valid('openai', 'anthropic', 'google', 'meta').default('openai'),
-            model_name: Joi.string().default('gpt-4'),
-            temperature: Joi.number().min(0).max(2).default(0.7),
-            max_tokens: Joi.number().integer().min(1).max(4000).default(500),
-            
-            // Voice configuration
-            voice_provider: Joi.string().valid('elevenlabs', 'openai', 'azure', 'deepgram').default('elevenlabs'),
-            voice_id: Joi.string().default('burt'),
-            voice_speed: Joi.number().min(0.25).max(4.0).default(1.0),
-            voice_stability: Joi.number().min(0).max(1).default(0.5),
-            voice_similarity_boost: Joi.number().min(0).max(1).default(0.75),
-            
-            // Transcriber configuration
-            transcriber_provider: Joi.string().valid('deepgram', 'assemblyai', 'openai').default('deepgram'),
-            transcriber_model: Joi.string().default('nova-2'),
-            language: Joi.string().default('en'),
-            
-            // Assistant behavior
-            first_message: Joi.string().allow('', null).max(500),
-            silence_timeout: Joi.number().integer().min(5).max(300).default(30),
-            max_duration: Joi.number().integer().min(60).max(7200).default(1800), // 30 minutes
-            background_sound: Joi.string().valid('off', 'office').default('off'),
-            
-            // Status and metadata
-            status: Joi.number().integer().valid(0, 1).default(1),
-            tags: Joi.array().items(Joi.string()).default([]),
-            metadata: Joi.object().default({})
+    /**
+     * Validate an assistant create payload outside of a request, e.g. one rendered from a template
+     * @param {Object} body
+     * @returns {Object} { error, value }
+     */
+    validateAssistantBody(body) {
+        return assistantCreateSchema.validate(body, {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
         });
+    }
+
+    async assistantCreateValidator(req, res, next) {
+        const schema = assistantCreateSchema;
 
         const options = {
             abortEarly: false,
@@ -59,39 +121,9 @@ class AssistantValidator {
     }
 
     async assistantUpdateValidator(req, res, next) {
-        const schema = Joi.object({
-            name: Joi.string().min(2).max(255),
-            description: Joi.string().allow('', null).max(1000),
-            system_prompt: Joi.string().min(10).max(10000),
-            
-            // Model configuration
-            model_provider: Joi.string().valid('openai', 'anthropic', 'google', 'meta'),
-            model_name: Joi.string(),
-            temperature: Joi.number().min(0).max(2),
-            max_tokens: Joi.number().integer().min(1).max(4000),
-            
-            // Voice configuration
-            voice_provider: Joi.string().valid('elevenlabs', 'openai', 'azure', 'deepgram'),
-            voice_id: Joi.string(),
-            voice_speed: Joi.number().min(0.25).max(4.0),
-            voice_stability: Joi.number().min(0).max(1),
-            voice_similarity_boost: Joi.number().min(0).max(1),
-            
-            // Transcriber configuration
-            transcriber_provider: Joi.string().valid('deepgram', 'assemblyai', 'openai'),
-            transcriber_model: Joi.string(),
-            language: Joi.string(),
-            
-            // Assistant behavior
-            first_message: Joi.string().allow('', null).max(500),
-            silence_timeout: Joi.number().integer().min(5).max(300),
-            max_duration: Joi.number().integer().min(60).max(7200),
-            background_sound: Joi.string().valid('off', 'office'),
-            
-            // Status and metadata
-            status: Joi.number().integer().valid(0, 1),
-            tags: Joi.array().items(Joi.string()),
-            metadata: Joi.object()
+        const schema = assistantUpdateSchema.keys({
+            // Version history
+            change_note: Joi.string().allow('', null).max(500)
         });
 
         const options = {
@@ -197,6 +229,196 @@ class AssistantValidator {
         }
     }
 
+    async cloneValidator(req, res, next) {
+        // Anything not overridden is copied from the source assistant
+        const schema = assistantUpdateSchema;
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async toolsValidator(req, res, next) {
+        const schema = Joi.object({
+            // Registered tool UUIDs; the list replaces the assistant's current registered tools
+            tool_ids: Joi.array().items(Joi.string().guid()).unique().max(50).required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async shareValidator(req, res, next) {
+        const schema = Joi.object({
+            user_id: Joi.number().integer().min(1),
+            team_id: Joi.string().max(100),
+            // use: chats and calls; manage: also edit, publish and change the status
+            permission: Joi.string().valid('use', 'manage').default('use')
+        }).xor('user_id', 'team_id');
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async ownerValidator(req, res, next) {
+        const schema = Joi.object({
+            user_id: Joi.number().integer().min(1).required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async driftResolveValidator(req, res, next) {
+        const schema = Joi.object({
+            // Applies to every difference not listed in resolutions
+            action: Joi.string().valid('accept', 'push'),
+            resolutions: Joi.array().items(Joi.object({
+                path: Joi.string().max(255).required(),
+                action: Joi.string().valid('accept', 'push').required()
+            })).unique('path').max(200)
+        }).or('action', 'resolutions');
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async exportQueryValidator(req, res, next) {
+        const schema = Joi.object({
+            format: Joi.string().valid('json', 'yaml').default('json')
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+
+    async importValidator(req, res, next) {
+        // Accept a raw JSON/YAML document, a parsed JSON body, or { bundle: <document> }
+        let bundle;
+        try {
+            const content = typeof req.body === 'string' ? req.body : req.body.bundle || req.body;
+            bundle = parseBundle(content);
+        } catch (e) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, `Invalid bundle: ${e.message}`));
+        }
+
+        const schema = Joi.object({
+            kind: Joi.string().valid(BUNDLE_KIND).required(),
+            version: Joi.number().integer().valid(BUNDLE_VERSION).required(),
+            exported_at: Joi.string().allow('', null),
+            assistant: assistantCreateSchema.required(),
+            tools: Joi.array().items(Joi.object()).max(100).default([]),
+            settings: Joi.object().default({})
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(bundle, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
     async validateUUID(req, res, next) {
         const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
         const id = req.params.id;
@@ -208,6 +430,51 @@ class AssistantValidator {
         return next();
     }
 
+    async validateVersionParam(req, res, next) {
+        const { error, value } = Joi.number().integer().min(1).required().validate(req.params.version);
+
+        if (error) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid version number'));
+        }
+
+        req.params.version = value;
+        return next();
+    }
+
+    async validateShareParam(req, res, next) {
+        const { error } = Joi.string().guid().required().validate(req.params.shareId);
+
+        if (error) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid share id'));
+        }
+
+        return next();
+    }
+
+    async rollbackValidator(req, res, next) {
+        const schema = Joi.object({
+            version: Joi.number().integer().min(1).required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
     async validateSearchQuery(req, res, next) {
         const schema = Joi.object({
             q: Joi.string().min(1).max(100),
@@ -216,6 +483,7 @@ class AssistantValidator {
             status: Joi.number().integer().valid(0, 1),
             model_provider: Joi.string().valid('openai', 'anthropic', 'google', 'meta'),
             voice_provider: Joi.string().valid('elevenlabs', 'openai', 'azure', 'deepgram'),
+            drift_status: Joi.string().valid('in_sync', 'drifted', 'unknown'),
             sort: Joi.string().valid('name', 'created_at', 'updated_at', 'chat_count', 'call_count').default('created_at'),
             order: Joi.string().valid('ASC', 'DESC').default('DESC')
         });
@@ -5,7 +5,9 @@ const ApiError = require('../helper/ApiError');
 class CallValidator {
     async callCreateValidator(req, res, next) {
         const schema = Joi.object({
-            assistant_id: Joi.string().uuid({ version: 'uuidv4' }).required(),
+            assistant_id: Joi.string().uuid({ version: 'uuidv4' }),
+            // Run the call on a squad instead of a single assistant
+            squad_id: Joi.string().uuid({ version: 'uuidv4' }),
             chat_id: Joi.string().uuid({ version: 'uuidv4' }).allow(null),
             type: Joi.string().valid('webCall', 'outboundPhoneCall', 'inboundPhoneCall').default('webCall'),
             direction: Joi.string().valid('inbound', 'outbound').default('outbound'),
@@ -18,8 +20,10 @@ class CallValidator {
                 name: Joi.string().allow('', null),
                 email: Joi.string().email().allow('', null)
             }).default({}),
-            metadata: Joi.object().default({})
-        });
+            metadata: Joi.object().default({}),
+            // Locale variant to run the call in, e.g. `ur`
+            language: Joi.string().max(10)
+        }).xor('assistant_id', 'squad_id');
 
         const options = {
             abortEarly: false,
@@ -171,6 +175,30 @@ class CallValidator {
         }
     }
 
+    async exportQueryValidator(req, res, next) {
+        const schema = Joi.object({
+            format: Joi.string().valid('md', 'json', 'csv', 'pdf').default('json')
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+
     async validateBulkOperation(req, res, next) {
         const schema = Joi.object({
             call_ids: Joi.array().items(
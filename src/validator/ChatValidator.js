@@ -1,16 +1,35 @@
 const Joi = require('joi');
+const fs = require('fs').promises;
 const httpStatus = require('http-status');
 const ApiError = require('../helper/ApiError');
 
+// Rejected uploads are still on disk, remove them before answering
+const rejectUpload = async (req, next, message) => {
+    if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+    }
+    next(new ApiError(httpStatus.BAD_REQUEST, message));
+};
+
 class ChatValidator {
     async chatCreateValidator(req, res, next) {
         const schema = Joi.object({
-            assistant_id: Joi.string().uuid({ version: 'uuidv4' }).required(),
+            assistant_id: Joi.string().uuid({ version: 'uuidv4' }),
+            // Run the chat on a squad instead of a single assistant
+            squad_id: Joi.string().uuid({ version: 'uuidv4' }),
             name: Joi.string().allow('', null).max(255),
             initial_message: Joi.string().allow('', null).max(1000).default('Hello!'),
             status: Joi.string().valid('active', 'archived').default('active'),
-            metadata: Joi.object().default({})
-        });
+            // Used for {{customer.*}} prompt placeholders
+            customer: Joi.object({
+                number: Joi.string().allow('', null),
+                name: Joi.string().allow('', null),
+                email: Joi.string().email().allow('', null)
+            }).unknown(true).default({}),
+            metadata: Joi.object().default({}),
+            // Locale variant to run the chat in, e.g. `ur`
+            language: Joi.string().max(10)
+        }).xor('assistant_id', 'squad_id');
 
         const options = {
             abortEarly: false,
@@ -61,7 +80,37 @@ class ChatValidator {
         const schema = Joi.object({
             content: Joi.string().required().min(1).max(5000),
             type: Joi.string().valid('text', 'voice').default('text'),
-            metadata: Joi.object().default({})
+            metadata: Joi.object().default({}),
+            // Relay the reply over Socket.IO while it is written
+            stream: Joi.boolean().default(false)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async forkValidator(req, res, next) {
+        const schema = Joi.object({
+            // Message of the chat to fork at; it is the last message the fork shares with the chat
+            message_id: Joi.string().uuid({ version: 'uuidv4' }).required(),
+            // User turn the fork continues with instead of the chat's own next message
+            content: Joi.string().min(1).max(5000),
+            name: Joi.string().allow('', null).max(255)
         });
 
         const options = {
@@ -125,7 +174,7 @@ class ChatValidator {
             limit: Joi.number().integer().min(1).max(100).default(10),
             status: Joi.string().valid('active', 'archived'),
             assistant_id: Joi.string().uuid({ version: 'uuidv4' }),
-            user_id: Joi.string().uuid({ version: 'uuidv4' }),
+            user_id: Joi.number().integer().min(1),
             sort: Joi.string().valid('name', 'created_at', 'updated_at', 'last_message_at', 'message_count').default('last_message_at'),
             order: Joi.string().valid('ASC', 'DESC').default('DESC'),
             date_from: Joi.date().iso(),
@@ -157,16 +206,69 @@ class ChatValidator {
 
     async validateHistoryQuery(req, res, next) {
         const schema = Joi.object({
-            page: Joi.number().integer().min(1).default(1),
+            // Message ids to page from; without either the newest messages are returned
+            before: Joi.string().uuid({ version: 'uuidv4' }),
+            after: Joi.string().uuid({ version: 'uuidv4' }),
             limit: Joi.number().integer().min(1).max(200).default(50),
-            include_voice: Joi.boolean().default(true),
-            message_type: Joi.string().valid('text', 'voice', 'all').default('all'),
+            role: Joi.string().valid('user', 'assistant', 'tool'),
+            type: Joi.string().valid('text', 'voice', 'all').default('all'),
             date_from: Joi.date().iso(),
             date_to: Joi.date().iso().when('date_from', {
                 is: Joi.exist(),
                 then: Joi.date().min(Joi.ref('date_from')),
                 otherwise: Joi.optional()
             })
+        }).oxor('before', 'after');
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+
+    async validateTimelineQuery(req, res, next) {
+        const schema = Joi.object({
+            // Entry ids to page from; without either the newest entries are returned
+            before: Joi.string().uuid({ version: 'uuidv4' }),
+            after: Joi.string().uuid({ version: 'uuidv4' }),
+            limit: Joi.number().integer().min(1).max(200).default(50)
+        }).oxor('before', 'after');
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+
+    async exportQueryValidator(req, res, next) {
+        const schema = Joi.object({
+            format: Joi.string().valid('md', 'json', 'csv', 'pdf').default('json')
         });
 
         const options = {
@@ -216,8 +318,9 @@ class ChatValidator {
     }
 
     async validateVoiceMessage(req, res, next) {
-        // This would be used with multer middleware for file upload
+        // Runs after multer, the recording comes in the `audio` field of a multipart body
         const schema = Joi.object({
+            content: Joi.string().allow('', null).max(5000),
             transcribe: Joi.boolean().default(true),
             duration: Joi.number().min(0).max(600), // 10 minutes max
             metadata: Joi.object().default({})
@@ -235,11 +338,17 @@ class ChatValidator {
             const errorMessage = error.details
                 .map((details) => details.message)
                 .join(', ');
-            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
-        } else {
-            req.body = value;
-            return next();
+            return rejectUpload(req, next, errorMessage);
         }
+        if (!req.file) {
+            return rejectUpload(req, next, 'Upload the recording in the "audio" field');
+        }
+        if (!/^(audio|video)\//.test(req.file.mimetype)) {
+            return rejectUpload(req, next, 'The recording must be an audio file');
+        }
+
+        req.body = value;
+        return next();
     }
 
     async validateAnalyticsQuery(req, res, next) {
@@ -0,0 +1,105 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+
+// Formatting characters are stripped before saving
+const phoneNumberSchema = Joi.string().pattern(/^\+?[\d\s().-]{7,25}$/);
+
+class ContactValidator {
+    async contactCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().allow('', null).max(255),
+            phone_number: phoneNumberSchema.allow(null),
+            email: Joi.string().email().allow(null),
+            notes: Joi.string().allow('', null).max(5000),
+            preferred_language: Joi.string().max(10).allow(null),
+            metadata: Joi.object().default({})
+        }).or('phone_number', 'email');
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async contactUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().allow('', null).max(255),
+            phone_number: phoneNumberSchema.allow(null),
+            email: Joi.string().email().allow(null),
+            notes: Joi.string().allow('', null).max(5000),
+            preferred_language: Joi.string().max(10).allow(null),
+            metadata: Joi.object()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().min(1).max(100),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = ContactValidator;
@@ -0,0 +1,109 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+
+const variantsSchema = Joi.array()
+    .items(Joi.object({
+        key: Joi.string().pattern(/^[a-z0-9_-]+$/i).max(50).required(),
+        assistant_id: Joi.string().required(),
+        weight: Joi.number().integer().min(1).max(1000).default(1)
+    }))
+    .min(2)
+    .max(10)
+    .unique('key');
+
+class ExperimentValidator {
+    async experimentCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().required().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            // Vapi id of the assistant whose new chats and calls are split between the variants
+            assistant_id: Joi.string().required(),
+            variants: variantsSchema.required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async experimentUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            variants: variantsSchema
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().min(1).max(100),
+            status: Joi.string().valid('draft', 'running', 'stopped'),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = ExperimentValidator;
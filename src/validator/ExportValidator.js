@@ -0,0 +1,80 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+
+class ExportValidator {
+    async exportJobCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            type: Joi.string().valid('chats', 'calls', 'all').default('all'),
+            format: Joi.string().valid('md', 'json', 'csv', 'pdf').default('json'),
+            assistant_id: Joi.string().uuid({ version: 'uuidv4' }),
+            // Chat statuses (active, archived) or call statuses (queued, ringing, in-progress, ended, failed)
+            status: Joi.string().valid('active', 'archived', 'queued', 'ringing', 'in-progress', 'ended', 'failed'),
+            // Admins only; everyone else exports their own conversations
+            user_id: Joi.number().integer(),
+            date_from: Joi.date().iso(),
+            date_to: Joi.date().iso().when('date_from', {
+                is: Joi.exist(),
+                then: Joi.date().min(Joi.ref('date_from')),
+                otherwise: Joi.optional()
+            })
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            status: Joi.string().valid('pending', 'processing', 'completed', 'failed'),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = ExportValidator;
@@ -0,0 +1,241 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+const { NODE_TYPES } = require('../helper/flowCompiler');
+
+const nodeIdSchema = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(100);
+const variableSchema = Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/).max(100);
+
+const nodeSchema = Joi.object({
+    id: nodeIdSchema.required(),
+    type: Joi.string().valid(...NODE_TYPES).required(),
+    label: Joi.string().allow('', null).max(255),
+    next: nodeIdSchema.when('type', {
+        is: Joi.valid('transfer', 'end', 'branch'),
+        then: Joi.forbidden(),
+        otherwise: Joi.required()
+    }),
+
+    // greeting / transfer / end / tool
+    message: Joi.string().allow('', null).max(1000).when('type', {
+        is: 'greeting',
+        then: Joi.required()
+    }),
+
+    // question
+    prompt: Joi.string().max(1000).when('type', {
+        is: 'question',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+
+    // question / branch
+    variable: variableSchema.when('type', {
+        is: Joi.valid('question', 'branch'),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+
+    // branch
+    branches: Joi.array().items(
+        Joi.object({
+            operator: Joi.string().valid('equals', 'contains', 'in', 'matches').default('equals'),
+            value: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).required(),
+            next: nodeIdSchema.required()
+        })
+    ).min(1).when('type', {
+        is: 'branch',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+    default_next: nodeIdSchema.when('type', {
+        is: 'branch',
+        then: Joi.optional(),
+        otherwise: Joi.forbidden()
+    }),
+
+    // tool
+    tool: Joi.object({
+        name: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(64).required(),
+        description: Joi.string().allow('').max(1000),
+        parameters: Joi.object(),
+        server_url: Joi.string().uri()
+    }).when('type', {
+        is: 'tool',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    }),
+
+    // transfer
+    phone_number: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).when('type', {
+        is: 'transfer',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+    })
+});
+
+class FlowValidator {
+    async flowCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().required().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            assistant_id: Joi.string().uuid().allow(null),
+            base_prompt: Joi.string().allow('', null).max(10000),
+            start_node_id: nodeIdSchema.required(),
+            nodes: Joi.array().items(nodeSchema).min(1).max(200).required(),
+            metadata: Joi.object().default({})
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async flowUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            assistant_id: Joi.string().uuid().allow(null),
+            base_prompt: Joi.string().allow('', null).max(10000),
+            start_node_id: nodeIdSchema,
+            nodes: Joi.array().items(nodeSchema).min(1).max(200),
+            metadata: Joi.object(),
+            change_note: Joi.string().allow('', null).max(500)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async simulateValidator(req, res, next) {
+        const schema = Joi.object({
+            utterances: Joi.array().items(Joi.string().allow('').max(5000)).max(100).default([]),
+            variables: Joi.object().pattern(variableSchema, Joi.any()).default({}),
+            tool_results: Joi.object().default({}),
+            max_steps: Joi.number().integer().min(1).max(500).default(100)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateVersionParam(req, res, next) {
+        const { error, value } = Joi.number().integer().min(1).required().validate(req.params.version);
+
+        if (error) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid version number'));
+        }
+
+        req.params.version = value;
+        return next();
+    }
+
+    async rollbackValidator(req, res, next) {
+        const schema = Joi.object({
+            version: Joi.number().integer().min(1).required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().min(1).max(100),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10),
+            status: Joi.string().valid('draft', 'deployed'),
+            assistant_id: Joi.string().uuid()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = FlowValidator;
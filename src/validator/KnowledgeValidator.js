@@ -0,0 +1,181 @@
+const Joi = require('joi');
+const path = require('path');
+const fs = require('fs').promises;
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+const { DOCUMENT_EXTENSIONS } = require('../helper/documentText');
+
+// Rejected uploads are still on disk, remove them before answering
+const rejectUpload = async (req, next, message) => {
+    if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+    }
+    next(new ApiError(httpStatus.BAD_REQUEST, message));
+};
+
+const checkFileType = (file) => {
+    if (file && !DOCUMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+        return `Unsupported file type, expected one of ${DOCUMENT_EXTENSIONS.join(', ')}`;
+    }
+    return null;
+};
+
+class KnowledgeValidator {
+    async documentCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            assistant_id: Joi.string().required(),
+            name: Joi.string().max(255),
+            // Text to index when no file is uploaded
+            content: Joi.string().max(1000000)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            return rejectUpload(req, next, errorMessage);
+        }
+
+        const fileError = checkFileType(req.file);
+        if (fileError) {
+            return rejectUpload(req, next, fileError);
+        }
+        if (!req.file && !(value.content && value.name)) {
+            return rejectUpload(req, next, 'Upload a file, or send "name" and "content"');
+        }
+
+        req.body = value;
+        return next();
+    }
+
+    async documentUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().max(255)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            return rejectUpload(req, next, errorMessage);
+        }
+
+        const fileError = checkFileType(req.file);
+        if (fileError) {
+            return rejectUpload(req, next, fileError);
+        }
+        if (!req.file && !value.name) {
+            return rejectUpload(req, next, 'Upload a file or send a new "name"');
+        }
+
+        req.body = value;
+        return next();
+    }
+
+    async reindexValidator(req, res, next) {
+        const schema = Joi.object({
+            assistant_id: Joi.string().required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async knowledgeSearchValidator(req, res, next) {
+        const schema = Joi.object({
+            assistant_id: Joi.string().required(),
+            q: Joi.string().min(1).max(500).required(),
+            limit: Joi.number().integer().min(1).max(20).default(5)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return rejectUpload(req, next, 'Invalid UUID format');
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            assistant_id: Joi.string(),
+            status: Joi.string().valid('pending', 'indexed', 'failed'),
+            q: Joi.string().min(1).max(100),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = KnowledgeValidator;
@@ -0,0 +1,164 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+const { DAYS, isValidTimezone } = require('../helper/routingRules');
+
+const isTimezone = (value, helpers) => {
+    if (!isValidTimezone(value)) {
+        return helpers.message('"timezone" must be an IANA timezone such as Europe/London');
+    }
+    return value;
+};
+
+const conditionsSchema = Joi.object({
+    // Exact numbers or prefixes ending in *, e.g. +44*
+    caller_numbers: Joi.array().items(Joi.string().pattern(/^\+?[\d\s().-]*\*?$/).max(30)).max(100),
+    phone_number_ids: Joi.array().items(Joi.string().max(100)).max(100),
+    time_window: Joi.object({
+        days: Joi.array().items(Joi.string().valid(...DAYS)).unique(),
+        start: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+        end: Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/).required(),
+        timezone: Joi.string().custom(isTimezone).default('UTC')
+    }),
+    known_contact: Joi.boolean()
+});
+
+const actionSchema = Joi.object({
+    // Vapi id of an existing assistant, optionally with assistant fields overridden for this route
+    assistant_id: Joi.string(),
+    overrides: Joi.object(),
+    // Or a full assistant payload (same fields as POST /assistants) built for each call
+    assistant: Joi.object()
+}).xor('assistant_id', 'assistant').oxor('overrides', 'assistant');
+
+class RoutingRuleValidator {
+    async ruleCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().required().min(2).max(255),
+            priority: Joi.number().integer().min(0).max(10000).default(100),
+            conditions: conditionsSchema.default({}),
+            action: actionSchema.required(),
+            status: Joi.number().integer().valid(0, 1).default(1)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async ruleUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().min(2).max(255),
+            priority: Joi.number().integer().min(0).max(10000),
+            conditions: conditionsSchema,
+            action: actionSchema,
+            status: Joi.number().integer().valid(0, 1)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async phoneNumberAssignValidator(req, res, next) {
+        const schema = Joi.object({
+            user_id: Joi.number().integer().min(1).required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validatePhoneNumberId(req, res, next) {
+        const phoneNumberId = req.params.phone_number_id;
+
+        if (!phoneNumberId || phoneNumberId.length > 100) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid phone number id'));
+        }
+
+        return next();
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().min(1).max(100),
+            status: Joi.number().integer().valid(0, 1),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = RoutingRuleValidator;
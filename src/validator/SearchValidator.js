@@ -0,0 +1,43 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+
+class SearchValidator {
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().trim().min(2).max(200).required(),
+            type: Joi.string().valid('message', 'voice', 'call'),
+            assistant_id: Joi.string().uuid({ version: 'uuidv4' }),
+            role: Joi.string().valid('user', 'assistant'),
+            date_from: Joi.date().iso(),
+            date_to: Joi.date().iso().when('date_from', {
+                is: Joi.exist(),
+                then: Joi.date().min(Joi.ref('date_from')),
+                otherwise: Joi.optional()
+            }),
+            // Results are ranked across sources, so only the first pages can be reached
+            page: Joi.number().integer().min(1).max(20).default(1),
+            limit: Joi.number().integer().min(1).max(50).default(20)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = SearchValidator;
@@ -0,0 +1,118 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+
+const membersSchema = Joi.array()
+    .items(Joi.object({
+        // Vapi id of the member assistant
+        assistant_id: Joi.string().required(),
+        // Members this one can hand the conversation to
+        destinations: Joi.array()
+            .items(Joi.object({
+                assistant_id: Joi.string().required(),
+                // Tells the model when to hand off
+                description: Joi.string().allow('', null).max(1000),
+                // Said to the caller while the handoff happens
+                message: Joi.string().allow('', null).max(1000)
+            }))
+            .unique('assistant_id')
+            .default([])
+    }))
+    .min(2)
+    .max(10)
+    .unique('assistant_id');
+
+class SquadValidator {
+    async squadCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().required().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            // The first member starts every conversation
+            members: membersSchema.required()
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async squadUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().min(2).max(255),
+            description: Joi.string().allow('', null).max(1000),
+            members: membersSchema,
+            status: Joi.number().integer().valid(0, 1)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().min(1).max(100),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = SquadValidator;
@@ -0,0 +1,148 @@
+const Joi = require('joi');
+const httpStatus = require('http-status');
+const ApiError = require('../helper/ApiError');
+const { TOOL_HANDLERS, checkToolUrl } = require('../helper/toolHandlers');
+
+// Refuse urls http tools may never call; names are checked again when the tool runs
+const isCallableUrl = (value, helpers) => {
+    try {
+        checkToolUrl(value);
+        return value;
+    } catch (e) {
+        return helpers.message(`"url" ${e.message}`);
+    }
+};
+
+const handlerConfigSchema = Joi.when('handler', {
+    switch: [
+        {
+            is: 'http',
+            then: Joi.object({
+                url: Joi.string().uri({ scheme: ['http', 'https'] }).custom(isCallableUrl).required(),
+                method: Joi.string().uppercase().valid('GET', 'POST', 'PUT', 'PATCH').default('POST'),
+                headers: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+                timeout_seconds: Joi.number().integer().min(1).max(20)
+            })
+        },
+        {
+            is: 'static',
+            then: Joi.object({
+                result: Joi.string().max(10000).required()
+            })
+        }
+    ],
+    otherwise: Joi.object()
+});
+
+class ToolValidator {
+    async toolCreateValidator(req, res, next) {
+        const schema = Joi.object({
+            // Vapi function names: letters, digits, underscores and dashes
+            name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).max(64).required(),
+            description: Joi.string().allow('', null).max(1000),
+            parameters: Joi.object({
+                type: Joi.string().valid('object').required(),
+                properties: Joi.object().required(),
+                required: Joi.array().items(Joi.string())
+            }).unknown(true).default({ type: 'object', properties: {} }),
+            handler: Joi.string().valid(...TOOL_HANDLERS).required(),
+            handler_config: handlerConfigSchema.default({}),
+            is_async: Joi.boolean().default(false),
+            status: Joi.number().integer().valid(0, 1).default(1)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async toolUpdateValidator(req, res, next) {
+        const schema = Joi.object({
+            name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).max(64),
+            description: Joi.string().allow('', null).max(1000),
+            parameters: Joi.object({
+                type: Joi.string().valid('object').required(),
+                properties: Joi.object().required(),
+                required: Joi.array().items(Joi.string())
+            }).unknown(true),
+            handler: Joi.string().valid(...TOOL_HANDLERS),
+            // A new handler needs its own config
+            handler_config: handlerConfigSchema.when('handler', { is: Joi.exist(), then: Joi.required() }),
+            is_async: Joi.boolean(),
+            status: Joi.number().integer().valid(0, 1)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.body, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.body = value;
+            return next();
+        }
+    }
+
+    async validateUUID(req, res, next) {
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const { id } = req.params;
+
+        if (!id || !uuidRegex.test(id)) {
+            return next(new ApiError(httpStatus.BAD_REQUEST, 'Invalid UUID format'));
+        }
+
+        return next();
+    }
+
+    async validateSearchQuery(req, res, next) {
+        const schema = Joi.object({
+            q: Joi.string().min(1).max(100),
+            handler: Joi.string().max(50),
+            status: Joi.number().integer().valid(0, 1),
+            page: Joi.number().integer().min(1).default(1),
+            limit: Joi.number().integer().min(1).max(100).default(10)
+        });
+
+        const options = {
+            abortEarly: false,
+            allowUnknown: true,
+            stripUnknown: true,
+        };
+
+        const { error, value } = schema.validate(req.query, options);
+
+        if (error) {
+            const errorMessage = error.details
+                .map((details) => details.message)
+                .join(', ');
+            next(new ApiError(httpStatus.BAD_REQUEST, errorMessage));
+        } else {
+            req.query = value;
+            return next();
+        }
+    }
+}
+
+module.exports = ToolValidator;
@@ -7,7 +7,12 @@ const logger = require('../config/logger');
 class WebhookValidator {
     async validateVapiWebhook(req, res, next) {
         const schema = Joi.object({
-            type: Joi.string().required(),
+            // Server messages (tool-calls, ...) only have message.type
+            type: Joi.string().when('message.type', {
+                is: Joi.exist(),
+                then: Joi.optional(),
+                otherwise: Joi.required()
+            }),
             timestamp: Joi.date().iso().default(() => new Date()),
             call: Joi.object({
                 id: Joi.string().required(),
@@ -39,7 +44,15 @@ class WebhookValidator {
                 content: Joi.string(),
                 transcript: Joi.string(),
                 audio: Joi.any(),
-                timestamp: Joi.date().iso()
+                timestamp: Joi.alternatives().try(Joi.date().iso(), Joi.number()),
+                toolCallList: Joi.array().items(Joi.object({
+                    id: Joi.string().required(),
+                    type: Joi.string(),
+                    function: Joi.object({
+                        name: Joi.string().required(),
+                        arguments: Joi.alternatives().try(Joi.object(), Joi.string())
+                    }).required()
+                }))
             }).optional(),
             data: Joi.object().optional()
         });